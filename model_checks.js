@@ -0,0 +1,230 @@
+// Headless checks for the colony model - seeded determinism, exact snapshot
+// resume and replay seeking, pheromone diffusion and the lifecycle, economy
+// and satellite nest rules. Each check runs a small world for a few simulated
+// seconds.
+//
+// Usage: node model_checks.js
+// Prints one line per check and exits non-zero if any of them fails.
+const assert = require('assert');
+const { AntColonyModel, PheromoneField, SeededRandom, Vec } = require('./simulation_core.js');
+
+// Few ants so the whole set runs quickly
+function createModel(options = {}) {
+    const model = new AntColonyModel(1600, 1000, { seed: 7, antCount: 40, ...options });
+    model.initialize();
+    return model;
+}
+
+function runTicks(model, ticks) {
+    for (let i = 0; i < ticks; i++) {
+        model.update();
+    }
+}
+
+function snapshotJson(model) {
+    return JSON.stringify(model.createSnapshot());
+}
+
+// Snapshots run to hundreds of kilobytes; report where two of them part ways
+function assertSameJson(actual, expected) {
+    if (actual === expected) return;
+    let i = 0;
+    while (actual[i] === expected[i]) i++;
+    const start = Math.max(0, i - 80);
+    throw new assert.AssertionError({
+        message: `JSON differs at offset ${i}:\n  got      ...${actual.slice(start, i + 80)}\n  expected ...${expected.slice(start, i + 80)}`
+    });
+}
+
+const CHECKS = {
+    'seeded RNG repeats its sequence'() {
+        const a = new SeededRandom(42);
+        const b = new SeededRandom(42);
+        const c = new SeededRandom(43);
+        const first = Array.from({ length: 5 }, () => a.random());
+        assert.deepStrictEqual(Array.from({ length: 5 }, () => b.random()), first);
+        assert.notDeepStrictEqual(Array.from({ length: 5 }, () => c.random()), first);
+        assert.ok(first.every(value => value >= 0 && value < 1));
+    },
+    
+    'same seed gives the same run'() {
+        const a = createModel();
+        const b = createModel();
+        runTicks(a, 300);
+        runTicks(b, 300);
+        assertSameJson(snapshotJson(a), snapshotJson(b));
+        
+        const other = createModel({ seed: 9 });
+        runTicks(other, 300);
+        assert.notStrictEqual(snapshotJson(other), snapshotJson(a));
+    },
+    
+    'snapshot resume matches an uninterrupted run'() {
+        const options = { colonyCount: 2, lifecycle: true, economy: true, casteMix: { forager: 2, scout: 1, soldier: 1, nurse: 1 }, foodMix: { sugar: 1, protein: 1, seeds: 1 } };
+        const original = createModel(options);
+        runTicks(original, 240);
+        original.applyInput({ type: 'addNest', colonyId: 0, x: 800, y: 500 });
+        
+        const resumed = new AntColonyModel(1600, 1000, { seed: 1 });
+        resumed.loadSnapshot(JSON.parse(snapshotJson(original)));
+        assertSameJson(snapshotJson(resumed), snapshotJson(original));
+        
+        runTicks(original, 240);
+        runTicks(resumed, 240);
+        assertSameJson(snapshotJson(resumed), snapshotJson(original));
+    },
+    
+    'replay seek rebuilds recorded ticks exactly'() {
+        const model = createModel({ recordReplay: true, replay: { keyframeInterval: 120 } });
+        const recorded = {};
+        for (let tick = 1; tick <= 480; tick++) {
+            model.update();
+            if (tick === 150) {
+                model.applyInput({ type: 'setAntCount', antCount: 60 });
+            }
+            if (tick === 200 || tick === 390) {
+                recorded[tick] = snapshotJson(model);
+            }
+        }
+        
+        const recorder = model.recorder;
+        recorder.beginPlayback();
+        // Backwards from the end, then a short step forward from the playback state
+        for (const tick of [200, 390]) {
+            assert.strictEqual(recorder.seek(tick), tick);
+            assertSameJson(snapshotJson(model), recorded[tick]);
+        }
+        recorder.endPlayback();
+    },
+    
+    'replay seek inside an obstacle drag sweeps ants as the live run did'() {
+        // The keyframe at 180 is taken mid-drag; 150 is rebuilt from the one at 120
+        const model = createModel({ recordReplay: true, replay: { keyframeInterval: 60 } });
+        const recorded = {};
+        // Drag the obstacle onto the nest, where most ants are
+        const start = model.obstacles[0].pos.clone();
+        const step = new Vec(model.nest.x, model.nest.y).subtract(start).multiply(1 / 70);
+        for (let tick = 1; tick <= 240; tick++) {
+            model.update();
+            if (tick === 130) {
+                model.applyInput({ type: 'dragObstacle', index: 0, dragging: true });
+            }
+            if (tick >= 130 && tick < 200) {
+                const pos = start.add(step.multiply(tick - 129));
+                model.applyInput({ type: 'moveObstacle', index: 0, x: pos.x, y: pos.y });
+            }
+            if (tick === 200) {
+                model.applyInput({ type: 'dragObstacle', index: 0, dragging: false });
+            }
+            if (tick === 150 || tick === 190) {
+                recorded[tick] = snapshotJson(model);
+            }
+        }
+        
+        const recorder = model.recorder;
+        recorder.beginPlayback();
+        for (const tick of [190, 150]) {
+            assert.strictEqual(recorder.seek(tick), tick);
+            assertSameJson(snapshotJson(model), recorded[tick]);
+        }
+        recorder.endPlayback();
+    },
+    
+    'pheromone diffusion spreads a deposit and conserves it'() {
+        const field = new PheromoneField(200, 200, 10);
+        field.deposit(new Vec(105, 105), 'home', 1000);
+        const before = field.totals().home;
+        for (let i = 0; i < 20; i++) {
+            field.step(0, 0.05);
+        }
+        const home = field.channel('home');
+        // Cells under 0.01 are cleared, so a little of the spreading edge is lost
+        assert.ok(Math.abs(field.totals().home - before) < before * 0.01, 'diffusion without evaporation keeps the mass');
+        assert.ok(home.grid[field.cellIndex(105, 105)] < 1000, 'the peak flattens');
+        assert.ok(home.grid[field.cellIndex(135, 105)] > 0, 'neighbouring cells receive some');
+        
+        field.step(0.1, 0);
+        assert.ok(field.totals().home < before * 0.95, 'evaporation removes mass');
+    },
+    
+    'lifecycle switched on late does not kill old ants'() {
+        const model = createModel();
+        model.clock.tick = 6.5 * 60 * 60;
+        model.clock.time = 6.5 * 60;
+        model.applyInput({ type: 'setLifecycle', enabled: true });
+        model.update();
+        assert.strictEqual(model.ants.length, 40);
+        assert.strictEqual(model.stats.deaths, 0);
+    },
+    
+    'economy feeds the colony and starves it when the stock runs out'() {
+        // Without food in the world nothing is delivered, so the stock only shrinks
+        const model = createModel({ economy: true });
+        model.foodSources = [];
+        const ration = 40 * AntColonyModel.ECONOMY.foodPerAntMinute / 60;
+        runTicks(model, 600);
+        assert.ok(Math.abs(model.stats.foodEaten - ration * 10) < 1e-9, `ate ${model.stats.foodEaten}, expected ${ration * 10}`);
+        assert.strictEqual(model.nest.isStarving, false);
+        
+        model.nest.foodStored = 0;
+        const energy = model.ants.map(ant => ant.energy);
+        runTicks(model, 60);
+        assert.strictEqual(model.nest.isStarving, true);
+        assert.ok(model.ants.some((ant, i) => ant.energy < energy[i]), 'starving ants lose energy');
+    },
+    
+    'a shrinking colony spoils the food its nest no longer holds'() {
+        const config = AntColonyModel.ECONOMY;
+        const model = createModel({ economy: true });
+        model.foodSources = [];
+        const spoiled = [];
+        model.on('foodSpoiled', event => spoiled.push(event.units));
+        model.nest.foodStored = model.nest.maxCapacity;
+        const before = model.nest.foodStored;
+        
+        model.applyInput({ type: 'setAntCount', antCount: 10 });
+        runTicks(model, 60);
+        const capacity = config.baseCapacity + config.capacityPerAnt * 10;
+        assert.strictEqual(model.nest.maxCapacity, capacity);
+        assert.deepStrictEqual(spoiled, [before - capacity]);
+        assert.strictEqual(model.stats.foodSpoiled, before - capacity);
+        assert.strictEqual(model.nest.foodStored, capacity - 10 * config.foodPerAntMinute / 60);
+        assert.strictEqual(model.nest.isFull, false, 'spoiling does not count as filling the nest');
+    },
+    
+    'a removed satellite spoils the food its main nest cannot take'() {
+        const model = createModel({ economy: true });
+        const spoiled = [];
+        model.on('foodSpoiled', event => spoiled.push(event));
+        model.applyInput({ type: 'addNest', colonyId: 0, x: 800, y: 500 });
+        const satellite = model.colonies[0].satellites[0];
+        satellite.foodStored = 200;
+        model.nest.foodStored = model.nest.maxCapacity - 50;
+        
+        model.applyInput({ type: 'removeNest', colonyId: 0, nestId: satellite.id });
+        assert.strictEqual(model.nest.foodStored, model.nest.maxCapacity);
+        assert.deepStrictEqual(spoiled.map(event => [event.nestId, event.units]), [[null, 150]]);
+        assert.strictEqual(model.colonies[0].stats.foodSpoiled, 150);
+    }
+};
+
+function main() {
+    let failures = 0;
+    for (const [name, check] of Object.entries(CHECKS)) {
+        try {
+            check();
+            console.log(`ok   ${name}`);
+        } catch (error) {
+            failures++;
+            console.log(`FAIL ${name}: ${error.message}`);
+        }
+    }
+    console.log(`${Object.keys(CHECKS).length - failures} of ${Object.keys(CHECKS).length} checks passed`);
+    process.exitCode = failures > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { CHECKS };
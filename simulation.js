@@ -1,272 +1,67 @@
-// Object pool for Vec objects to reduce memory allocations
-const vecPool = [];
-function getVec(x, y) {
-    if (vecPool.length > 0) {
-        const vec = vecPool.pop();
-        vec.x = x;
-        vec.y = y;
-        return vec;
-    }
-    return new Vec(x, y);
-}
-
-function returnVec(vec) {
-    vecPool.push(vec);
-}
-
-// Vector math utility class
-class Vec {
-    constructor(x = 0, y = 0) {
-        this.x = x;
-        this.y = y;
-    }
-    
-    clone() {
-        return new Vec(this.x, this.y);
-    }
-    
-    add(v) {
-        return new Vec(this.x + v.x, this.y + v.y);
-    }
-    
-    subtract(v) {
-        return new Vec(this.x - v.x, this.y - v.y);
-    }
-    
-    multiply(s) {
-        return new Vec(this.x * s, this.y * s);
-    }
-    
-    divide(s) {
-        return new Vec(this.x / s, this.y / s);
-    }
-    
-    magnitude() {
-        return Math.hypot(this.x, this.y);
-    }
-    
-    magnitudeSquared() {
-        return this.x * this.x + this.y * this.y;
-    }
-    
-    normalize() {
-        const m = this.magnitude();
-        return m > 0 ? this.divide(m) : new Vec(0, 0);
-    }
-    
-    dot(v) {
-        return this.x * v.x + this.y * v.y;
-    }
-    
-    angle() {
-        return Math.atan2(this.y, this.x);
-    }
-    
-    static random() {
-        const a = Math.random() * Math.PI * 2;
-        return new Vec(Math.cos(a), Math.sin(a));
-    }
-}
-
-// Blob generator for creating irregular obstacle shapes
-function makeBlob(cx, cy, r, irregularity = 0.1, points = 20) {
-    const pts = [];
-    points = Math.max(3, points);
-    for (let i = 0; i < points; i++) {
-        const theta = (i / points) * Math.PI * 2;
-        const variance = 1 + (Math.random() * 2 - 1) * irregularity;
-        const radius = r * variance;
-        pts.push(new Vec(cx + Math.cos(theta) * radius, cy + Math.sin(theta) * radius));
-    }
-    return pts;
-}
-
-// Find nearest point on a line segment
-function closestOnSeg(a, b, p) {
-    const ab = b.subtract(a);
-    const t = ((p.x - a.x) * ab.x + (p.y - a.y) * ab.y) / (ab.x * ab.x + ab.y * ab.y);
-    const tt = Math.max(0, Math.min(1, t));
-    return new Vec(a.x + ab.x * tt, a.y + ab.y * tt);
-}
-
-// Enhanced pheromone field with separate home/food trails
-class PheromoneField {
-    constructor(w, h, cell) {
-        this.cell = cell;
-        this.gridW = Math.max(1, Math.ceil(w / cell));
-        this.gridH = Math.max(1, Math.ceil(h / cell));
-        this.home = Array(this.gridW).fill().map(() => Array(this.gridH).fill(0));
-        this.food = Array(this.gridW).fill().map(() => Array(this.gridH).fill(0));
-        this.pathSuccess = Array(this.gridW).fill().map(() => Array(this.gridH).fill(0));
-    }
-    
-    _clamp(i, max) {
-        return Math.min(Math.max(i, 0), max - 1);
-    }
-    
-    index(pos) {
-        let gx = Math.floor(pos.x / this.cell);
-        let gy = Math.floor(pos.y / this.cell);
-        gx = this._clamp(gx, this.gridW);
-        gy = this._clamp(gy, this.gridH);
-        return { gx, gy };
-    }
-    
-    deposit(pos, type, amt, successBonus = 1) {
-        const { gx, gy } = this.index(pos);
-        if (type === 'home') {
-            this.home[gx][gy] = Math.min(this.home[gx][gy] + amt * successBonus, 1000);
-        } else {
-            this.food[gx][gy] = Math.min(this.food[gx][gy] + amt * successBonus, 1000);
-        }
-        this.pathSuccess[gx][gy] += successBonus * 0.1;
-        
-        // Spread pheromone to neighboring cells for smoother trails
-        const spreadRadius = 1;
-        for (let dx = -spreadRadius; dx <= spreadRadius; dx++) {
-            for (let dy = -spreadRadius; dy <= spreadRadius; dy++) {
-                const nx = gx + dx;
-                const ny = gy + dy;
-                if (nx >= 0 && nx < this.gridW && ny >= 0 && ny < this.gridH) {
-                    const distance = Math.sqrt(dx * dx + dy * dy);
-                    if (distance > 0 && distance <= spreadRadius) {
-                        const spreadAmount = amt * successBonus * (1 - distance / spreadRadius) * 0.3;
-                        if (type === 'home') {
-                            this.home[nx][ny] = Math.min(this.home[nx][ny] + spreadAmount, 1000);
-                        } else {
-                            this.food[nx][ny] = Math.min(this.food[nx][ny] + spreadAmount, 1000);
-                        }
-                    }
-                }
-            }
-        }
-    }
-    
-    sample(pos, type) {
-        const { gx, gy } = this.index(pos);
-        return type === 'home' ? this.home[gx][gy] : this.food[gx][gy];
-    }
-    
-    gradient(pos, type) {
-        const delta = this.cell * 0.8;
-        
-        // 8-directional sampling for more accurate gradients
-        const right = this.sample(new Vec(pos.x + delta, pos.y), type);
-        const left = this.sample(new Vec(pos.x - delta, pos.y), type);
-        const down = this.sample(new Vec(pos.x, pos.y + delta), type);
-        const up = this.sample(new Vec(pos.x, pos.y - delta), type);
-        const upRight = this.sample(new Vec(pos.x + delta * 0.7, pos.y - delta * 0.7), type);
-        const upLeft = this.sample(new Vec(pos.x - delta * 0.7, pos.y - delta * 0.7), type);
-        const downRight = this.sample(new Vec(pos.x + delta * 0.7, pos.y + delta * 0.7), type);
-        const downLeft = this.sample(new Vec(pos.x - delta * 0.7, pos.y + delta * 0.7), type);
-        
-        // Calculate gradient using all 8 directions
-        const dx = (right - left) * 0.5 + (upRight - upLeft + downRight - downLeft) * 0.25;
-        const dy = (down - up) * 0.5 + (downRight - upRight + downLeft - upLeft) * 0.25;
-        
-        const grad = new Vec(dx, dy);
-        return grad.magnitude() > 0.1 ? grad.normalize() : new Vec(0, 0);
-    }
-    
-    evaporate(rate) {
-        for (let x = 0; x < this.gridW; x++) {
-            for (let y = 0; y < this.gridH; y++) {
-                this.home[x][y] *= (1 - rate);
-                this.food[x][y] *= (1 - rate);
-                this.pathSuccess[x][y] *= (1 - rate * 0.3);
-                
-                if (this.home[x][y] < 0.01) this.home[x][y] = 0;
-                if (this.food[x][y] < 0.01) this.food[x][y] = 0;
-                if (this.pathSuccess[x][y] < 0.01) this.pathSuccess[x][y] = 0;
-            }
-        }
-    }
-    
-    clear() {
-        for (let x = 0; x < this.gridW; x++) {
-            for (let y = 0; y < this.gridH; y++) {
-                this.home[x][y] = 0;
-                this.food[x][y] = 0;
-                this.pathSuccess[x][y] = 0;
-            }
-        }
-    }
-    
-    reinforcePath(pathPoints, strength) {
-        if (!pathPoints || pathPoints.length === 0) return;
-        
-        for (const pos of pathPoints) {
-            if (!pos) continue;
-            const { gx, gy } = this.index(pos);
-            if (gx >= 0 && gx < this.gridW && gy >= 0 && gy < this.gridH) {
-                this.pathSuccess[gx][gy] = Math.min(this.pathSuccess[gx][gy] + strength, 100);
-            }
-        }
-    }
-}
-
-class AntForagingSimulation {
-    constructor(canvas) {
-        console.log('AntForagingSimulation constructor called');
+// Browser front-end: canvas rendering, input handling and preset storage on top
+// of the headless AntColonyModel from simulation_core.js
+class AntForagingSimulation extends AntColonyModel {
+    constructor(canvas, options = {}) {
+        // The world defaults to the canvas size; options.worldWidth/worldHeight fix it independently
+        super(options.worldWidth || canvas.width, options.worldHeight || canvas.height, { recordReplay: true, ...options });
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
-        this.width = canvas.width;
-        this.height = canvas.height;
         this.isRunning = false;
         this.needsApproval = true; // New: require approval before starting
-        console.log('Canvas context created, dimensions:', this.width, 'x', this.height);
+        this.log('debug', `Canvas context created, dimensions: ${this.width} x ${this.height}`);
         
-        // Simulation parameters
-        this.antCount = 500;
-        this.evaporationRate = 0.01; // Reduced from 0.05
-        this.foodCount = 8; // Increased from 2
+        this.maxFrameDelta = 250; // Max wall-clock ms simulated per rendered frame
         
-        // Custom preset system
-        this.currentPreset = null;
-        this.presets = {};
+        // Simulation speed (index into SPEEDS); 'max' runs as many ticks as fit in a frame
+        this.speedIndex = AntForagingSimulation.SPEEDS.indexOf(1);
+        this.maxUpdatesPerFrame = 400; // Backlog beyond this is dropped rather than stalling the page
+        this.maxSpeedFrameBudget = 25; // Wall-clock ms of updates per frame at 'max'
         
         // Load saved presets from localStorage
         this.loadSavedPresets();
         
-        // Simulation state
-        this.ants = [];
-        this.foodSources = [];
-        this.obstacles = [];
-        this.pheromoneField = new PheromoneField(this.width, this.height, 6);
-        // Nest properties - will be randomized in initialize()
-        this.nest = { 
-            x: this.width / 2, 
-            y: this.height / 2, 
-            radius: 40, 
-            foodStored: 0,
-            maxCapacity: 0, // Will be calculated based on total food available
-            efficiency: 1.0,
-            isFull: false
-        };
-        
-
-        this.frameCount = 0;
-        this.lastSpawnTime = 0;
-        this.nextSpawnInterval = 60 + Math.floor(Math.random() * 120); // 1-3 seconds (much faster)
-
-        this.startTime = performance.now(); // For timer
-        this.isPaused = false; // Pause state for simulation
-        
         // Button press animation states
         this.buttonPressStates = {
             reset: false,
             pause: false,
-            restart: false
+            restart: false,
+            speed: false,
+            step: false,
+            view: false
         };
         this.buttonPressTimers = {
             reset: 0,
             pause: 0,
-            restart: 0
+            restart: 0,
+            speed: 0,
+            step: 0,
+            view: 0
         };
         
-        // Track a highlighted green ant for observation
-        this.highlightedGreenAnt = null;
-        this.sampleAntToggle = false; // Default OFF - no highlighting
+        // Ant picked by clicking it (or the first ant); its trail and inspector card show while the ANT toggle is on
+        this.selectedAnt = null;
+        this.showAntInspector = false; // Default OFF - no highlighting
+        
+        // View centre in world coordinates and canvas pixels per world unit. Wheel/pinch zoom,
+        // Shift-drag pans, and it tracks the selected ant while following (FOLLOW button / F key)
+        this.camera = { x: this.width / 2, y: this.height / 2, zoom: 1, fitted: true };
+        this.followSelectedAnt = false;
+        
+        // Armed satellite nest placement or removal (settings panel / N key), else null
+        this.nestTool = null;
+        
+        // Live metrics charts overlay (CHARTS button / C key)
+        this.showMetricsPanel = false;
+        
+        // Replay playback state while the timeline is open (REPLAY button / V key), else null
+        this.replay = null;
+        
+        // Gradient arrows and the highlighted ant's antennae cone (GRAD button / G key)
+        this.showGradientOverlay = false;
+        
+        // Pheromone render mode (one of PHEROMONE_VIEWS) and the channel single-channel views show
+        this.pheromoneView = { mode: 'layers', channel: 'food' };
+        this.pheromoneLegendRect = null;
         
         // Preset editor system
         this.presetEditor = {
@@ -275,67 +70,17 @@ class AntForagingSimulation {
             isEditing: false
         };
         
-        // Load saved presets from localStorage
-        this.loadSavedPresets();
-        
-
-        
-
-        
         // Color customization - load from localStorage or use defaults
         const savedColors = loadDefaultColors();
         this.nestColor = savedColors.nestColor || '#3a6d36'; // RGB(58, 109, 54) - Nest and exploring ant
         this.antColor = savedColors.antColor || '#b03030'; // RGB(176, 48, 48) - Returning Ants
         
-        // Trail colors
-        this.returningTrailColor = savedColors.returningTrailColor || '#732626'; // RGB(115, 38, 38) - Returning trail
-        this.scoutingTrailColor = savedColors.scoutingTrailColor || '#292e28'; // RGB(41, 46, 40) - Exploring trail
-        
-        // Helper method to get direct path between two points
-        this.getDirectPath = (from, to) => {
-            const path = [];
-            const distance = from.subtract(to).magnitude();
-            const steps = Math.ceil(distance / 50); // Check every 50 pixels
-            
-            for (let i = 0; i <= steps; i++) {
-                const t = i / steps;
-                const x = from.x + (to.x - from.x) * t;
-                const y = from.y + (to.y - from.y) * t;
-                path.push(new Vec(x, y));
-            }
-            
-            return path;
-        };
-        
-        // Helper method to validate food position
-        this.isValidFoodPosition = (food) => {
-            // Check bounds
-            if (food.pos.x < food.radius || food.pos.x > this.width - food.radius ||
-                food.pos.y < food.radius || food.pos.y > this.height - food.radius) {
-                return false;
-            }
-            
-            // Don't place too close to nest
-            if (food.pos.subtract(new Vec(this.nest.x, this.nest.y)).magnitude() < food.radius + this.nest.radius + 100) {
-                return false;
-            }
-            
-            // Don't place too close to other food
-            for (const existingFood of this.foodSources) {
-                if (food.pos.subtract(existingFood.pos).magnitude() < food.radius + existingFood.radius + 50) {
-                    return false;
-                }
-            }
-            
-            // Don't place too close to obstacles
-            for (const obstacle of this.obstacles) {
-                if (food.pos.subtract(obstacle.pos).magnitude() < food.radius + obstacle.baseRadius + 50) {
-                    return false;
-                }
-            }
-            
-            return true;
-        };
+        // Trail colors live on the pheromone channels (older saves only have the home/food ones)
+        this.applyPheromoneColors({
+            home: savedColors.scoutingTrailColor,
+            food: savedColors.returningTrailColor,
+            ...savedColors.pheromoneColors
+        });
         
         // Helper method to draw rounded rectangles
         this.roundRect = (x, y, width, height, radius) => {
@@ -352,221 +97,234 @@ class AntForagingSimulation {
             this.ctx.closePath();
         };
         
-        // Helper method to validate obstacle position
-        this.isValidObstaclePosition = (obstacle) => {
-            // Don't place too close to nest
-            if (obstacle.pos.subtract(new Vec(this.nest.x, this.nest.y)).magnitude() < obstacle.baseRadius + this.nest.radius + 100) {
-                return false;
-            }
-            
-            // Don't place too close to food sources
-            for (const food of this.foodSources) {
-                if (obstacle.pos.subtract(food.pos).magnitude() < obstacle.baseRadius + food.radius + 80) {
-                    return false;
-                }
-            }
-            
-            // Don't place too close to existing obstacles
-            for (const existingObstacle of this.obstacles) {
-                if (obstacle.pos.subtract(existingObstacle.pos).magnitude() < obstacle.baseRadius + existingObstacle.baseRadius + 30) {
-                    return false;
-                }
-            }
-            
-            return true;
-        };
-        
-        // Helper method to sweep ants away from moving obstacles
-        this.sweepAntsFromObstaclePath = (obstacle, newPos) => {
-            const sweepRadius = obstacle.baseRadius + 30; // Larger sweep area for fast obstacles
-            const sweepForce = 12; // Much stronger force to push ants away
-            
-            for (const ant of this.ants) {
-                const distance = ant.position.subtract(newPos).magnitude();
-                if (distance < sweepRadius) {
-                    // Calculate direction away from obstacle
-                    const awayDirection = ant.position.subtract(newPos).normalize();
-                    
-                    // Apply strong repulsion force with distance-based scaling
-                    const repulsionForce = (sweepRadius - distance) / sweepRadius * sweepForce;
-                    ant.velocity = ant.velocity.add(awayDirection.multiply(repulsionForce));
-                    
-                    // Ensure ant doesn't get pushed too fast
-                    if (ant.velocity.magnitude() > 10) {
-                        ant.velocity = ant.velocity.normalize().multiply(10);
-                    }
-                    
-                    // Emergency teleport if ant is too close to obstacle center
-                    if (distance < obstacle.baseRadius * 0.5) {
-                        // Teleport ant to a safe distance outside the obstacle
-                        const safeDistance = obstacle.baseRadius + 15;
-                        const teleportDirection = ant.position.subtract(newPos).normalize();
-                        ant.position = newPos.add(teleportDirection.multiply(safeDistance));
-                        console.log('Emergency teleport: Ant moved outside obstacle');
-                    }
-                }
-            }
-        };
-        
-        // Helper method to check and fix ants trapped inside obstacles
-        this.checkAndFixTrappedAnts = () => {
-            for (const ant of this.ants) {
-                for (const obstacle of this.obstacles) {
-                    const rep = obstacle.repulse(ant.position);
-                    
-                    // Fix ants that are inside or very close to obstacles
-                    if (rep.dist < 0.8) {
-                        // Calculate the closest point outside the obstacle
-                        const awayDirection = ant.position.subtract(obstacle.pos).normalize();
-                        const safeDistance = obstacle.baseRadius + 15;
-                        
-                        // Teleport ant to safe position
-                        ant.position = obstacle.pos.add(awayDirection.multiply(safeDistance));
-                        
-                        // Apply stronger velocity away from obstacle
-                        ant.velocity = awayDirection.multiply(3);
-                        
-                        console.log(`Fixed trapped ${ant.hasFood ? 'red' : 'green'} ant: Moved outside obstacle`);
-                    }
-                }
-            }
-        };
-        
-        // Helper method to sweep ants along with moving obstacles
-        this.sweepAntsFromMovingObstacle = (obstacle) => {
-            // Sweep ants along with moving obstacles (works even when paused)
-            if (!obstacle.lastPos) return;
-            
-            const obstacleMovement = obstacle.pos.subtract(obstacle.lastPos);
-            const movementMagnitude = obstacleMovement.magnitude();
-            
-            if (movementMagnitude < 0.1) return; // No significant movement
-            
-            for (const ant of this.ants) {
-                const rep = obstacle.repulse(ant.position);
-                const sweepRange = obstacle.baseRadius + 20; // Larger sweep range for dragging
-                
-                if (rep.dist < sweepRange) {
-                    // Calculate sweep force based on distance from obstacle center
-                    const distanceFactor = Math.max(0, (sweepRange - rep.dist) / sweepRange);
-                    const sweepForce = distanceFactor * 1.2; // Stronger sweeping force for dragging
-                    
-                    // Apply obstacle movement to ant position
-                    const sweptMovement = obstacleMovement.multiply(sweepForce);
-                    ant.position = ant.position.add(sweptMovement);
-                    
-                    // Also add velocity in the direction of movement
-                    const sweepVelocity = obstacleMovement.normalize().multiply(sweepForce * 3.0);
-                    ant.velocity = ant.velocity.add(sweepVelocity);
-                    
-                    // Limit velocity to prevent excessive speed
-                    if (ant.velocity.magnitude() > 8.0) {
-                        ant.velocity = ant.velocity.normalize().multiply(8.0);
-                    }
-                }
-            }
-        };
-        
-
-        
-        console.log('About to initialize simulation...');
         this.initialize();
     }
     
     reset() {
-        console.log('Resetting simulation...');
         this.stop(); // Stop the current animation loop
-        
-        // Clear all existing objects
-        this.obstacles = [];
-        this.foodSources = [];
-        this.ants = [];
-        
-        // Reset simulation state
-        this.frameCount = 0;
-        this.lastSpawnTime = 0;
-        this.nextSpawnInterval = 60 + Math.floor(Math.random() * 120);
-        this.startTime = performance.now();
-        this.isPaused = false;
-        
-        // Clear pheromones
-        this.pheromoneField.clear();
-        
-        // Reset nest
-        this.nest.foodStored = 0;
-        this.nest.isFull = false;
-        
-        // Create fresh layout
-        this.initialize();
+        super.reset();
     }
     
     restart() {
-        console.log('Restarting simulation with preserved positions...');
-        
-        // Reset simulation state but preserve positions
-        this.ants = [];
-        this.frameCount = 0;
-        this.lastSpawnTime = 0;
-        this.nextSpawnInterval = 60 + Math.floor(Math.random() * 120);
-
-        this.startTime = performance.now();
-        this.isPaused = false;
+        super.restart();
         
-        // Clear pheromones
-        this.pheromoneField.clear();
+        // The colony is rebuilt, so fall back to the first ant
+        this.selectedAnt = this.ants[0] || null;
+    }
+    
+    initialize() {
+        super.initialize();
         
-        // Reset food amounts but keep positions
-        for (let food of this.foodSources) {
-            food.amount = food.originalAmount;
-        }
+        // Select the first ant until the user clicks another one
+        this.selectedAnt = this.ants[0] || null;
+        this.resetView();
         
-        // Reset nest storage
-        this.nest.foodStored = 0;
-        this.nest.isFull = false;
+        // Start simulation immediately
+        this.needsApproval = false;
+        this.isRunning = true;
+        this.start();
+    }
+    
+    updateAntCount() {
+        super.updateAntCount();
         
-        // Create new ants
-        for (let i = 0; i < this.antCount; i++) {
-            let validPosition = false;
-            let attempts = 0;
-            let x, y;
-            
-            while (!validPosition && attempts < 50) {
-                const angle = (i / this.antCount) * Math.PI * 2 + Math.random() * 0.5;
-                const distance = 15 + Math.random() * 10;
-                x = this.nest.x + Math.cos(angle) * distance;
-                y = this.nest.y + Math.sin(angle) * distance;
-                
-                // Check if position is not inside any obstacle
-                validPosition = true;
-                for (const obstacle of this.obstacles) {
-                    const rep = obstacle.repulse(new Vec(x, y));
-                    if (rep.dist < 5) { // Minimum safe distance from obstacles
-                        validPosition = false;
-                        break;
-                    }
-                }
-                attempts++;
+        // Lowering the count may have removed the selected ant
+        this.keepSelectedAnt();
+    }
+    
+    // Ants are rebuilt by snapshot loads and replay seeks; keep the same ant by id, else the first
+    keepSelectedAnt() {
+        if (this.selectedAnt && this.ants.includes(this.selectedAnt)) return;
+        const id = this.selectedAnt ? this.selectedAnt.id : null;
+        this.selectedAnt = this.ants.find(ant => ant.id === id) || this.ants[0] || null;
+    }
+    
+    // Nearest ant within radius of a world point, or null
+    findAntAt(point, radius = 10) {
+        let nearest = null;
+        let nearestDistance = radius;
+        for (const ant of this.ants) {
+            const distance = Math.hypot(ant.position.x - point.x, ant.position.y - point.y);
+            if (distance <= nearestDistance) {
+                nearest = ant;
+                nearestDistance = distance;
             }
-            
-            const ant = new Ant(x, y, this);
-            this.ants.push(ant);
-            
-            // Select the first green ant (exploring ant) for highlighting
-            if (i === 0) {
-                this.highlightedGreenAnt = ant;
-                console.log('Selected green ant for highlighting and trail observation');
+        }
+        return nearest;
+    }
+    
+    // Nest under a world point as { colony, nest }, or null. The hitbox covers the
+    // whole nest drawing, which is smaller for satellite nests.
+    findNestAt(point) {
+        for (const colony of this.colonies) {
+            for (const nest of this.colonyNests(colony)) {
+                const reach = nest === colony.nest ? 35 : 35 * AntForagingSimulation.SATELLITE_SCALE;
+                if (Math.hypot(point.x - nest.x, point.y - nest.y) <= reach) {
+                    return { colony, nest };
+                }
             }
         }
-        
-        // Give ants varied initial directions
-        for (let i = 0; i < this.ants.length; i++) {
-            const ant = this.ants[i];
-            const angleToNest = ant.position.subtract(new Vec(this.nest.x, this.nest.y)).angle();
-            ant.velocity = new Vec(Math.cos(angleToNest + (Math.random() - 0.5) * Math.PI), 
-                                 Math.sin(angleToNest + (Math.random() - 0.5) * Math.PI)).multiply(2);
+        return null;
+    }
+    
+    // Arm the nest tool: the next click in the world adds a satellite nest for
+    // the colony ('add') or removes the satellite nest clicked on ('remove')
+    armNestTool(action, colonyId) {
+        this.nestTool = { action, colonyId };
+        this.canvas.style.cursor = 'crosshair';
+    }
+    
+    cancelNestTool() {
+        this.nestTool = null;
+        this.canvas.style.cursor = 'default';
+    }
+    
+    // Carry out the armed nest tool at a world point; returns false when the
+    // click missed (removing where there is no satellite nest), keeping it armed
+    applyNestTool(point) {
+        const { action, colonyId } = this.nestTool;
+        if (action === 'add') {
+            this.applyInput({ type: 'addNest', colonyId, x: point.x, y: point.y });
+        } else {
+            const hit = this.findNestAt(point);
+            if (!hit || hit.nest === hit.colony.nest) return false;
+            this.applyInput({ type: 'removeNest', colonyId: hit.colony.id, nestId: hit.nest.id });
         }
-        
-        console.log(`Restarted simulation with ${this.ants.length} ants`);
+        this.cancelNestTool();
+        return true;
+    }
+    
+    // Ant and nest colors of a colony; the first one uses the customizable colors
+    colonyColors(colony) {
+        if (colony.id === 0) {
+            return { color: this.nestColor, carryingColor: this.antColor };
+        }
+        return AntColonyModel.COLONY_PALETTE[colony.id];
+    }
+    
+    selectAnt(ant) {
+        this.selectedAnt = ant;
+        this.showAntInspector = true;
+        this.log('debug', `Selected ant #${ant.id}`);
+    }
+    
+    // Canvas size in pixels; this.width and this.height are the world's, which the camera maps onto it
+    get viewWidth() {
+        return this.canvas.width;
+    }
+    
+    get viewHeight() {
+        return this.canvas.height;
+    }
+    
+    // Canvas pixel <-> world coordinates under the camera
+    screenToWorld(pos) {
+        const { x, y, zoom } = this.camera;
+        return {
+            x: (pos.x - this.viewWidth / 2) / zoom + x,
+            y: (pos.y - this.viewHeight / 2) / zoom + y
+        };
+    }
+    
+    worldToScreen(pos) {
+        const { x, y, zoom } = this.camera;
+        return {
+            x: (pos.x - x) * zoom + this.viewWidth / 2,
+            y: (pos.y - y) * zoom + this.viewHeight / 2
+        };
+    }
+    
+    // Zoom at which the whole world just fits the canvas
+    getFitZoom() {
+        return Math.min(this.viewWidth / this.width, this.viewHeight / this.height);
+    }
+    
+    // Centre the world in the view, scaled to fit the canvas (Z key). A fitted view
+    // refits when the window changes size; zooming, panning or following ends that
+    resetView() {
+        this.camera = { x: this.width / 2, y: this.height / 2, zoom: this.getFitZoom(), fitted: true };
+    }
+    
+    setCameraZoom(zoom) {
+        const limits = AntForagingSimulation.ZOOM_LIMITS;
+        this.camera.zoom = Math.max(Math.min(limits.min, this.getFitZoom()), Math.min(limits.max, zoom));
+        this.camera.fitted = false;
+    }
+    
+    // The canvas follows the window; the world and colony are untouched, only the view adapts
+    handleViewportResize() {
+        if (this.camera.fitted) {
+            this.resetView();
+            return;
+        }
+        this.setCameraZoom(this.camera.zoom);
+        this.clampCamera();
+    }
+    
+    // Move the camera so a world point sits under a canvas pixel (panning, pinching, zooming at the cursor)
+    anchorCamera(world, pos) {
+        this.camera.fitted = false;
+        this.camera.x = world.x - (pos.x - this.viewWidth / 2) / this.camera.zoom;
+        this.camera.y = world.y - (pos.y - this.viewHeight / 2) / this.camera.zoom;
+        this.clampCamera();
+    }
+    
+    // Zoom by a factor, keeping the world point under a canvas pixel in place
+    zoomAt(pos, factor) {
+        const anchor = this.screenToWorld(pos);
+        this.setCameraZoom(this.camera.zoom * factor);
+        this.anchorCamera(anchor, pos);
+    }
+    
+    // The view centre stays over the world, so it can't be panned away entirely
+    clampCamera() {
+        this.camera.x = Math.max(0, Math.min(this.width, this.camera.x));
+        this.camera.y = Math.max(0, Math.min(this.height, this.camera.y));
+    }
+    
+    // Ease the view toward the followed ant
+    updateCamera() {
+        if (!this.followSelectedAnt || !this.selectedAnt) return;
+        this.camera.fitted = false;
+        const target = this.selectedAnt.position;
+        const easing = AntForagingSimulation.CAMERA_EASING;
+        this.camera.x += (target.x - this.camera.x) * easing;
+        this.camera.y += (target.y - this.camera.y) * easing;
+    }
+    
+    // Minimap in the bottom-right corner, above the settings hover zone, in the world's aspect ratio
+    minimapLayout() {
+        const scale = AntForagingSimulation.MINIMAP_SIZE / Math.max(this.width, this.height);
+        const width = this.width * scale;
+        const height = this.height * scale;
+        return { x: this.viewWidth - 10 - width, y: this.viewHeight - 110 - height, width, height, scale };
+    }
+    
+    isInMinimap(pos) {
+        const map = this.minimapLayout();
+        return pos.x >= map.x && pos.x <= map.x + map.width && pos.y >= map.y && pos.y <= map.y + map.height;
+    }
+    
+    // Centre the view on the world point under a minimap pixel
+    centerCameraOnMinimap(pos) {
+        const map = this.minimapLayout();
+        this.camera.fitted = false;
+        this.camera.x = (pos.x - map.x) / map.scale;
+        this.camera.y = (pos.y - map.y) / map.scale;
+        this.clampCamera();
+    }
+    
+    // Button press animations run per rendered frame, so they also finish while
+    // paused and don't speed up with the simulation
+    updateButtonAnimations() {
+        Object.keys(this.buttonPressTimers).forEach(buttonName => {
+            if (this.buttonPressTimers[buttonName] > 0) {
+                this.buttonPressTimers[buttonName]--;
+                if (this.buttonPressTimers[buttonName] === 0) {
+                    this.buttonPressStates[buttonName] = false;
+                }
+            }
+        });
     }
     
     setupDraggableObjects() {
@@ -575,75 +333,181 @@ class AntForagingSimulation {
         this.canvas.removeEventListener('mousemove', this._handlePointerMove);
         this.canvas.removeEventListener('mouseup', this._handlePointerUp);
         this.canvas.removeEventListener('mouseleave', this._handlePointerUp);
+        this.canvas.removeEventListener('wheel', this._handleWheel);
         
         let isDragging = false;
         let draggedFood = null;
         let draggedObstacle = null;
-        let draggedNest = null;
+        let draggedNest = null; // { colony, nest }
         let dragOffset = { x: 0, y: 0 };
+        let panAnchor = null; // World point held under the pointer while panning
+        let isMinimapDrag = false;
+        let pinch = null;
         
-        // Helper function to get touch or mouse position
+        // Helper function to get touch or mouse position, in canvas pixels plus the world point under it
         const getPointerPosition = (e) => {
             const rect = this.canvas.getBoundingClientRect();
             const clientX = e.clientX || (e.touches && e.touches[0] ? e.touches[0].clientX : 0);
             const clientY = e.clientY || (e.touches && e.touches[0] ? e.touches[0].clientY : 0);
-            return {
+            const pos = {
                 x: clientX - rect.left,
                 y: clientY - rect.top
             };
+            pos.world = this.screenToWorld(pos);
+            return pos;
+        };
+        
+        // Midpoint and spread of a two-finger touch
+        const getPinchGeometry = (e) => {
+            const rect = this.canvas.getBoundingClientRect();
+            const [a, b] = e.touches;
+            return {
+                center: { x: (a.clientX + b.clientX) / 2 - rect.left, y: (a.clientY + b.clientY) / 2 - rect.top },
+                distance: Math.max(1, Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY))
+            };
         };
         
+        // Ants stay clickable at any zoom: about 10 canvas pixels, never less than an ant's body
+        const antPickRadius = () => Math.max(5, 10 / this.camera.zoom);
+        
         // Helper function to handle pointer down
         const handlePointerDown = (e) => {
             const pos = getPointerPosition(e);
-            const mousePos = new Vec(pos.x, pos.y);
+            
+            // A second finger turns the touch into a pinch: zoom and pan around the fingers' midpoint
+            if (e.touches && e.touches.length === 2) {
+                handlePointerUp(e);
+                const geometry = getPinchGeometry(e);
+                pinch = { anchor: this.screenToWorld(geometry.center), distance: geometry.distance, zoom: this.camera.zoom };
+                this.followSelectedAnt = false;
+                e.preventDefault();
+                return;
+            }
+            
+            // Shift-drag or middle-button drag pans the view
+            if (e.shiftKey || e.button === 1) {
+                panAnchor = pos.world;
+                this.followSelectedAnt = false;
+                this.canvas.style.cursor = 'move';
+                e.preventDefault();
+                return;
+            }
+            
+            // Pressing or dragging on the minimap centres the view there
+            if (this.isInMinimap(pos)) {
+                isMinimapDrag = true;
+                this.followSelectedAnt = false;
+                this.centerCameraOnMinimap(pos);
+                e.preventDefault();
+                return;
+            }
+            
+            // During replay only the replay controls respond; the world can't be edited
+            if (this.replay) {
+                this.handleReplayPointerDown(pos);
+                return;
+            }
             
             // Check for button clicks first
-            const resetDistance = Math.sqrt(Math.pow(pos.x - (this.width - 60), 2) + Math.pow(pos.y - 82.5, 2));
-            if (resetDistance <= 40) {
+            if (this.isOnColumnButton(pos, 65)) {
                 this.triggerButtonPress('reset');
                 this.reset();
-                console.log('Reset button clicked');
+                this.log('debug', 'Reset button clicked');
                 return;
             }
             
-            const pauseDistance = Math.sqrt(Math.pow(pos.x - (this.width - 60), 2) + Math.pow(pos.y - 122.5, 2));
-            if (pauseDistance <= 40) {
+            if (this.isOnColumnButton(pos, 105)) {
                 this.triggerButtonPress('pause');
                 this.isPaused = !this.isPaused;
-                console.log('Pause button clicked - simulation paused:', this.isPaused);
+                this.log('debug', `Pause button clicked - simulation paused: ${this.isPaused}`);
                 return;
             }
             
-            const restartDistance = Math.sqrt(Math.pow(pos.x - (this.width - 60), 2) + Math.pow(pos.y - 162.5, 2));
-            if (restartDistance <= 40) {
+            if (this.isOnColumnButton(pos, 145)) {
                 this.triggerButtonPress('restart');
                 this.restart();
-                console.log('Restart button clicked - simulation restarted with preserved positions');
+                this.log('debug', 'Restart button clicked - simulation restarted with preserved positions');
                 return;
             }
             
-            const sampleDistance = Math.sqrt(Math.pow(pos.x - (this.width - 60), 2) + Math.pow(pos.y - 202.5, 2));
-            if (sampleDistance <= 40) {
-                this.sampleAntToggle = !this.sampleAntToggle;
-                console.log('Sample Ant toggle clicked - highlighting:', this.sampleAntToggle ? 'ON' : 'OFF');
+            if (this.isOnColumnButton(pos, 185)) {
+                this.showAntInspector = !this.showAntInspector;
+                this.log('debug', `Ant inspector toggle clicked - highlighting: ${this.showAntInspector ? 'ON' : 'OFF'}`);
                 return;
             }
             
-
+            if (this.isOnColumnButton(pos, 225)) {
+                this.showMetricsPanel = !this.showMetricsPanel;
+                return;
+            }
+            
+            if (this.isOnColumnButton(pos, 265)) {
+                this.enterReplay();
+                return;
+            }
+            
+            if (this.isOnColumnButton(pos, 305)) {
+                this.triggerButtonPress('speed');
+                this.cycleSpeed();
+                return;
+            }
+            
+            if (this.isOnColumnButton(pos, 345) && this.isPaused) {
+                this.triggerButtonPress('step');
+                this.stepOnce();
+                return;
+            }
+            
+            if (this.isOnColumnButton(pos, 385)) {
+                this.triggerButtonPress('view');
+                this.cyclePheromoneView();
+                return;
+            }
+            
+            if (this.isOnColumnButton(pos, 425)) {
+                this.showGradientOverlay = !this.showGradientOverlay;
+                return;
+            }
+            
+            if (this.isOnColumnButton(pos, 465)) {
+                this.followSelectedAnt = !this.followSelectedAnt;
+                return;
+            }
+            
+            if (this.isOnColumnButton(pos, 505)) {
+                this.applyInput({ type: 'setLifecycle', enabled: !this.lifecycle });
+                return;
+            }
+            
+            const legend = this.pheromoneLegendRect;
+            if (legend && pos.x >= legend.x && pos.x <= legend.x + legend.width && pos.y >= legend.y && pos.y <= legend.y + legend.height) {
+                this.cyclePheromoneViewChannel(1);
+                return;
+            }
+            
+            // Everything below is in the world, under the camera's pan and zoom
+            const worldPos = pos.world;
+            const mousePos = new Vec(worldPos.x, worldPos.y);
+            
+            // An armed nest tool takes the click
+            if (this.nestTool) {
+                this.applyNestTool(worldPos);
+                e.preventDefault();
+                return;
+            }
             
             // Check if clicking on a food source
             for (let food of this.foodSources) {
                 const distance = Math.sqrt(
-                    Math.pow(pos.x - food.pos.x, 2) + 
-                    Math.pow(pos.y - food.pos.y, 2)
+                    Math.pow(worldPos.x - food.pos.x, 2) + 
+                    Math.pow(worldPos.y - food.pos.y, 2)
                 );
                 
                 if (distance <= food.radius) {
                     isDragging = true;
                     draggedFood = food;
-                    dragOffset.x = pos.x - food.pos.x;
-                    dragOffset.y = pos.y - food.pos.y;
+                    dragOffset.x = worldPos.x - food.pos.x;
+                    dragOffset.y = worldPos.y - food.pos.y;
                     this.canvas.style.cursor = 'grabbing';
                     break;
                 }
@@ -656,9 +520,9 @@ class AntForagingSimulation {
                     if (distance <= obstacle.baseRadius) {
                         isDragging = true;
                         draggedObstacle = obstacle;
-                        draggedObstacle.isBeingDragged = true;
-                        dragOffset.x = pos.x - obstacle.pos.x;
-                        dragOffset.y = pos.y - obstacle.pos.y;
+                        this.applyInput({ type: 'dragObstacle', index: this.obstacles.indexOf(obstacle), dragging: true });
+                        dragOffset.x = worldPos.x - obstacle.pos.x;
+                        dragOffset.y = worldPos.y - obstacle.pos.y;
                         this.canvas.style.cursor = 'grabbing';
                         e.preventDefault();
                         break;
@@ -666,86 +530,80 @@ class AntForagingSimulation {
                 }
             }
             
-            // Check if clicking on the nest
+            // Check if clicking on a nest (main or satellite)
             if (!isDragging) {
-                const nestDistance = Math.sqrt(
-                    Math.pow(pos.x - this.nest.x, 2) + 
-                    Math.pow(pos.y - this.nest.y, 2)
-                );
-                
-                // Nest hitbox: 35 pixels radius (covers the entire nest structure)
-                if (nestDistance <= 35) {
+                const hit = this.findNestAt(worldPos);
+                if (hit) {
                     isDragging = true;
-                    draggedNest = this.nest;
-                    dragOffset.x = pos.x - this.nest.x;
-                    dragOffset.y = pos.y - this.nest.y;
+                    draggedNest = hit;
+                    dragOffset.x = worldPos.x - hit.nest.x;
+                    dragOffset.y = worldPos.y - hit.nest.y;
                     this.canvas.style.cursor = 'grabbing';
                     e.preventDefault();
                 }
             }
+            
+            // Anything else under the pointer may be an ant to inspect
+            if (!isDragging) {
+                const ant = this.findAntAt(worldPos, antPickRadius());
+                if (ant) {
+                    this.selectAnt(ant);
+                }
+            }
         };
         
         // Helper function to handle pointer move
         const handlePointerMove = (e) => {
             const pos = getPointerPosition(e);
-            const mousePos = new Vec(pos.x, pos.y);
-                
-            if (isDragging && draggedFood) {
-                // Update food position
-                draggedFood.pos.x = pos.x - dragOffset.x;
-                draggedFood.pos.y = pos.y - dragOffset.y;
-                
-                // Keep food within canvas bounds
-                draggedFood.pos.x = Math.max(draggedFood.radius, Math.min(this.width - draggedFood.radius, draggedFood.pos.x));
-                draggedFood.pos.y = Math.max(draggedFood.radius, Math.min(this.height - draggedFood.radius, draggedFood.pos.y));
-            } else if (isDragging && draggedObstacle) {
-                // Update obstacle position
-                const newPos = mousePos.subtract(new Vec(dragOffset.x, dragOffset.y));
-                const offset = newPos.subtract(draggedObstacle.pos);
-                const oldPos = draggedObstacle.pos.clone();
-                
-                // Update lastPos before changing current position
-                draggedObstacle.lastPos = draggedObstacle.pos.clone();
-                draggedObstacle.pos = newPos;
-                
-                // Sweep ants even when simulation is paused
-                this.sweepAntsFromMovingObstacle(draggedObstacle);
-                
-                // Translate blob points instead of regenerating to prevent spinning
-                if (draggedObstacle.blob) {
-                    for (let point of draggedObstacle.blob) {
-                        point.x += offset.x;
-                        point.y += offset.y;
-                    }
+            const worldPos = pos.world;
+            const mousePos = new Vec(worldPos.x, worldPos.y);
+            
+            if (pinch) {
+                if (e.touches && e.touches.length >= 2) {
+                    const geometry = getPinchGeometry(e);
+                    this.setCameraZoom(pinch.zoom * geometry.distance / pinch.distance);
+                    this.anchorCamera(pinch.anchor, geometry.center);
                 }
+                e.preventDefault();
+                return;
+            }
+            if (panAnchor) {
+                this.anchorCamera(panAnchor, pos);
+                e.preventDefault();
+                return;
+            }
+            if (isMinimapDrag) {
+                this.centerCameraOnMinimap(pos);
+                e.preventDefault();
+                return;
+            }
                 
-                // Sweep ants away from the moving obstacle path (not just final position)
-                this.sweepAntsFromObstaclePath(draggedObstacle, newPos);
-                
-                // Additional check for ants that might have been missed during movement
-                const movementDistance = offset.magnitude();
-                if (movementDistance > 5) { // Only for significant movements
-                    // Check intermediate points along the movement path
-                    const steps = Math.ceil(movementDistance / 5); // Check every 5 pixels
-                    for (let i = 1; i <= steps; i++) {
-                        const t = i / steps;
-                        const intermediatePos = oldPos.add(offset.multiply(t));
-                        this.sweepAntsFromObstaclePath(draggedObstacle, intermediatePos);
-                    }
+            if (this.replay) {
+                // Scrubbing the replay timeline
+                if (this.replay.scrubTick !== null) {
+                    this.replay.scrubTick = this.replayTickAt(pos.x);
                 }
+                return;
+            }
                 
+            // Edits go through applyInput() so they are recorded for replay
+            if (isDragging && draggedFood) {
+                this.applyInput({ type: 'moveFood', foodId: draggedFood.id, x: worldPos.x - dragOffset.x, y: worldPos.y - dragOffset.y });
+            } else if (isDragging && draggedObstacle) {
+                const newPos = mousePos.subtract(new Vec(dragOffset.x, dragOffset.y));
+                this.applyInput({ type: 'moveObstacle', index: this.obstacles.indexOf(draggedObstacle), x: newPos.x, y: newPos.y });
                 e.preventDefault();
             } else if (isDragging && draggedNest) {
-                // Update nest position
-                draggedNest.x = pos.x - dragOffset.x;
-                draggedNest.y = pos.y - dragOffset.y;
-                
-                // Keep nest within canvas bounds (with some margin)
-                const nestMargin = 35;
-                draggedNest.x = Math.max(nestMargin, Math.min(this.width - nestMargin, draggedNest.x));
-                draggedNest.y = Math.max(nestMargin, Math.min(this.height - nestMargin, draggedNest.y));
-                
+                this.applyInput({
+                    type: 'moveNest',
+                    colonyId: draggedNest.colony.id,
+                    nestId: draggedNest.nest.id ?? null,
+                    x: worldPos.x - dragOffset.x,
+                    y: worldPos.y - dragOffset.y
+                });
                 e.preventDefault();
+            } else if (this.nestTool) {
+                this.canvas.style.cursor = 'crosshair';
             } else {
                 // Check if hovering over draggable objects for cursor feedback
                 let hoveringOverDraggable = false;
@@ -753,8 +611,8 @@ class AntForagingSimulation {
                 // Check food sources
                 for (let food of this.foodSources) {
                     const distance = Math.sqrt(
-                        Math.pow(pos.x - food.pos.x, 2) + 
-                        Math.pow(pos.y - food.pos.y, 2)
+                        Math.pow(worldPos.x - food.pos.x, 2) + 
+                        Math.pow(worldPos.y - food.pos.y, 2)
                     );
                     if (distance <= food.radius) {
                         hoveringOverDraggable = true;
@@ -773,27 +631,38 @@ class AntForagingSimulation {
                     }
                 }
                 
-                // Check nest
-                if (!hoveringOverDraggable) {
-                    const nestDistance = Math.sqrt(
-                        Math.pow(pos.x - this.nest.x, 2) + 
-                        Math.pow(pos.y - this.nest.y, 2)
-                    );
-                    if (nestDistance <= 35) {
-                        hoveringOverDraggable = true;
-                    }
+                // Check nests
+                if (!hoveringOverDraggable && this.findNestAt(worldPos)) {
+                    hoveringOverDraggable = true;
                 }
                 
-                this.canvas.style.cursor = hoveringOverDraggable ? 'grab' : 'default';
+                if (hoveringOverDraggable) {
+                    this.canvas.style.cursor = 'grab';
+                } else {
+                    this.canvas.style.cursor = this.findAntAt(worldPos, antPickRadius()) ? 'pointer' : 'default';
+                }
             }
         };
         
         // Helper function to handle pointer up
         const handlePointerUp = (e) => {
+            // A pinch lasts while two fingers are down
+            if (pinch && !(e.touches && e.touches.length >= 2)) {
+                pinch = null;
+            }
+            if (panAnchor) {
+                panAnchor = null;
+                this.canvas.style.cursor = 'default';
+            }
+            isMinimapDrag = false;
+            if (this.replay && this.replay.scrubTick !== null) {
+                this.replaySeek(this.replay.scrubTick);
+                this.replay.scrubTick = null;
+            }
             if (isDragging) {
                 isDragging = false;
                 if (draggedObstacle) {
-                    draggedObstacle.isBeingDragged = false;
+                    this.applyInput({ type: 'dragObstacle', index: this.obstacles.indexOf(draggedObstacle), dragging: false });
                 }
                 draggedFood = null;
                 draggedObstacle = null;
@@ -802,16 +671,25 @@ class AntForagingSimulation {
             }
         };
         
+        // Wheel zooms around the cursor
+        const handleWheel = (e) => {
+            e.preventDefault();
+            const pixels = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY; // Line-based wheels report lines
+            this.zoomAt(getPointerPosition(e), Math.exp(-pixels * AntForagingSimulation.WHEEL_ZOOM_RATE));
+        };
+        
         // Store handlers as properties so they can be removed later
         this._handlePointerDown = handlePointerDown;
         this._handlePointerMove = handlePointerMove;
         this._handlePointerUp = handlePointerUp;
+        this._handleWheel = handleWheel;
         
         // Mouse events
         this.canvas.addEventListener('mousedown', this._handlePointerDown);
         this.canvas.addEventListener('mousemove', this._handlePointerMove);
         this.canvas.addEventListener('mouseup', this._handlePointerUp);
         this.canvas.addEventListener('mouseleave', this._handlePointerUp);
+        this.canvas.addEventListener('wheel', this._handleWheel, { passive: false });
         
         // Track mouse position for pause overlay hover
         this.canvas.addEventListener('mousemove', (e) => {
@@ -828,160 +706,272 @@ class AntForagingSimulation {
         
         // Keyboard controls
         document.addEventListener('keydown', (e) => {
+            if (this.replay) {
+                this.handleReplayKey(e.key.toLowerCase());
+                return;
+            }
             switch(e.key.toLowerCase()) {
                 case 'r':
                     this.reset();
-                    console.log('Simulation reset (keyboard)');
+                    this.log('debug', 'Simulation reset (keyboard)');
+                    break;
+                case 'p':
+                    this.isPaused = !this.isPaused;
+                    this.log('debug', `Simulation paused (keyboard): ${this.isPaused}`);
+                    break;
+                case 'a':
+                    this.applyInput({ type: 'setAntCount', antCount: Math.min(this.antCount + 100, this.maxAnts) });
+                    this.log('debug', `Added 100 ants (keyboard), total: ${this.antCount}`);
+                    break;
+                case 'c':
+                    this.showMetricsPanel = !this.showMetricsPanel;
+                    break;
+                case 't': {
+                    const temperaments = AntColonyModel.TEMPERAMENTS;
+                    const next = temperaments[(temperaments.indexOf(this.colonyTemperament) + 1) % temperaments.length];
+                    this.applyInput({ type: 'setColonyTemperament', temperament: next });
+                    this.log('debug', `Colony temperament (keyboard): ${next}`);
+                    break;
+                }
+                case 'v':
+                    this.enterReplay();
+                    break;
+                case '-':
+                case '_':
+                    this.changeSpeed(-1);
+                    break;
+                case '=':
+                case '+':
+                    this.changeSpeed(1);
+                    break;
+                case '0':
+                    this.speedIndex = AntForagingSimulation.SPEEDS.indexOf(1);
+                    break;
+                case 's':
+                case '.':
+                    this.stepOnce();
+                    break;
+                case 'm':
+                    this.cyclePheromoneView();
+                    break;
+                case 'g':
+                    this.showGradientOverlay = !this.showGradientOverlay;
+                    break;
+                case 'f':
+                    this.followSelectedAnt = !this.followSelectedAnt;
                     break;
-                case 'p':
-                    this.isPaused = !this.isPaused;
-                    console.log('Simulation paused (keyboard):', this.isPaused);
+                case 'z':
+                    this.followSelectedAnt = false;
+                    this.resetView();
                     break;
-                case 'a':
-                    this.antCount = Math.min(this.antCount + 100, this.maxAnts);
-                    this.updateAntCount();
-                    console.log('Added 100 ants (keyboard), total:', this.antCount);
+                case 'l':
+                    this.applyInput({ type: 'setLifecycle', enabled: !this.lifecycle });
+                    break;
+                case 'n':
+                    // Satellite nest for the selected ant's colony (or the first one)
+                    this.armNestTool('add', this.selectedAnt ? this.selectedAnt.colonyId : 0);
+                    break;
+                case 'escape':
+                    this.cancelNestTool();
+                    break;
+                case '[':
+                    this.cyclePheromoneViewChannel(-1);
+                    break;
+                case ']':
+                    this.cyclePheromoneViewChannel(1);
                     break;
             }
         });
     }
     
-    loadPreset(presetName) {
-        const preset = this.presets[presetName];
-        if (!preset) {
-            console.warn(`Preset '${presetName}' not found, using default`);
-            return;
+    // Current speed multiplier, or 'max'
+    get speed() {
+        return AntForagingSimulation.SPEEDS[this.speedIndex];
+    }
+    
+    get speedLabel() {
+        return this.speed === 'max' ? 'MAX' : `${this.speed}×`;
+    }
+    
+    changeSpeed(delta) {
+        const last = AntForagingSimulation.SPEEDS.length - 1;
+        this.speedIndex = Math.max(0, Math.min(last, this.speedIndex + delta));
+        this.log('debug', `Simulation speed: ${this.speedLabel}`);
+    }
+    
+    // SPEED button: step up through the speeds and wrap back to the slowest
+    cycleSpeed() {
+        this.speedIndex = (this.speedIndex + 1) % AntForagingSimulation.SPEEDS.length;
+        this.log('debug', `Simulation speed: ${this.speedLabel}`);
+    }
+    
+    // Advance exactly one tick while paused
+    stepOnce() {
+        if (!this.isPaused) return;
+        this.isPaused = false;
+        this.update();
+        this.isPaused = true;
+    }
+    
+    // Replay mode sets the live state aside and lets the recorder rebuild past
+    // ticks in place, so draw() renders replayed frames unchanged
+    enterReplay() {
+        if (this.replay || !this.recorder || this.recorder.length === 0) return;
+        this.replay = {
+            liveSnapshot: this.createSnapshot(),
+            markers: this.collectReplayMarkers(),
+            playing: false,
+            speed: 1,
+            accumulator: 0,
+            scrubTick: null // Tick under the pointer while dragging the scrubber
+        };
+        this.recorder.beginPlayback();
+        this.replaySeek(this.recorder.endTick);
+    }
+    
+    exitReplay() {
+        if (!this.replay) return;
+        this.loadSnapshot(this.replay.liveSnapshot);
+        this.recorder.endPlayback();
+        this.replay = null;
+    }
+    
+    replaySeek(tick) {
+        this.recorder.seek(tick);
+        this.keepSelectedAnt();
+    }
+    
+    replayStep(delta) {
+        this.replay.playing = false;
+        this.replaySeek(this.clock.tick + delta);
+    }
+    
+    toggleReplayPlayback() {
+        const replay = this.replay;
+        if (!replay.playing && this.clock.tick >= this.recorder.endTick) {
+            this.replaySeek(this.recorder.startTick); // Play again from the start
         }
+        replay.playing = !replay.playing;
+        replay.accumulator = 0;
+    }
+    
+    cycleReplaySpeed() {
+        const speeds = AntForagingSimulation.REPLAY_SPEEDS;
+        this.replay.speed = speeds[(speeds.indexOf(this.replay.speed) + 1) % speeds.length];
+    }
+    
+    // Called once per animation frame instead of the live fixed-step loop
+    updateReplay(frameDelta) {
+        const replay = this.replay;
+        if (!replay.playing) return;
         
-        console.log(`Loading preset: ${preset.name}`);
-        
-        // Update simulation parameters
-        this.antCount = preset.antCount || this.antCount;
-        
-        // Clear existing obstacles and food
-        this.obstacles = [];
-        this.foodSources = [];
-        
-        // Create obstacles from preset with overlap validation
-        for (const obstacleData of preset.obstacles) {
-            const obstacle = new Obstacle(obstacleData.x, obstacleData.y);
-            obstacle.baseRadius = obstacleData.radius;
-            obstacle.blob = makeBlob(obstacleData.x, obstacleData.y, obstacleData.radius, 0.2, 18);
-            
-            // Check for overlaps with existing obstacles
-            let hasOverlap = false;
-            for (const existingObstacle of this.obstacles) {
-                const distance = obstacle.pos.subtract(existingObstacle.pos).magnitude();
-                const minDistance = obstacle.baseRadius + existingObstacle.baseRadius + 20; // 20px buffer
-                if (distance < minDistance) {
-                    hasOverlap = true;
-                    console.warn(`Obstacle overlap detected at (${obstacle.pos.x}, ${obstacle.pos.y}), skipping`);
-                    break;
-                }
-            }
-            
-            if (!hasOverlap) {
-                this.obstacles.push(obstacle);
-            }
+        replay.accumulator += frameDelta * replay.speed;
+        const ticks = Math.floor(replay.accumulator / this.clock.stepMs);
+        if (ticks > 0) {
+            replay.accumulator -= ticks * this.clock.stepMs;
+            this.replaySeek(this.clock.tick + ticks);
         }
-        
-        // Create food sources from preset with overlap validation
-        for (const foodData of preset.foodSources) {
-            const food = new Food(foodData.x, foodData.y);
-            food.amount = foodData.amount;
-            food.originalAmount = foodData.amount;
-            
-            // Check for overlaps with obstacles
-            let hasOverlap = false;
-            for (const obstacle of this.obstacles) {
-                const distance = food.pos.subtract(obstacle.pos).magnitude();
-                const minDistance = food.radius + obstacle.baseRadius + 30; // 30px buffer
-                if (distance < minDistance) {
-                    hasOverlap = true;
-                    console.warn(`Food-obstacle overlap detected at (${food.pos.x}, ${food.pos.y}), skipping`);
-                    break;
-                }
-            }
-            
-            // Check for overlaps with other food sources (temporarily disabled for debugging)
-            /*
-            if (!hasOverlap) {
-                for (const existingFood of this.foodSources) {
-                    const distance = food.pos.subtract(existingFood.pos).magnitude();
-                    const minDistance = food.radius + existingFood.radius + 20; // Reduced to 20px buffer for preset loading
-                    if (distance < minDistance) {
-                        hasOverlap = true;
-                        console.warn(`Food-food overlap detected at (${food.pos.x}, ${food.pos.y}), skipping`);
-                        break;
-                    }
-                }
-            }
-            */
-            
-            if (!hasOverlap) {
-                this.foodSources.push(food);
-                console.log(`Added food source ${this.foodSources.length}: (${food.pos.x}, ${food.pos.y})`);
+        if (this.clock.tick >= this.recorder.endTick) {
+            replay.playing = false;
+        }
+    }
+    
+    // Timeline markers: depleted food sources, and the first delivery from each
+    // source (the moment a working trail to it has formed)
+    collectReplayMarkers() {
+        const markers = [];
+        const foodWithTrail = new Set();
+        for (const event of this.runLog.events) {
+            if (event.tick < this.recorder.startTick) continue;
+            if (event.type === 'foodDepleted') {
+                markers.push({ tick: event.tick, color: '#ff4d4d', label: `Food ${event.foodId} depleted` });
+            } else if (event.type === 'delivery' && event.foodId !== null && !foodWithTrail.has(event.foodId)) {
+                foodWithTrail.add(event.foodId);
+                markers.push({ tick: event.tick, color: '#4CAF50', label: `Trail to food ${event.foodId}` });
             }
         }
-        
-        console.log(`Loaded ${this.obstacles.length} obstacles and ${this.foodSources.length} food sources (overlaps filtered out)`);
+        return markers;
+    }
+    
+    handleReplayKey(key) {
+        switch (key) {
+            case 'v':
+                this.exitReplay();
+                break;
+            case 'p':
+            case ' ':
+                this.toggleReplayPlayback();
+                break;
+            case ',':
+            case 'arrowleft':
+                this.replayStep(-1);
+                break;
+            case '.':
+            case 'arrowright':
+                this.replayStep(1);
+                break;
+            case 'c':
+                this.showMetricsPanel = !this.showMetricsPanel;
+                break;
+        }
+    }
+    
+    // Geometry of the replay bar, shared by drawing and hit testing
+    replayLayout() {
+        const panel = { x: 10, y: this.viewHeight - 80, width: this.viewWidth - 20, height: 55 };
+        const buttonY = panel.y + 12;
+        const buttons = [];
+        let x = panel.x + 10;
+        for (const [id, width] of [['back', 36], ['play', 36], ['forward', 36], ['speed', 48], ['exit', 48]]) {
+            buttons.push({ id, x, y: buttonY, width, height: 30 });
+            x += width + 6;
+        }
+        const track = { x: x + 14, y: panel.y + 27, width: panel.x + panel.width - 130 - (x + 14) };
+        return { panel, buttons, track };
+    }
+    
+    replayTickAt(x) {
+        const { track } = this.replayLayout();
+        const fraction = Math.max(0, Math.min(1, (x - track.x) / track.width));
+        return Math.round(this.recorder.startTick + fraction * this.recorder.length);
+    }
+    
+    replayXAt(tick) {
+        const { track } = this.replayLayout();
+        const length = Math.max(1, this.recorder.length);
+        return track.x + ((tick - this.recorder.startTick) / length) * track.width;
     }
     
-    spawnNewFoodSource() {
-        const maxAttempts = 100;
-        let attempts = 0;
+    handleReplayPointerDown(pos) {
+        // The REPLAY toggle in the button column closes the timeline
+        if (this.isOnColumnButton(pos, 265)) {
+            this.exitReplay();
+            return;
+        }
         
-        while (attempts < maxAttempts) {
-            // Generate random position within canvas bounds with margins
-            const margin = 80;
-            const x = margin + Math.random() * (this.width - 2 * margin);
-            const y = margin + Math.random() * (this.height - 2 * margin);
-            
-            const newFood = new Food(x, y);
-            
-            // Check for overlaps with obstacles
-            let hasOverlap = false;
-            for (const obstacle of this.obstacles) {
-                const distance = newFood.pos.subtract(obstacle.pos).magnitude();
-                const minDistance = newFood.radius + obstacle.baseRadius + 30; // 30px buffer
-                if (distance < minDistance) {
-                    hasOverlap = true;
-                    break;
-                }
-            }
-            
-            // Check for overlaps with existing food sources
-            if (!hasOverlap) {
-                for (const existingFood of this.foodSources) {
-                    const distance = newFood.pos.subtract(existingFood.pos).magnitude();
-                    const minDistance = newFood.radius + existingFood.radius + 40; // 40px buffer
-                    if (distance < minDistance) {
-                        hasOverlap = true;
-                        break;
-                    }
-                }
-            }
-            
-            // Check for overlaps with nest
-            if (!hasOverlap) {
-                const distance = newFood.pos.subtract(new Vec(this.nest.x, this.nest.y)).magnitude();
-                const minDistance = newFood.radius + this.nest.radius + 120; // Increased to 120px buffer
-                if (distance < minDistance) {
-                    hasOverlap = true;
+        const { buttons, track } = this.replayLayout();
+        for (const button of buttons) {
+            if (pos.x >= button.x && pos.x <= button.x + button.width && pos.y >= button.y && pos.y <= button.y + button.height) {
+                switch (button.id) {
+                    case 'back': this.replayStep(-1); break;
+                    case 'play': this.toggleReplayPlayback(); break;
+                    case 'forward': this.replayStep(1); break;
+                    case 'speed': this.cycleReplaySpeed(); break;
+                    case 'exit': this.exitReplay(); break;
                 }
-            }
-            
-            // If no overlaps, add the new food source
-            if (!hasOverlap) {
-                this.foodSources.push(newFood);
-                console.log(`New food source spawned at (${Math.floor(x)}, ${Math.floor(y)})`);
                 return;
             }
-            
-            attempts++;
         }
         
-        console.warn('Could not find non-overlapping position for new food source');
+        if (pos.x >= track.x - 6 && pos.x <= track.x + track.width + 6 && Math.abs(pos.y - track.y) <= 14) {
+            // Clicking a marker jumps straight to it; elsewhere starts a scrub
+            const marker = this.replay.markers.find(m => Math.abs(this.replayXAt(m.tick) - pos.x) <= 4);
+            if (marker) {
+                this.replaySeek(marker.tick);
+            } else {
+                this.replay.scrubTick = this.replayTickAt(pos.x);
+            }
+        }
     }
     
     // Preset management methods
@@ -990,10 +980,10 @@ class AntForagingSimulation {
             const savedPresets = localStorage.getItem('customPresets');
             if (savedPresets) {
                 this.presets = JSON.parse(savedPresets);
-                console.log('Loaded saved presets:', Object.keys(this.presets));
+                this.log('info', `Loaded saved presets: ${Object.keys(this.presets).join(', ')}`);
             }
         } catch (error) {
-            console.error('Error loading saved presets:', error);
+            this.log('error', `Error loading saved presets: ${error}`);
         }
     }
     
@@ -1001,10 +991,10 @@ class AntForagingSimulation {
         try {
             this.presets[presetName] = presetData;
             localStorage.setItem('customPresets', JSON.stringify(this.presets));
-            console.log(`Saved preset: ${presetName}`);
+            this.log('info', `Saved preset: ${presetName}`);
             return true;
         } catch (error) {
-            console.error('Error saving preset:', error);
+            this.log('error', `Error saving preset: ${error}`);
             return false;
         }
     }
@@ -1013,10 +1003,10 @@ class AntForagingSimulation {
         try {
             delete this.presets[presetName];
             localStorage.setItem('customPresets', JSON.stringify(this.presets));
-            console.log(`Deleted preset: ${presetName}`);
+            this.log('info', `Deleted preset: ${presetName}`);
             return true;
         } catch (error) {
-            console.error('Error deleting preset:', error);
+            this.log('error', `Error deleting preset: ${error}`);
             return false;
         }
     }
@@ -1029,15 +1019,19 @@ class AntForagingSimulation {
             name: presetName.trim(),
             description: "Custom preset created from current layout",
             antCount: this.antCount,
+            casteMix: { ...this.casteMix },
+            foodMix: { ...this.foodMix },
+            world: { width: this.width, height: this.height },
             obstacles: this.obstacles.map(obs => ({
                 x: obs.pos.x,
                 y: obs.pos.y,
                 radius: obs.baseRadius
             })),
             foodSources: this.foodSources.map(food => ({
+                type: food.type,
                 x: food.pos.x,
                 y: food.pos.y,
-                amount: food.amount
+                amount: Math.floor(food.amount)
             }))
         };
         
@@ -1059,623 +1053,221 @@ class AntForagingSimulation {
             name: presetData.name,
             description: presetData.description,
             antCount: presetData.antCount,
+            casteMix: presetData.casteMix,
+            foodMix: presetData.foodMix,
+            world: presetData.world,
             obstacles: presetData.obstacles,
             foodSources: presetData.foodSources
         };
         
         const dataStr = JSON.stringify(exportData, null, 2);
-        const dataBlob = new Blob([dataStr], {type: 'application/json'});
-        const url = URL.createObjectURL(dataBlob);
-        
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = `${presetData.name.replace(/\s+/g, '_')}.json`;
-        link.click();
-        
-        URL.revokeObjectURL(url);
+        this.downloadFile(`${presetData.name.replace(/\s+/g, '_')}.json`, dataStr, 'application/json');
         alert(`Preset "${presetData.name}" exported successfully!`);
     }
     
-    deleteCurrentPreset() {
-        if (!this.currentPreset || !this.presets[this.currentPreset]) {
-            alert('No preset currently loaded to delete.');
-            return;
-        }
-        
-        const presetName = this.presets[this.currentPreset].name;
-        if (confirm(`Are you sure you want to delete preset "${presetName}"?`)) {
-            if (this.deletePreset(this.currentPreset)) {
-                this.currentPreset = null;
-                alert(`Preset "${presetName}" deleted successfully!`);
-            } else {
-                alert('Failed to delete preset.');
-            }
-        }
-    }
-    
-    createDefaultLayout() {
-        // Create some random obstacles with overlap checking
-        for (let i = 0; i < 30; i++) {
-            let attempts = 0;
-            let obstacle = null;
-            
-            while (attempts < 100) {
-                obstacle = new Obstacle(
-                    Math.random() * (this.width - 200) + 100,
-                    Math.random() * (this.height - 200) + 100,
-                    Math.random() * 350 + 50 // Random radius between 50-400
-                );
-                
-                // Check for overlaps with existing obstacles
-                let hasOverlap = false;
-                for (const existingObstacle of this.obstacles) {
-                    const distance = new Vec(obstacle.pos.x, obstacle.pos.y).subtract(existingObstacle.pos).magnitude();
-                    const minDistance = obstacle.baseRadius + existingObstacle.baseRadius + 20; // 20px buffer
-                    if (distance < minDistance) {
-                        hasOverlap = true;
-                        break;
-                    }
-                }
-                
-                if (!hasOverlap) {
-                    break;
-                }
-                attempts++;
-            }
-            
-            if (obstacle) {
-                this.obstacles.push(obstacle);
-            }
-        }
-        
-        // Create some random food sources with overlap checking
-        const numFoodSources = Math.floor(Math.random() * 3) + 4; // Random number between 4-6
-        for (let i = 0; i < numFoodSources; i++) {
-            let attempts = 0;
-            let food = null;
-            
-            while (attempts < 100) {
-                food = new Food(
-                    Math.random() * (this.width - 200) + 100,
-                    Math.random() * (this.height - 200) + 100,
-                    Math.floor(Math.random() * 300) + 200 // Random amount between 200-500
-                );
-                
-                // Check for overlaps with obstacles
-                let hasOverlap = false;
-                for (const obstacle of this.obstacles) {
-                    const distance = new Vec(food.pos.x, food.pos.y).subtract(obstacle.pos).magnitude();
-                    const minDistance = food.radius + obstacle.baseRadius + 30; // 30px buffer
-                    if (distance < minDistance) {
-                        hasOverlap = true;
-                        break;
-                    }
-                }
-                
-                // Check for overlaps with existing food sources
-                if (!hasOverlap) {
-                    for (const existingFood of this.foodSources) {
-                        const distance = new Vec(food.pos.x, food.pos.y).subtract(existingFood.pos).magnitude();
-                        const minDistance = food.radius + existingFood.radius + 20; // 20px buffer
-                        if (distance < minDistance) {
-                            hasOverlap = true;
-                            break;
-                        }
-                    }
-                }
-                
-                // Check distance from nest (avoid placing food too close to nest)
-                if (!hasOverlap) {
-                    const distanceFromNest = new Vec(food.pos.x, food.pos.y).subtract(new Vec(this.nest.x, this.nest.y)).magnitude();
-                    const minDistanceFromNest = food.radius + this.nest.radius + 400; // 400px buffer from nest
-                    if (distanceFromNest < minDistanceFromNest) {
-                        hasOverlap = true;
-                    }
-                }
-                
-                if (!hasOverlap) {
-                    break;
-                }
-                attempts++;
-            }
-            
-            if (food) {
-                this.foodSources.push(food);
-            }
-        }
-        
-        console.log('Created default layout with', this.obstacles.length, 'obstacles and', this.foodSources.length, 'food sources');
-    }
-    
-    initialize() {
-        // Initialize pheromone field
-        this.pheromoneField = new PheromoneField(this.width, this.height, 6);
-        
-        // Load preset if specified
-        if (this.currentPreset && this.presets[this.currentPreset]) {
-            this.loadPreset(this.currentPreset);
-        } else {
-            // Create default random layout if no preset is loaded
-            this.createDefaultLayout();
-        }
-        
-        // Place single nest with improved overlap validation
-        const nestMargin = 100;
-        let nestPlaced = false;
-        let attempts = 0;
-        
-        // Try multiple placement strategies
-        const placementStrategies = [
-            // Strategy 1: Center area
-            () => ({
-                x: this.width / 2 + (Math.random() - 0.5) * 200,
-                y: this.height / 2 + (Math.random() - 0.5) * 200
-            }),
-            // Strategy 2: Top-left area
-            () => ({
-                x: nestMargin + Math.random() * 200,
-                y: nestMargin + Math.random() * 200
-            }),
-            // Strategy 3: Top-right area
-            () => ({
-                x: this.width - nestMargin - Math.random() * 200,
-                y: nestMargin + Math.random() * 200
-            }),
-            // Strategy 4: Bottom-left area
-            () => ({
-                x: nestMargin + Math.random() * 200,
-                y: this.height - nestMargin - Math.random() * 200
-            }),
-            // Strategy 5: Bottom-right area
-            () => ({
-                x: this.width - nestMargin - Math.random() * 200,
-                y: this.height - nestMargin - Math.random() * 200
-            }),
-            // Strategy 6: Random position
-            () => ({
-                x: nestMargin + Math.random() * (this.width - 2 * nestMargin),
-                y: nestMargin + Math.random() * (this.height - 2 * nestMargin)
-            })
-        ];
-        
-        for (const strategy of placementStrategies) {
-            for (let attempt = 0; attempt < 50; attempt++) {
-                const pos = strategy();
-                
-                // Keep nest within bounds
-                this.nest.x = Math.max(nestMargin, Math.min(this.width - nestMargin, pos.x));
-                this.nest.y = Math.max(nestMargin, Math.min(this.height - nestMargin, pos.y));
-                
-                // Check for overlaps with obstacles
-                let hasOverlap = false;
-                for (const obstacle of this.obstacles) {
-                    const distance = new Vec(this.nest.x, this.nest.y).subtract(obstacle.pos).magnitude();
-                    const minDistance = this.nest.radius + obstacle.baseRadius + 80; // Increased buffer
-                    if (distance < minDistance) {
-                        hasOverlap = true;
-                        break;
-                    }
-                }
-                
-                // Check for overlaps with food sources
-                if (!hasOverlap) {
-                    for (const food of this.foodSources) {
-                        const distance = new Vec(this.nest.x, this.nest.y).subtract(food.pos).magnitude();
-                        const minDistance = this.nest.radius + food.radius + 120; // 120px buffer
-                        if (distance < minDistance) {
-                            hasOverlap = true;
-                            break;
-                        }
-                    }
-                }
-                
-                if (!hasOverlap) {
-                    nestPlaced = true;
-                    console.log(`Nest placed successfully using strategy ${placementStrategies.indexOf(strategy) + 1}`);
-                    break;
-                }
-            }
-            
-            if (nestPlaced) break;
-        }
-        
-        if (!nestPlaced) {
-            console.warn('Could not find non-overlapping nest position, using emergency placement');
-            // Emergency placement: find the least crowded area
-            let bestX = this.width / 2;
-            let bestY = this.height / 2;
-            let minOverlap = Infinity;
-            
-            for (let x = nestMargin; x < this.width - nestMargin; x += 50) {
-                for (let y = nestMargin; y < this.height - nestMargin; y += 50) {
-                    let totalOverlap = 0;
-                    
-                    for (const obstacle of this.obstacles) {
-                        const distance = new Vec(x, y).subtract(obstacle.pos).magnitude();
-                        const minDistance = this.nest.radius + obstacle.baseRadius;
-                        if (distance < minDistance) {
-                            totalOverlap += (minDistance - distance);
-                        }
-                    }
-                    
-                    if (totalOverlap < minOverlap) {
-                        minOverlap = totalOverlap;
-                        bestX = x;
-                        bestY = y;
-                    }
-                }
-            }
-            
-            this.nest.x = bestX;
-            this.nest.y = bestY;
-            console.log(`Emergency nest placement at (${bestX}, ${bestY}) with ${minOverlap.toFixed(1)} overlap`);
-        }
-        
-        console.log(`Single nest placed at (${this.nest.x.toFixed(0)}, ${this.nest.y.toFixed(0)})`);
-        
-        // Calculate nest capacity based on total food available
-        let totalFoodAvailable = 0;
-        for (const food of this.foodSources) {
-            totalFoodAvailable += food.originalAmount;
-        }
-        this.nest.maxCapacity = totalFoodAvailable;
-        console.log(`Nest capacity set to ${totalFoodAvailable} (total food available)`);
-        console.log(`Loaded ${this.foodSources.length} food sources and ${this.obstacles.length} obstacles from preset`);
-        
-        // Create ants for single colony
-        this.ants = [];
-        for (let i = 0; i < this.antCount; i++) {
-            // Create ants in a wider area around the nest
-            let validPosition = false;
-            let attempts = 0;
-            let x, y;
-            
-            while (!validPosition && attempts < 50) {
-                const angle = (i / this.antCount) * Math.PI * 2 + Math.random() * 0.5;
-                const distance = 15 + Math.random() * 10;
-                x = this.nest.x + Math.cos(angle) * distance;
-                y = this.nest.y + Math.sin(angle) * distance;
-                
-                // Check if position is not inside any obstacle
-                validPosition = true;
-                for (const obstacle of this.obstacles) {
-                    const rep = obstacle.repulse(new Vec(x, y));
-                    if (rep.dist < 5) { // Minimum safe distance from obstacles
-                        validPosition = false;
-                        break;
-                    }
-                }
-                attempts++;
-            }
-            
-            const ant = new Ant(x, y, this);
-            this.ants.push(ant);
-            
-            // Select the first ant for highlighting
-            if (i === 0) {
-                this.highlightedGreenAnt = ant;
-                console.log('Selected ant for highlighting and trail observation in initialize()');
-            }
-        }
-        console.log(`Created ${this.ants.length} ants around nest position (${this.nest.x}, ${this.nest.y})`);
-        
-        // Give ants varied initial directions
-        for (let i = 0; i < this.ants.length; i++) {
-            const ant = this.ants[i];
-            // Point ants in different directions based on their position
-            const angleToNest = ant.position.subtract(new Vec(this.nest.x, this.nest.y)).angle();
-            ant.velocity = new Vec(Math.cos(angleToNest + (Math.random() - 0.5) * Math.PI), 
-                                 Math.sin(angleToNest + (Math.random() - 0.5) * Math.PI)).multiply(2);
-        }
-        
-        console.log(`Initialized simulation with ${this.ants.length} ants`);
-        console.log(`Canvas size: ${this.width} x ${this.height}`);
-        console.log(`Nest position: (${this.nest.x}, ${this.nest.y})`);
-        if (this.ants.length > 0) {
-            console.log(`First ant position: (${this.ants[0].position.x}, ${this.ants[0].position.y})`);
-        }
-        
-        // Start simulation immediately
-        this.needsApproval = false;
-        this.isRunning = true;
-        console.log('Simulation initialized');
-        this.start();
-    }
-    
-
-    
-
-    
-    updateAntCount() {
-        const currentCount = this.ants.length;
-        if (this.antCount > currentCount) {
-            // Add more ants with proper initialization
-            for (let i = currentCount; i < this.antCount; i++) {
-                let validPosition = false;
-                let attempts = 0;
-                let x, y;
-                
-                while (!validPosition && attempts < 50) {
-                    const angle = Math.random() * Math.PI * 2;
-                    const distance = 15 + Math.random() * 10;
-                    x = this.nest.x + Math.cos(angle) * distance;
-                    y = this.nest.y + Math.sin(angle) * distance;
-                    
-                    // Check if position is not inside any obstacle
-                    validPosition = true;
-                    for (const obstacle of this.obstacles) {
-                        const rep = obstacle.repulse(new Vec(x, y));
-                        if (rep.dist < 5) { // Minimum safe distance from obstacles
-                            validPosition = false;
-                            break;
-                        }
-                    }
-                    attempts++;
-                }
-                
-                const newAnt = new Ant(x, y, this);
-                newAnt.velocity = Vec.random().multiply(2);
-                this.ants.push(newAnt);
-                
-                // If no highlighted ant exists, select this one
-                if (!this.highlightedGreenAnt) {
-                    this.highlightedGreenAnt = newAnt;
-                    console.log('Selected new ant for highlighting in updateAntCount()');
-                }
-            }
-        } else if (this.antCount < currentCount) {
-            // Remove ants
-            this.ants = this.ants.slice(0, this.antCount);
-        }
-    }
-    
-    addPheromone(pos, type, strength, successBonus = 1) {
-        this.pheromoneField.deposit(pos, type, strength, successBonus);
-    }
-    
-    getPheromoneLevel(pos, type) {
-        return this.pheromoneField.sample(pos, type);
-    }
-    
-    getPheromoneGradient(pos, type) {
-        return this.pheromoneField.gradient(pos, type);
+    // Download the recorded run history: 'json' (metrics + events), 'metrics-csv' or 'events-csv'
+    exportRunData(format) {
+        const baseName = `ant_run_seed${this.seed}_tick${this.clock.tick}`;
+        switch (format) {
+            case 'json':
+                this.downloadFile(`${baseName}.json`, JSON.stringify(this.getRunExport(), null, 2), 'application/json');
+                break;
+            case 'metrics-csv':
+                this.downloadFile(`${baseName}_metrics.csv`, this.getMetricsCsv(), 'text/csv');
+                break;
+            case 'events-csv':
+                this.downloadFile(`${baseName}_events.csv`, this.getEventsCsv(), 'text/csv');
+                break;
+            default:
+                this.log('warn', `Unknown export format '${format}'`);
+        }
+    }
+    
+    loadSnapshot(snapshot) {
+        // Keep the viewer's trail colors rather than the ones saved with the snapshot
+        const pheromoneColors = this.getPheromoneColors();
+        const worldWidth = this.width;
+        const worldHeight = this.height;
+        super.loadSnapshot(snapshot);
+        this.applyPheromoneColors(pheromoneColors);
+        this.keepSelectedAnt();
+        // Replay seeks reload the same world, so only a differently sized one resets the view
+        if (this.width !== worldWidth || this.height !== worldHeight) {
+            this.resetView();
+        }
+    }
+    
+    // Full state snapshots - to a downloaded file or a single localStorage slot
+    saveSnapshotToFile() {
+        const snapshot = this.createSnapshot();
+        this.downloadFile(`ant_snapshot_seed${this.seed}_tick${this.clock.tick}.json`, JSON.stringify(snapshot), 'application/json');
+    }
+    
+    loadSnapshotFromFile() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        input.addEventListener('change', () => {
+            const file = input.files[0];
+            if (!file) return;
+            file.text()
+                .then(text => this.loadSnapshot(JSON.parse(text)))
+                .catch(error => {
+                    this.log('error', `Error loading snapshot file: ${error}`);
+                    alert(`Could not load snapshot: ${error.message}`);
+                });
+        });
+        input.click();
     }
     
-    // New realistic antennae-like pheromone detection
-    getAntennaePheromoneDirection(pos, type, antVelocity = null) {
-        const detectionRange = 80; // Like real ant antennae
-        const noiseLevel = 0.3; // Add realistic noise to sensing
-        
-        // Sample pheromone levels in a forward-facing cone
-        const samples = [];
-        const currentAngle = antVelocity ? antVelocity.angle() : 0;
-        
-        // Sample in a 120-degree cone in front of the ant
-        for (let angle = -Math.PI/3; angle <= Math.PI/3; angle += Math.PI/12) {
-            const sampleAngle = currentAngle + angle;
-            const samplePos = new Vec(
-                pos.x + Math.cos(sampleAngle) * detectionRange,
-                pos.y + Math.sin(sampleAngle) * detectionRange
-            );
-            
-            // Add noise to the sample position
-            const noiseX = (Math.random() - 0.5) * noiseLevel * detectionRange;
-            const noiseY = (Math.random() - 0.5) * noiseLevel * detectionRange;
-            samplePos.x += noiseX;
-            samplePos.y += noiseY;
-            
-            const strength = this.getPheromoneLevel(samplePos, type);
-            const distance = pos.subtract(samplePos).magnitude();
-            
-            // Apply distance falloff (like real antennae)
-            const falloff = Math.max(0, 1 - distance / detectionRange);
-            const adjustedStrength = strength * falloff;
-            
-            samples.push({
-                pos: samplePos,
-                strength: adjustedStrength,
-                angle: sampleAngle
-            });
-        }
-        
-        // Find the strongest pheromone direction
-        let strongestSample = samples[0];
-        for (const sample of samples) {
-            if (sample.strength > strongestSample.strength) {
-                strongestSample = sample;
-            }
-        }
-        
-        // If no significant pheromone detected, return null
-        if (strongestSample.strength < 0.5) {
-            return null;
+    saveSnapshotToStorage() {
+        try {
+            localStorage.setItem('antSimulationSnapshot', JSON.stringify(this.createSnapshot()));
+            alert(`Snapshot at ${this.clock.time.toFixed(1)}s saved in this browser.`);
+        } catch (error) {
+            this.log('error', `Error saving snapshot: ${error}`);
+            alert('Could not save the snapshot in browser storage (it may be too large). Use "Save file" instead.');
         }
-        
-        // Return direction toward strongest pheromone with some noise
-        const direction = strongestSample.pos.subtract(pos).normalize();
-        const noiseAngle = (Math.random() - 0.5) * noiseLevel;
-        const noisyDirection = new Vec(
-            Math.cos(direction.angle() + noiseAngle),
-            Math.sin(direction.angle() + noiseAngle)
-        );
-        
-        return {
-            direction: noisyDirection,
-            strength: strongestSample.strength
-        };
     }
     
-    spawnNewAnts() {
-        // Spawn new ants to maintain population with proper timing
-        const targetPopulation = this.antCount;
-        const currentPopulation = this.ants.length;
-        
-        // Emergency spawning if population is critically low
-        if (currentPopulation < targetPopulation * 0.3) { // Less than 30% of target
-            const emergencySpawn = Math.min(10 + Math.floor(Math.random() * 10), targetPopulation - currentPopulation);
-                            for (let i = 0; i < emergencySpawn; i++) {
-                    let validPosition = false;
-                    let attempts = 0;
-                    let x, y;
-                    
-                    while (!validPosition && attempts < 50) {
-                        const angle = Math.random() * Math.PI * 2;
-                        const distance = 10 + Math.random() * 15;
-                        x = this.nest.x + Math.cos(angle) * distance;
-                        y = this.nest.y + Math.sin(angle) * distance;
-                        
-                        // Check if position is not inside any obstacle
-                        validPosition = true;
-                        for (const obstacle of this.obstacles) {
-                            const rep = obstacle.repulse(new Vec(x, y));
-                            if (rep.dist < 5) { // Minimum safe distance from obstacles
-                                validPosition = false;
-                                break;
-                            }
-                        }
-                        attempts++;
-                    }
-                    
-                    const newAnt = new Ant(x, y, this);
-                    newAnt.velocity = Vec.random().multiply(2);
-                    this.ants.push(newAnt);
-                }
-                            console.log(`EMERGENCY: Spawned ${emergencySpawn} ants! Population: ${this.ants.length}/${targetPopulation}`);
-            this.lastSpawnTime = this.frameCount;
-            this.nextSpawnInterval = 30 + Math.floor(Math.random() * 60); // 0.5-1.5 seconds for emergency
+    loadSnapshotFromStorage() {
+        const saved = localStorage.getItem('antSimulationSnapshot');
+        if (!saved) {
+            alert('No snapshot saved in this browser yet.');
             return;
         }
-        
-        if (currentPopulation < targetPopulation) {
-            // Check if it's time to spawn
-            if (this.frameCount - this.lastSpawnTime >= this.nextSpawnInterval) {
-                // Spawn 3-8 ants at a time (much more productive)
-                const antsToSpawn = Math.min(3 + Math.floor(Math.random() * 6), targetPopulation - currentPopulation);
-                
-                for (let i = 0; i < antsToSpawn; i++) {
-                    // Spawn ants near the nest
-                    let validPosition = false;
-                    let attempts = 0;
-                    let x, y;
-                    
-                    while (!validPosition && attempts < 50) {
-                        const angle = Math.random() * Math.PI * 2;
-                        const distance = 10 + Math.random() * 15;
-                        x = this.nest.x + Math.cos(angle) * distance;
-                        y = this.nest.y + Math.sin(angle) * distance;
-                        
-                        // Check if position is not inside any obstacle
-                        validPosition = true;
-                        for (const obstacle of this.obstacles) {
-                            const rep = obstacle.repulse(new Vec(x, y));
-                            if (rep.dist < 5) { // Minimum safe distance from obstacles
-                                validPosition = false;
-                                break;
-                            }
-                        }
-                        attempts++;
-                    }
-                    
-                    const newAnt = new Ant(x, y, this);
-                    newAnt.velocity = Vec.random().multiply(2);
-                    this.ants.push(newAnt);
-                }
-                
-                                    if (antsToSpawn > 0) {
-                    console.log(`Spawned ${antsToSpawn} ants. Population: ${this.ants.length}/${targetPopulation}`);
-                    }
-                
-                // Update spawn timing
-                this.lastSpawnTime = this.frameCount;
-                this.nextSpawnInterval = 60 + Math.floor(Math.random() * 120); // 1-3 seconds (much faster)
-            }
+        try {
+            this.loadSnapshot(JSON.parse(saved));
+        } catch (error) {
+            this.log('error', `Error loading snapshot: ${error}`);
+            alert(`Could not load snapshot: ${error.message}`);
         }
     }
     
-
-    
-    evaporatePheromones() {
-        this.pheromoneField.evaporate(this.evaporationRate);
+    // Save text content as a file through a temporary object URL
+    downloadFile(filename, content, mimeType) {
+        const dataBlob = new Blob([content], {type: mimeType});
+        const url = URL.createObjectURL(dataBlob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        
+        URL.revokeObjectURL(url);
     }
     
-    update() {
-        // Check if simulation is paused
-        if (this.isPaused) {
-            return; // Don't update anything when paused
+    deleteCurrentPreset() {
+        if (!this.currentPreset || !this.presets[this.currentPreset]) {
+            alert('No preset currently loaded to delete.');
+            return;
         }
         
-        this.frameCount++;
-        
-        // Update button press animations
-        Object.keys(this.buttonPressTimers).forEach(buttonName => {
-            if (this.buttonPressTimers[buttonName] > 0) {
-                this.buttonPressTimers[buttonName]--;
-                if (this.buttonPressTimers[buttonName] === 0) {
-                    this.buttonPressStates[buttonName] = false;
-                }
-            }
-        });
-        
-        // Update all ants and remove dead ones
-        this.ants = this.ants.filter(ant => {
-            ant.update();
-            return ant.isAlive; // Keep only alive ants
-        });
-        
-        // Continuous collision check to prevent ants from getting trapped inside obstacles
-        this.checkAndFixTrappedAnts();
-        
-        // Spawn new ants to maintain population (disabled for immortal ants)
-        // this.spawnNewAnts();
-        
-        // Check for depleted food sources and spawn new ones
-        for (let i = this.foodSources.length - 1; i >= 0; i--) {
-            const food = this.foodSources[i];
-            
-            // Remove depleted food sources
-            if (food.amount <= 0) {
-                this.foodSources.splice(i, 1);
-                console.log(`Food source depleted and removed`);
-                
-                // Spawn a new food source at random location
-                this.spawnNewFoodSource();
+        const presetName = this.presets[this.currentPreset].name;
+        if (confirm(`Are you sure you want to delete preset "${presetName}"?`)) {
+            if (this.deletePreset(this.currentPreset)) {
+                this.currentPreset = null;
+                alert(`Preset "${presetName}" deleted successfully!`);
+            } else {
+                alert('Failed to delete preset.');
             }
         }
-        
-        // Evaporate pheromones
-        this.evaporatePheromones();
-        
-        // Debug: Log ant movement every 60 frames (1 second at 60fps)
-        if (this.frameCount % 60 === 0 && this.ants.length > 0) {
-            console.log(`Frame ${this.frameCount}: First ant at (${Math.floor(this.ants[0].position.x)}, ${Math.floor(this.ants[0].position.y)})`);
-        }
     }
     
     draw() {
-        // Clear canvas with dark background
+        // The selected ant may have died (lifecycle mode)
+        if (this.selectedAnt && !this.selectedAnt.isAlive) {
+            this.keepSelectedAnt();
+        }
+        
+        // Clear canvas; anything outside the world is darker than the world's own background
+        this.ctx.fillStyle = '#141414';
+        this.ctx.fillRect(0, 0, this.viewWidth, this.viewHeight);
+        
+        // World layers are drawn under the camera; the HUD below stays in screen space
+        this.updateCamera();
+        this.ctx.save();
+        this.ctx.translate(this.viewWidth / 2, this.viewHeight / 2);
+        this.ctx.scale(this.camera.zoom, this.camera.zoom);
+        this.ctx.translate(-this.camera.x, -this.camera.y);
         this.ctx.fillStyle = '#202020';
         this.ctx.fillRect(0, 0, this.width, this.height);
         
         // Draw pheromone trails
         this.drawPheromones();
         
+        // The selected ant records its antennae samples while the overlay is on
+        this.traceAntennaeFor = this.showGradientOverlay && this.selectedAnt ? this.selectedAnt.id : null;
+        if (this.showGradientOverlay) {
+            this.drawGradientField();
+        }
+        
         // Draw obstacles
         for (const obstacle of this.obstacles) {
             obstacle.draw(this.ctx);
         }
         
+        // Fading markers where ants died (lifecycle mode)
+        this.drawGraves();
+        
         // Draw ants (lower level)
         this.drawAnts();
         
         // Draw food sources (higher level)
         this.drawFoodSources();
         
-        // Draw nest (higher level)
-        this.drawNest();
+        // Draw nests (higher level), satellites linked to their main nest
+        for (const colony of this.colonies) {
+            this.drawNestLinks(colony);
+            this.drawNest(colony, colony.nest);
+            for (const nest of colony.satellites) {
+                this.drawNest(colony, nest, AntForagingSimulation.SATELLITE_SCALE);
+                this.drawNestStock(colony, nest);
+            }
+        }
+        
+        if (this.showGradientOverlay) {
+            this.drawAntennaeCone();
+        }
+        this.ctx.restore();
         
         // Draw debug info
         this.drawDebugInfo();
         
+        // Food stock, income and burn rate of every nest
+        if (this.economy) {
+            this.drawNestEconomy();
+        }
+        
+        if (this.nestTool) {
+            this.drawNestToolHint();
+        }
+        
+        // Channel legend for the heatmap, contour and solo views
+        this.drawPheromoneLegend();
+        
+        // Per-colony scoreboard when colonies compete
+        if (this.colonies.length > 1) {
+            this.drawColonyScoreboard();
+        }
+        
+        // Stats card for the selected ant
+        if (this.showAntInspector && this.selectedAnt) {
+            this.drawAntInspector();
+        }
+        
+        this.drawMinimap();
+        
+        // Draw metrics charts overlay
+        if (this.showMetricsPanel) {
+            this.drawMetricsPanel();
+        }
+        
+        // Draw replay timeline
+        if (this.replay) {
+            this.drawReplayTimeline();
+        }
+        
         // Draw pause overlay if paused
         if (this.isPaused) {
             this.drawPauseIndicator();
@@ -1685,21 +1277,21 @@ class AntForagingSimulation {
     drawPauseIndicator() {
         // Semi-transparent overlay - more prominent dimming
         this.ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
-        this.ctx.fillRect(0, 0, this.width, this.height);
+        this.ctx.fillRect(0, 0, this.viewWidth, this.viewHeight);
         
         // Check if mouse is hovering over the pause text area
         const mouseX = this.canvas.mouseX || 0;
         const mouseY = this.canvas.mouseY || 0;
         const textArea = {
-            x: this.width / 2 - 150,
-            y: this.height / 2 - 100,
+            x: this.viewWidth / 2 - 150,
+            y: this.viewHeight / 2 - 100,
             width: 300,
             height: 200
         };
         
         // Calculate distance from center of text area for gradual transition
-        const centerX = this.width / 2;
-        const centerY = this.height / 2;
+        const centerX = this.viewWidth / 2;
+        const centerY = this.viewHeight / 2;
         const distance = Math.sqrt(Math.pow(mouseX - centerX, 2) + Math.pow(mouseY - centerY, 2));
         const maxDistance = 150; // Distance at which full transparency starts
         
@@ -1716,12 +1308,14 @@ class AntForagingSimulation {
         this.ctx.font = 'bold 48px Arial, sans-serif';
         this.ctx.textAlign = 'center';
         this.ctx.textBaseline = 'middle';
-        this.ctx.fillText('PAUSED', this.width / 2, this.height / 2 - 60);
+        this.ctx.fillText('PAUSED', this.viewWidth / 2, this.viewHeight / 2 - 60);
         
         // Instructions - more transparent when hovering
         this.ctx.font = 'bold 24px Arial, sans-serif';
-        this.ctx.fillText('Press P to resume', this.width / 2, this.height / 2 - 20);
-        this.ctx.fillText('Obstacles, apples, and nest can be moved', this.width / 2, this.height / 2 + 20);
+        this.ctx.fillText('Press P to resume', this.viewWidth / 2, this.viewHeight / 2 - 20);
+        this.ctx.fillText('Obstacles, apples, and nest can be moved', this.viewWidth / 2, this.viewHeight / 2 + 20);
+        this.ctx.font = 'bold 18px Arial, sans-serif';
+        this.ctx.fillText('Press S or STEP to advance one tick', this.viewWidth / 2, this.viewHeight / 2 + 60);
     }
     
     
@@ -1731,43 +1325,589 @@ class AntForagingSimulation {
     
 
     
+    // Render color of every pheromone channel, by channel name
+    getPheromoneColors() {
+        const colors = {};
+        for (const channel of this.pheromoneField.channels.values()) {
+            colors[channel.name] = channel.color;
+        }
+        return colors;
+    }
+    
+    applyPheromoneColors(colors) {
+        for (const [name, color] of Object.entries(colors)) {
+            if (color && this.pheromoneField.hasChannel(name)) {
+                this.pheromoneField.channel(name).color = color;
+            }
+        }
+    }
+    
+    // Pheromone render mode (VIEW button / M key); heatmap, contour and solo show
+    // one channel, picked with [ and ] or by clicking the legend
+    cyclePheromoneView() {
+        const views = AntForagingSimulation.PHEROMONE_VIEWS;
+        this.pheromoneView.mode = views[(views.indexOf(this.pheromoneView.mode) + 1) % views.length];
+        this.log('debug', `Pheromone view: ${this.pheromoneView.mode}`);
+    }
+    
+    cyclePheromoneViewChannel(delta = 1) {
+        const names = [...this.pheromoneField.channels.keys()];
+        const index = names.indexOf(this.pheromoneView.channel);
+        this.pheromoneView.channel = names[(index + delta + names.length) % names.length];
+        this.log('debug', `Pheromone view channel: ${this.pheromoneView.channel}`);
+    }
+    
     drawPheromones() {
-        const cell = this.pheromoneField.cell;
-        
-        // Draw pheromones for single colony - OPTIMIZED: Only draw cells with pheromones
-        for (let x = 0; x < this.pheromoneField.gridW; x++) {
-            for (let y = 0; y < this.pheromoneField.gridH; y++) {
-                const homeStr = this.pheromoneField.home[x][y];
-                const foodStr = this.pheromoneField.food[x][y];
-                const success = this.pheromoneField.pathSuccess[x][y];
-                
-                // Only process cells that have actual pheromone values (performance optimization)
-                if (homeStr > 2 || foodStr > 2) {
-                    // Draw home trails (scouting trails for exploring ants)
-                    if (homeStr > 2) {
-                        const alpha = Math.min(0.6, homeStr / 100);
-                        const scoutingColor = hexToRgb(this.scoutingTrailColor || '#404040');
-                        this.ctx.fillStyle = `rgba(${scoutingColor.r}, ${scoutingColor.g}, ${scoutingColor.b}, ${alpha})`;
-                        this.ctx.fillRect(x * cell, y * cell, cell, cell);
-                    }
+        const field = this.pheromoneField;
+        const view = this.pheromoneView;
+        if (!field.hasChannel(view.channel)) {
+            view.channel = 'food'; // Channel went away with a snapshot load
+        }
+        
+        // One pixel per grid cell in an offscreen canvas, scaled up in a single
+        // drawImage - far cheaper than a fillRect per cell on large canvases
+        if (!this.pheromoneCanvas || this.pheromoneCanvas.width !== field.gridW || this.pheromoneCanvas.height !== field.gridH) {
+            this.pheromoneCanvas = document.createElement('canvas');
+            this.pheromoneCanvas.width = field.gridW;
+            this.pheromoneCanvas.height = field.gridH;
+            this.pheromoneImage = this.pheromoneCanvas.getContext('2d').createImageData(field.gridW, field.gridH);
+        }
+        
+        const visible = [...field.channels.values()].filter(channel => channel.visible);
+        let smooth = false;
+        switch (view.mode) {
+            case 'heatmap':
+                this.renderPheromoneHeatmap(field.channel(view.channel));
+                smooth = true; // Let drawImage interpolate the cells bilinearly
+                break;
+            case 'contour':
+                // Faint trails underneath so the lines have context
+                this.renderPheromoneLayers(visible, 0.35);
+                break;
+            case 'solo':
+                this.renderPheromoneLayers([field.channel(view.channel)]);
+                break;
+            case 'pathSuccess':
+                this.renderPheromoneLayers([...visible, field.channel('pathSuccess')]);
+                break;
+            default:
+                this.renderPheromoneLayers(visible);
+        }
+        
+        this.pheromoneCanvas.getContext('2d').putImageData(this.pheromoneImage, 0, 0);
+        this.ctx.save();
+        this.ctx.imageSmoothingEnabled = smooth;
+        this.ctx.drawImage(this.pheromoneCanvas, 0, 0, field.gridW * field.cell, field.gridH * field.cell);
+        this.ctx.restore();
+        
+        if (view.mode === 'contour') {
+            this.drawPheromoneContours(field.channel(view.channel));
+        }
+    }
+    
+    // Composite channels into the offscreen image in order, later ones on top.
+    // On the food layer, pathSuccess strengthens the trail (it has no layer of its
+    // own unless passed in explicitly).
+    renderPheromoneLayers(channels, alphaScale = 1) {
+        const field = this.pheromoneField;
+        const cellCount = field.gridW * field.gridH;
+        const pixels = this.pheromoneImage.data;
+        
+        const successGrid = field.hasChannel('pathSuccess') ? field.channel('pathSuccess').grid : null;
+        const layers = channels.map(channel => ({
+            grid: channel.grid,
+            boost: channel.name === 'food' ? successGrid : null,
+            color: hexToRgb(channel.color),
+            opacity: channel.opacity * alphaScale,
+            saturation: channel.saturation
+        }));
+        
+        for (let i = 0; i < cellCount; i++) {
+            const p = i * 4;
+            let alpha = 0;
+            let r = 0;
+            let g = 0;
+            let b = 0;
+            
+            for (const layer of layers) {
+                const strength = layer.grid[i];
+                // Only draw cells with a noticeable amount of pheromone
+                if (strength <= 2) continue;
+                
+                const value = layer.boost ? strength + layer.boost[i] : strength;
+                // Non-linear mapping for a more gradual transition
+                const layerAlpha = layer.opacity * Math.pow(Math.min(1, value / layer.saturation), 0.7);
+                
+                // Source-over compositing of this layer on the ones below
+                const combined = layerAlpha + alpha * (1 - layerAlpha);
+                const below = alpha * (1 - layerAlpha) / combined;
+                const above = layerAlpha / combined;
+                r = layer.color.r * above + r * below;
+                g = layer.color.g * above + g * below;
+                b = layer.color.b * above + b * below;
+                alpha = combined;
+            }
+            
+            pixels[p] = r;
+            pixels[p + 1] = g;
+            pixels[p + 2] = b;
+            pixels[p + 3] = alpha * 255;
+        }
+    }
+    
+    // Color-ramped image of one channel, scaled to the channel's current peak
+    // (square-root scale so faint trails still show)
+    renderPheromoneHeatmap(channel) {
+        const grid = channel.grid;
+        const pixels = this.pheromoneImage.data;
+        const ramp = getHeatmapRamp();
+        const peak = this.getPheromonePeak(channel);
+        
+        for (let i = 0; i < grid.length; i++) {
+            const p = i * 4;
+            const t = Math.sqrt(Math.min(1, grid[i] / peak));
+            const entry = Math.round(t * 255) * 4;
+            pixels[p] = ramp[entry];
+            pixels[p + 1] = ramp[entry + 1];
+            pixels[p + 2] = ramp[entry + 2];
+            pixels[p + 3] = Math.min(1, t * 4) * 220;
+        }
+    }
+    
+    // Highest value in a channel (at least 1, so an empty grid doesn't divide by zero)
+    getPheromonePeak(channel) {
+        let peak = 1;
+        const grid = channel.grid;
+        for (let i = 0; i < grid.length; i++) {
+            if (grid[i] > peak) peak = grid[i];
+        }
+        return peak;
+    }
+    
+    // Iso-lines of one channel by marching squares over the cell centres, at
+    // CONTOUR_LEVELS fractions of the channel's peak, colored from the heatmap ramp
+    drawPheromoneContours(channel) {
+        const field = this.pheromoneField;
+        const grid = channel.grid;
+        const w = field.gridW;
+        const h = field.gridH;
+        const cell = field.cell;
+        const ramp = getHeatmapRamp();
+        const peak = this.getPheromonePeak(channel);
+        const lowest = peak * AntForagingSimulation.CONTOUR_LEVELS[0];
+        
+        this.ctx.save();
+        this.ctx.lineWidth = 1.5;
+        for (const fraction of AntForagingSimulation.CONTOUR_LEVELS) {
+            const level = peak * fraction;
+            const entry = Math.round(Math.sqrt(fraction) * 255) * 4;
+            this.ctx.strokeStyle = `rgb(${ramp[entry]}, ${ramp[entry + 1]}, ${ramp[entry + 2]})`;
+            this.ctx.beginPath();
+            
+            for (let y = 0; y < h - 1; y++) {
+                for (let x = 0; x < w - 1; x++) {
+                    const i = y * w + x;
+                    const v0 = grid[i];         // top-left
+                    const v1 = grid[i + 1];     // top-right
+                    const v2 = grid[i + w + 1]; // bottom-right
+                    const v3 = grid[i + w];     // bottom-left
+                    // Most of the world is below every level
+                    if (v0 < lowest && v1 < lowest && v2 < lowest && v3 < lowest) continue;
                     
-                    // Draw food trails (returning ants with single color)
-                    if (foodStr > 2) {
-                        const alpha = Math.min(1.0, (foodStr + success) / 80);
-                        const strength = Math.min(1.0, (foodStr + success) / 200);
-                        
-                        // Apply non-linear mapping for better distribution
-                        const mappedStrength = Math.pow(strength, 0.7); // More gradual transition
-                        
-                        const returningColor = hexToRgb(this.returningTrailColor);
-                        const finalAlpha = alpha * mappedStrength;
-                        
-                        this.ctx.fillStyle = `rgba(${returningColor.r}, ${returningColor.g}, ${returningColor.b}, ${finalAlpha})`;
-                        this.ctx.fillRect(x * cell, y * cell, cell, cell);
+                    const index = (v0 >= level ? 8 : 0) | (v1 >= level ? 4 : 0) | (v2 >= level ? 2 : 0) | (v3 >= level ? 1 : 0);
+                    if (index === 0 || index === 15) continue;
+                    
+                    // Crossing points on each edge, in world coordinates
+                    const px = (x + 0.5) * cell;
+                    const py = (y + 0.5) * cell;
+                    const top = () => [px + cell * (level - v0) / (v1 - v0), py];
+                    const right = () => [px + cell, py + cell * (level - v1) / (v2 - v1)];
+                    const bottom = () => [px + cell * (level - v3) / (v2 - v3), py + cell];
+                    const left = () => [px, py + cell * (level - v0) / (v3 - v0)];
+                    
+                    const edges = [top, right, bottom, left];
+                    for (const [from, to] of MARCHING_SQUARE_SEGMENTS[index]) {
+                        const start = edges[from]();
+                        const end = edges[to]();
+                        this.ctx.moveTo(start[0], start[1]);
+                        this.ctx.lineTo(end[0], end[1]);
                     }
                 }
             }
+            this.ctx.stroke();
+        }
+        this.ctx.restore();
+    }
+    
+    // Debug overlay: PheromoneField.gradient for home and food sampled on a
+    // coarse lattice, as arrows pointing uphill (longer where the trail is stronger)
+    drawGradientField() {
+        const field = this.pheromoneField;
+        const spacing = field.cell * 5;
+        const colors = AntForagingSimulation.GRADIENT_COLORS;
+        const pos = new Vec(0, 0);
+        
+        this.ctx.save();
+        this.ctx.lineWidth = 1.2;
+        for (const type of Object.keys(colors)) {
+            this.ctx.strokeStyle = colors[type];
+            this.ctx.beginPath();
+            for (let y = spacing / 2; y < this.height; y += spacing) {
+                for (let x = spacing / 2; x < this.width; x += spacing) {
+                    pos.x = x;
+                    pos.y = y;
+                    const level = field.sample(pos, type);
+                    if (level < 1) continue;
+                    const gradient = field.gradient(pos, type);
+                    if (gradient.x === 0 && gradient.y === 0) continue;
+                    
+                    const half = spacing * 0.45 * Math.min(1, 0.3 + level / 100);
+                    const tipX = x + gradient.x * half;
+                    const tipY = y + gradient.y * half;
+                    this.ctx.moveTo(x - gradient.x * half, y - gradient.y * half);
+                    this.ctx.lineTo(tipX, tipY);
+                    // Arrow head
+                    const angle = Math.atan2(gradient.y, gradient.x);
+                    this.ctx.lineTo(tipX - Math.cos(angle - 0.5) * 4, tipY - Math.sin(angle - 0.5) * 4);
+                    this.ctx.moveTo(tipX, tipY);
+                    this.ctx.lineTo(tipX - Math.cos(angle + 0.5) * 4, tipY - Math.sin(angle + 0.5) * 4);
+                }
+            }
+            this.ctx.stroke();
+        }
+        this.ctx.restore();
+    }
+    
+    // Debug overlay: the cone getAntennaePheromoneDirection sampled for the
+    // highlighted ant on the last tick, each sample sized by its strength, with
+    // the strongest one ringed and the direction taken
+    drawAntennaeCone() {
+        const ant = this.selectedAnt;
+        if (!ant) return;
+        const trace = this.antennaeTrace;
+        
+        this.ctx.save();
+        this.ctx.font = 'bold 11px Arial, sans-serif';
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'middle';
+        if (!trace) {
+            // Near the nest or with food in sight the ant steers without its antennae
+            this.ctx.fillStyle = '#ffffff';
+            this.ctx.fillText('not sensing trails', ant.position.x + 12, ant.position.y - 12);
+            this.ctx.restore();
+            return;
+        }
+        
+        const color = AntForagingSimulation.GRADIENT_COLORS[trace.type] || '#ffffff';
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.08)';
+        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+        this.ctx.moveTo(trace.x, trace.y);
+        this.ctx.arc(trace.x, trace.y, trace.range, trace.heading - trace.spread, trace.heading + trace.spread);
+        this.ctx.closePath();
+        this.ctx.fill();
+        this.ctx.stroke();
+        
+        trace.samples.forEach((sample, i) => {
+            this.ctx.globalAlpha = sample.strength > 0 ? 0.9 : 0.35;
+            this.ctx.fillStyle = color;
+            this.ctx.beginPath();
+            this.ctx.arc(sample.x, sample.y, 2 + Math.min(6, Math.sqrt(sample.strength)), 0, Math.PI * 2);
+            this.ctx.fill();
+            if (i === trace.strongest && trace.direction) {
+                this.ctx.globalAlpha = 1;
+                this.ctx.strokeStyle = '#ffffff';
+                this.ctx.lineWidth = 2;
+                this.ctx.stroke();
+            }
+        });
+        this.ctx.globalAlpha = 1;
+        
+        if (trace.direction) {
+            this.ctx.strokeStyle = '#ffffff';
+            this.ctx.lineWidth = 2;
+            this.ctx.beginPath();
+            this.ctx.moveTo(trace.x, trace.y);
+            this.ctx.lineTo(trace.x + trace.direction.x * 40, trace.y + trace.direction.y * 40);
+            this.ctx.stroke();
+        }
+        
+        const best = trace.samples[trace.strongest].strength;
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.fillText(`${trace.type}: ${best.toFixed(1)}${trace.direction ? '' : ' (under 0.5, ignored)'}`, trace.x + 12, trace.y - 12);
+        this.ctx.restore();
+    }
+    
+    // Legend for the single-channel views: channel name, color ramp and scale.
+    // Clicking it selects the next channel.
+    drawPheromoneLegend() {
+        const view = this.pheromoneView;
+        if (view.mode === 'layers' || view.mode === 'pathSuccess') {
+            this.pheromoneLegendRect = null;
+            return;
+        }
+        const channel = this.pheromoneField.channel(view.channel);
+        const rect = { x: 10, y: 125, width: 210, height: view.mode === 'solo' ? 34 : 62 };
+        this.pheromoneLegendRect = rect;
+        
+        this.ctx.save();
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        this.roundRect(rect.x, rect.y, rect.width, rect.height, 6);
+        this.ctx.fill();
+        
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.font = 'bold 12px Arial, sans-serif';
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText(`${channel.label} (${view.mode})`, rect.x + 10, rect.y + 12);
+        this.ctx.font = '10px Arial, sans-serif';
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        this.ctx.fillText('click or [ ] to change', rect.x + 10, rect.y + 25);
+        
+        if (view.mode !== 'solo') {
+            // Ramp bar with the values at its ends and middle
+            const ramp = getHeatmapRamp();
+            const barX = rect.x + 10;
+            const barWidth = rect.width - 20;
+            for (let i = 0; i < barWidth; i++) {
+                const entry = Math.round(i / (barWidth - 1) * 255) * 4;
+                this.ctx.fillStyle = `rgb(${ramp[entry]}, ${ramp[entry + 1]}, ${ramp[entry + 2]})`;
+                this.ctx.fillRect(barX + i, rect.y + 34, 1, 10);
+            }
+            const peak = this.getPheromonePeak(channel);
+            this.ctx.fillStyle = '#ffffff';
+            this.ctx.textAlign = 'left';
+            this.ctx.fillText('0', barX, rect.y + 53);
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText(`${Math.round(peak / 4)}`, barX + barWidth / 2, rect.y + 53);
+            this.ctx.textAlign = 'right';
+            this.ctx.fillText(`${Math.round(peak)}`, barX + barWidth, rect.y + 53);
+        }
+        this.ctx.restore();
+    }
+    
+    // Instruction banner while the nest tool is armed
+    drawNestToolHint() {
+        const colony = this.colonies[this.nestTool.colonyId];
+        const text = this.nestTool.action === 'add'
+            ? `Click to place a satellite nest for ${colony.name} (Esc to cancel)`
+            : 'Click a satellite nest to remove it (Esc to cancel)';
+        this.ctx.save();
+        this.ctx.font = 'bold 13px Arial, sans-serif';
+        const width = this.ctx.measureText(text).width + 24;
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+        this.roundRect(this.viewWidth / 2 - width / 2, this.viewHeight - 130, width, 28, 8);
+        this.ctx.fill();
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText(text, this.viewWidth / 2, this.viewHeight - 116);
+        this.ctx.restore();
+    }
+    
+    // Top-left card with one row per colony: stock against capacity (over all of
+    // its nests), and the smoothed income and burn rate in units per minute.
+    // Starving rows turn red.
+    drawNestEconomy() {
+        const rowHeight = 16;
+        const rect = { x: 10, y: 10, width: 340, height: 12 + this.colonies.length * rowHeight };
+        const bar = { x: rect.x + 110, width: 60, height: 6 };
+        
+        this.ctx.save();
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        this.roundRect(rect.x, rect.y, rect.width, rect.height, 8);
+        this.ctx.fill();
+        
+        this.ctx.textBaseline = 'middle';
+        this.ctx.font = '12px Arial, sans-serif';
+        this.colonies.forEach((colony, i) => {
+            const nest = colony.nest;
+            const stock = this.colonyStock(colony);
+            const capacity = this.colonyCapacity(colony);
+            const rowY = rect.y + 14 + i * rowHeight;
+            const color = this.colonyColors(colony).color;
+            
+            this.ctx.fillStyle = color;
+            this.ctx.fillRect(rect.x + 8, rowY - 4, 8, 8);
+            this.ctx.fillStyle = nest.isStarving ? '#ff5252' : '#ffffff';
+            this.ctx.textAlign = 'left';
+            this.ctx.fillText(`${Math.floor(stock)} / ${capacity}`, rect.x + 22, rowY);
+            
+            this.ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
+            this.ctx.fillRect(bar.x, rowY - bar.height / 2, bar.width, bar.height);
+            this.ctx.fillStyle = nest.isStarving ? '#ff5252' : color;
+            this.ctx.fillRect(bar.x, rowY - bar.height / 2, bar.width * Math.min(1, stock / Math.max(1, capacity)), bar.height);
+            
+            this.ctx.fillStyle = nest.isStarving ? '#ff5252' : '#ffffff';
+            const rates = `+${Math.round(nest.income)} / -${Math.round(nest.burnRate)} per min`;
+            this.ctx.fillText(nest.isStarving ? `${rates}, starving` : rates, bar.x + bar.width + 10, rowY);
+        });
+        this.ctx.restore();
+    }
+    
+    // Colonies ranked by food stored, at the top centre: ants, stock, deliveries
+    // and each colony's share of all food delivered
+    drawColonyScoreboard() {
+        const standings = this.getColonyStandings();
+        const totalDelivered = standings.reduce((total, row) => total + row.foodDelivered, 0);
+        const rowHeight = 18;
+        const rect = { x: this.viewWidth / 2 - 160, y: 10, width: 320, height: 40 + standings.length * rowHeight };
+        const columns = [
+            { label: 'Ants', x: 150, value: row => `${row.ants}` },
+            { label: 'Stored', x: 205, value: row => `${Math.floor(row.foodStored)}` },
+            { label: 'Trips', x: 255, value: row => `${row.deliveries}` },
+            { label: 'Share', x: 305, value: row => totalDelivered > 0 ? `${Math.round(row.foodDelivered / totalDelivered * 100)}%` : '-' }
+        ];
+        
+        this.ctx.save();
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        this.roundRect(rect.x, rect.y, rect.width, rect.height, 8);
+        this.ctx.fill();
+        
+        this.ctx.textBaseline = 'middle';
+        this.ctx.font = 'bold 12px Arial, sans-serif';
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.textAlign = 'left';
+        this.ctx.fillText(this.followForeignTrails ? 'Colonies (following foreign trails)' : 'Colonies', rect.x + 10, rect.y + 14);
+        this.ctx.font = '10px Arial, sans-serif';
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        this.ctx.textAlign = 'right';
+        for (const column of columns) {
+            this.ctx.fillText(column.label, rect.x + column.x, rect.y + 14);
+        }
+        
+        this.ctx.font = '12px Arial, sans-serif';
+        standings.forEach((row, i) => {
+            const rowY = rect.y + 34 + i * rowHeight;
+            this.ctx.fillStyle = this.colonyColors(this.colonies[row.id]).color;
+            this.ctx.fillRect(rect.x + 10, rowY - 5, 10, 10);
+            this.ctx.fillStyle = '#ffffff';
+            this.ctx.textAlign = 'left';
+            this.ctx.fillText(`${i + 1}. ${row.name}`, rect.x + 28, rowY);
+            this.ctx.textAlign = 'right';
+            for (const column of columns) {
+                this.ctx.fillText(column.value(row), rect.x + column.x, rowY);
+            }
+        });
+        this.ctx.restore();
+    }
+    
+    // Stats card for the selected ant, left of the button column
+    drawAntInspector() {
+        const ant = this.selectedAnt;
+        const speed = ant.velocity.magnitude();
+        const tripSeconds = this.clock.time - ant.tripStartTime;
+        const rows = [
+            ...(this.colonies.length > 1 ? [['Colony', ant.colony.name]] : []),
+            ['Caste', ant.traits.label],
+            ['State', ant.state + (ant.isTrapped ? ' (trapped)' : '')],
+            ['Has food', ant.hasFood ? `${ant.load} / ${ant.traits.capacity}` : 'no'],
+            ['Speed', `${speed.toFixed(2)} px/tick`],
+            ['Escape attempts', `${ant.escapeAttempts} / ${ant.maxEscapeAttempts}`],
+            ['Trapped time', `${ant.trappedTime.toFixed(1)} s`],
+            ['Path length', `${ant.path.length} pts, ${Math.round(ant.tripDistance)} px`],
+            ['Trip duration', `${tripSeconds.toFixed(1)} s`],
+            ['Trips completed', `${ant.tripsCompleted}`],
+            ...(this.lifecycle ? [
+                ['Energy', `${Math.round(ant.energy)} / 100`],
+                ['Age', `${ant.age.toFixed(0)} / ${ant.lifespan.toFixed(0)} s`]
+            ] : [])
+        ];
+        const rowHeight = 16;
+        const rect = { x: this.viewWidth - 350, y: 65, width: 230, height: 48 + rows.length * rowHeight };
+        
+        this.ctx.save();
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+        this.roundRect(rect.x, rect.y, rect.width, rect.height, 8);
+        this.ctx.fill();
+        this.ctx.strokeStyle = '#ffff00';
+        this.ctx.lineWidth = 1;
+        this.ctx.stroke();
+        
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.font = 'bold 13px Arial, sans-serif';
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText(`Ant #${ant.id}`, rect.x + 10, rect.y + 15);
+        
+        this.ctx.font = '12px Arial, sans-serif';
+        rows.forEach(([label, value], i) => {
+            const rowY = rect.y + 36 + i * rowHeight;
+            this.ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+            this.ctx.textAlign = 'left';
+            this.ctx.fillText(label, rect.x + 10, rowY);
+            this.ctx.fillStyle = '#ffffff';
+            this.ctx.textAlign = 'right';
+            this.ctx.fillText(value, rect.x + rect.width - 10, rowY);
+        });
+        
+        this.ctx.font = '10px Arial, sans-serif';
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        this.ctx.textAlign = 'left';
+        this.ctx.fillText(this.followSelectedAnt ? 'Following - F to stop' : 'Click another ant to switch, F to follow', rect.x + 10, rect.y + rect.height - 10);
+        this.ctx.restore();
+    }
+    
+    // Overview of the whole world with the visible area outlined
+    drawMinimap() {
+        const map = this.minimapLayout();
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+        ctx.fillRect(map.x, map.y, map.width, map.height);
+        ctx.translate(map.x, map.y);
+        ctx.scale(map.scale, map.scale);
+        
+        ctx.fillStyle = 'rgba(150, 150, 150, 0.8)';
+        for (const obstacle of this.obstacles) {
+            ctx.beginPath();
+            ctx.arc(obstacle.pos.x, obstacle.pos.y, obstacle.baseRadius, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        for (const food of this.foodSources) {
+            ctx.fillStyle = food.traits.color;
+            ctx.beginPath();
+            ctx.arc(food.pos.x, food.pos.y, Math.max(food.radius, 3 / map.scale), 0, Math.PI * 2);
+            ctx.fill();
+        }
+        const colors = this.colonies.map(colony => this.colonyColors(colony));
+        for (const colony of this.colonies) {
+            ctx.fillStyle = colors[colony.id].color;
+            for (const nest of this.colonyNests(colony)) {
+                ctx.beginPath();
+                ctx.arc(nest.x, nest.y, Math.max(nest.radius, 4 / map.scale), 0, Math.PI * 2);
+                ctx.fill();
+            }
+        }
+        
+        // One pixel per ant, the selected one larger and yellow
+        const dot = 1 / map.scale;
+        for (const ant of this.ants) {
+            const antColors = colors[ant.colonyId];
+            ctx.fillStyle = ant.hasFood ? antColors.carryingColor : antColors.color;
+            ctx.fillRect(ant.position.x, ant.position.y, dot, dot);
+        }
+        if (this.selectedAnt && this.showAntInspector) {
+            ctx.fillStyle = '#ffff00';
+            ctx.fillRect(this.selectedAnt.position.x - dot, this.selectedAnt.position.y - dot, dot * 3, dot * 3);
         }
+        ctx.restore();
+        
+        // Visible area, clipped to the minimap
+        const topLeft = this.screenToWorld({ x: 0, y: 0 });
+        const bottomRight = this.screenToWorld({ x: this.viewWidth, y: this.viewHeight });
+        const x1 = map.x + Math.max(0, topLeft.x) * map.scale;
+        const y1 = map.y + Math.max(0, topLeft.y) * map.scale;
+        const x2 = map.x + Math.min(this.width, bottomRight.x) * map.scale;
+        const y2 = map.y + Math.min(this.height, bottomRight.y) * map.scale;
+        ctx.save();
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x1, y1, x2 - x1, y2 - y1);
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+        ctx.strokeRect(map.x, map.y, map.width, map.height);
+        ctx.restore();
     }
     
     drawFoodSources() {
@@ -1776,9 +1916,38 @@ class AntForagingSimulation {
         }
     }
     
-    drawNest() {
+    // Dashed line from each satellite nest to its colony's main nest
+    drawNestLinks(colony) {
+        if (colony.satellites.length === 0) return;
+        this.ctx.save();
+        this.ctx.strokeStyle = this.colonyColors(colony).color;
+        this.ctx.globalAlpha = 0.5;
+        this.ctx.lineWidth = 2;
+        this.ctx.setLineDash([8, 6]);
+        this.ctx.beginPath();
+        for (const nest of colony.satellites) {
+            this.ctx.moveTo(colony.nest.x, colony.nest.y);
+            this.ctx.lineTo(nest.x, nest.y);
+        }
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+    
+    // Fill bar under a satellite nest: its stock against its capacity
+    drawNestStock(colony, nest) {
+        const width = 40;
+        const y = nest.y + 20;
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        this.ctx.fillRect(nest.x - width / 2 - 1, y - 1, width + 2, 6);
+        this.ctx.fillStyle = this.colonyColors(colony).color;
+        this.ctx.fillRect(nest.x - width / 2, y, width * Math.min(1, nest.foodStored / Math.max(1, nest.maxCapacity)), 4);
+    }
+    
+    drawNest(colony, nest, scale = 1) {
+        const nestColor = this.colonyColors(colony).color;
         this.ctx.save();
-        this.ctx.translate(this.nest.x, this.nest.y);
+        this.ctx.translate(nest.x, nest.y);
+        this.ctx.scale(scale, scale);
         
         // Draw shadow first
         this.ctx.save();
@@ -1788,7 +1957,7 @@ class AntForagingSimulation {
         this.ctx.shadowOffsetY = 4;
         
         // Draw house body with shadow
-        this.ctx.fillStyle = this.nestColor; // Customizable nest color
+        this.ctx.fillStyle = nestColor; // Customizable nest color
         this.ctx.fillRect(-30, -20, 60, 40);
         
         // Draw roof with shadow
@@ -1797,13 +1966,13 @@ class AntForagingSimulation {
         this.ctx.lineTo(0, -45);
         this.ctx.lineTo(35, -20);
         this.ctx.closePath();
-        this.ctx.fillStyle = this.nestColor; // Customizable nest color
+        this.ctx.fillStyle = nestColor; // Customizable nest color
         this.ctx.fill();
         
         this.ctx.restore(); // Remove shadow for remaining elements
         
         // Draw house body again (without shadow)
-        this.ctx.fillStyle = this.nestColor; // Customizable nest color
+        this.ctx.fillStyle = nestColor; // Customizable nest color
         this.ctx.fillRect(-30, -20, 60, 40);
         
         // Draw roof again (without shadow)
@@ -1812,12 +1981,12 @@ class AntForagingSimulation {
         this.ctx.lineTo(0, -45);
         this.ctx.lineTo(35, -20);
         this.ctx.closePath();
-        this.ctx.fillStyle = this.nestColor; // Customizable nest color
+        this.ctx.fillStyle = nestColor; // Customizable nest color
         this.ctx.fill();
         
         // Draw unified outline for the entire nest (no separation between roof and wall)
         // Create brighter version of nest color for outline
-        const nestColorRgb = hexToRgb(this.nestColor);
+        const nestColorRgb = hexToRgb(nestColor);
         const brighterR = Math.min(255, nestColorRgb.r + 60);
         const brighterG = Math.min(255, nestColorRgb.g + 60);
         const brighterB = Math.min(255, nestColorRgb.b + 60);
@@ -1869,21 +2038,42 @@ class AntForagingSimulation {
     
 
     
+    // Small crosses in the colony's color, fading out over LIFECYCLE.graveDuration
+    drawGraves() {
+        const duration = AntColonyModel.LIFECYCLE.graveDuration;
+        this.ctx.save();
+        this.ctx.lineWidth = 1.5;
+        for (const grave of this.graves) {
+            const colony = this.colonies[grave.colonyId];
+            this.ctx.globalAlpha = Math.max(0, 1 - (this.clock.time - grave.time) / duration) * 0.8;
+            this.ctx.strokeStyle = colony ? this.colonyColors(colony).color : '#888888';
+            this.ctx.beginPath();
+            this.ctx.moveTo(grave.x, grave.y - 4);
+            this.ctx.lineTo(grave.x, grave.y + 4);
+            this.ctx.moveTo(grave.x - 3, grave.y - 1.5);
+            this.ctx.lineTo(grave.x + 3, grave.y - 1.5);
+            this.ctx.stroke();
+        }
+        this.ctx.restore();
+    }
+    
     drawAnts() {
-        console.log(`Drawing ${this.ants.length} ants`);
-        
-        // Debug: Check highlighted ant status
-        if (this.highlightedGreenAnt) {
-            console.log(`Highlighted ant: hasFood=${this.highlightedGreenAnt.hasFood}, position=(${Math.floor(this.highlightedGreenAnt.position.x)}, ${Math.floor(this.highlightedGreenAnt.position.y)}), path length=${this.highlightedGreenAnt.path ? this.highlightedGreenAnt.path.length : 0}`);
-        } else {
-            console.log('No highlighted ant found');
+        // Per-frame debug output; skip building the strings unless debug logging is on
+        if (this.eventBus.isLogEnabled('debug')) {
+            this.log('debug', `Drawing ${this.ants.length} ants`);
+            if (this.selectedAnt) {
+                this.log('debug', `Selected ant #${this.selectedAnt.id}: hasFood=${this.selectedAnt.hasFood}, position=(${Math.floor(this.selectedAnt.position.x)}, ${Math.floor(this.selectedAnt.position.y)}), path length=${this.selectedAnt.path ? this.selectedAnt.path.length : 0}`);
+            } else {
+                this.log('debug', 'No selected ant');
+            }
         }
         
         // Draw highlighted ant trail first (if exists and toggle is ON)
-        if (this.highlightedGreenAnt && this.sampleAntToggle) {
+        if (this.selectedAnt && this.showAntInspector) {
             this.drawHighlightedAntTrail();
         }
         
+        const colors = this.colonies.map(colony => this.colonyColors(colony));
         for (let ant of this.ants) {
             this.ctx.save();
             this.ctx.translate(ant.position.x, ant.position.y);
@@ -1896,24 +2086,28 @@ class AntForagingSimulation {
             let size = 5;
             
             // Make highlighted ant smaller for better visibility
-            if (ant === this.highlightedGreenAnt && this.sampleAntToggle) {
+            if (ant === this.selectedAnt && this.showAntInspector) {
                 size = size * 0.7; // 30% smaller
             }
             
+            // Outline of the ant's caste, pointing along +x
+            const shape = AntForagingSimulation.CASTE_SHAPES[ant.caste] || AntForagingSimulation.CASTE_SHAPES.forager;
             this.ctx.beginPath();
-            this.ctx.moveTo(size, 0);
-            this.ctx.lineTo(-size * 0.6, size * 0.6);
-            this.ctx.lineTo(-size * 0.6, -size * 0.6);
+            this.ctx.moveTo(shape[0][0] * size, shape[0][1] * size);
+            for (let i = 1; i < shape.length; i++) {
+                this.ctx.lineTo(shape[i][0] * size, shape[i][1] * size);
+            }
             this.ctx.closePath();
             
-            // Color based on food status - returning ants use antColor, exploring ants use nestColor
-            let baseColor = ant.hasFood ? this.antColor : this.nestColor;
+            // Color based on colony and food status - returning ants use the carrying color
+            const antColors = colors[ant.colonyId];
+            let baseColor = ant.hasFood ? antColors.carryingColor : antColors.color;
             
             this.ctx.fillStyle = baseColor;
             this.ctx.fill();
             
             // Highlight the selected ant with yellow glow (only when toggle is ON)
-            if (ant === this.highlightedGreenAnt && this.sampleAntToggle) {
+            if (ant === this.selectedAnt && this.showAntInspector) {
                 // Yellow glow effect
                 this.ctx.shadowColor = '#ffff00';
                 this.ctx.shadowBlur = 8;
@@ -1951,7 +2145,7 @@ class AntForagingSimulation {
     }
     
     drawHighlightedAntTrail() {
-        if (!this.highlightedGreenAnt || !this.sampleAntToggle) return;
+        if (!this.selectedAnt || !this.showAntInspector) return;
         
         // Draw yellow trail for highlighted ant (regardless of food status)
                 this.ctx.save();
@@ -1968,15 +2162,15 @@ class AntForagingSimulation {
         this.ctx.lineJoin = 'round';
         
         // Draw entire path since initialization (no limit)
-        if (this.highlightedGreenAnt.path && this.highlightedGreenAnt.path.length > 1) {
+        if (this.selectedAnt.path && this.selectedAnt.path.length > 1) {
                 this.ctx.beginPath();
             
             // Start from the very beginning of the path
-            this.ctx.moveTo(this.highlightedGreenAnt.path[0].x, this.highlightedGreenAnt.path[0].y);
+            this.ctx.moveTo(this.selectedAnt.path[0].x, this.selectedAnt.path[0].y);
             
             // Draw the entire path
-            for (let i = 1; i < this.highlightedGreenAnt.path.length; i++) {
-                this.ctx.lineTo(this.highlightedGreenAnt.path[i].x, this.highlightedGreenAnt.path[i].y);
+            for (let i = 1; i < this.selectedAnt.path.length; i++) {
+                this.ctx.lineTo(this.selectedAnt.path[i].x, this.selectedAnt.path[i].y);
             }
             
             this.ctx.stroke();
@@ -1988,15 +2182,15 @@ class AntForagingSimulation {
 
     
     drawDebugInfo() {
-        // Draw large timer at top right
+        // Draw large timer at top right (simulated time, not wall time)
         this.ctx.fillStyle = '#ffffff';
         this.ctx.font = 'bold 36px Arial, sans-serif';
         this.ctx.textAlign = 'right';
-        const elapsedSeconds = Math.floor(performance.now() / 1000);
+        const elapsedSeconds = Math.floor(this.clock.time);
         const minutes = Math.floor(elapsedSeconds / 60);
         const seconds = elapsedSeconds % 60;
         const timeString = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
-        this.ctx.fillText(timeString, this.width - 20, 45);
+        this.ctx.fillText(timeString, this.viewWidth - 20, 45);
         
         // Draw reset button under timer
         this.ctx.save();
@@ -2009,7 +2203,7 @@ class AntForagingSimulation {
         // Rounded rectangle background - larger size with press animation
         this.ctx.fillStyle = this.buttonPressStates.reset ? '#e69500' : '#ff6b00';
         const resetY = this.buttonPressStates.reset ? 67 : 65;
-        this.roundRect(this.width - 110, resetY, 100, 35, 18);
+        this.roundRect(this.viewWidth - 110, resetY, 100, 35, 18);
         this.ctx.fill();
         
         // Bold white outline
@@ -2028,7 +2222,7 @@ class AntForagingSimulation {
         this.ctx.textAlign = 'center';
         this.ctx.textBaseline = 'middle';
         const resetTextY = this.buttonPressStates.reset ? 84.5 : 82.5;
-        this.ctx.fillText('RESET', this.width - 60, resetTextY);
+        this.ctx.fillText('RESET', this.viewWidth - 60, resetTextY);
         this.ctx.restore();
         
         // Draw pause button under reset button
@@ -2042,7 +2236,7 @@ class AntForagingSimulation {
         // Rounded rectangle background - larger size with press animation
         this.ctx.fillStyle = this.buttonPressStates.pause ? '#e69500' : '#ff6b00';
         const pauseY = this.buttonPressStates.pause ? 107 : 105;
-        this.roundRect(this.width - 110, pauseY, 100, 35, 18);
+        this.roundRect(this.viewWidth - 110, pauseY, 100, 35, 18);
         this.ctx.fill();
         
         // Bold white outline
@@ -2061,7 +2255,7 @@ class AntForagingSimulation {
         this.ctx.textAlign = 'center';
         this.ctx.textBaseline = 'middle';
         const pauseTextY = this.buttonPressStates.pause ? 124.5 : 122.5;
-        this.ctx.fillText('PAUSE', this.width - 60, pauseTextY);
+        this.ctx.fillText('PAUSE', this.viewWidth - 60, pauseTextY);
         this.ctx.restore();
         
         // Draw restart button under pause button
@@ -2075,7 +2269,7 @@ class AntForagingSimulation {
         // Rounded rectangle background - larger size with press animation
         this.ctx.fillStyle = this.buttonPressStates.restart ? '#e69500' : '#ff6b00';
         const restartY = this.buttonPressStates.restart ? 147 : 145;
-        this.roundRect(this.width - 110, restartY, 100, 35, 18);
+        this.roundRect(this.viewWidth - 110, restartY, 100, 35, 18);
         this.ctx.fill();
         
         // Bold white outline
@@ -2094,81 +2288,27 @@ class AntForagingSimulation {
         this.ctx.textAlign = 'center';
         this.ctx.textBaseline = 'middle';
         const restartTextY = this.buttonPressStates.restart ? 164.5 : 162.5;
-        this.ctx.fillText('RESTART', this.width - 60, restartTextY);
+        this.ctx.fillText('RESTART', this.viewWidth - 60, restartTextY);
         this.ctx.restore();
         
         // Draw Ant toggle switch under restart button
-        this.ctx.save();
-        
-        // Shadow - same as other buttons
-        this.ctx.shadowColor = 'rgba(0, 0, 0, 0.5)';
-        this.ctx.shadowBlur = 4;
-        this.ctx.shadowOffsetX = 2;
-        this.ctx.shadowOffsetY = 2;
-        
-        // Rounded rectangle background - same size and style as other buttons
-        this.ctx.fillStyle = '#ff6b00'; // Same orange as other buttons
-        const sampleY = 185;
-        this.roundRect(this.width - 110, sampleY, 100, 35, 18);
-        this.ctx.fill();
-        
-        // Bold white outline - same as other buttons
-        this.ctx.shadowColor = 'transparent';
-        this.ctx.strokeStyle = '#ffffff';
-        this.ctx.lineWidth = 3;
-        this.ctx.stroke();
-        
-        // Label text - positioned to the left
-        this.ctx.shadowColor = 'rgba(0, 0, 0, 0.6)';
-        this.ctx.shadowBlur = 2;
-        this.ctx.shadowOffsetX = 1;
-        this.ctx.shadowOffsetY = 1;
-        this.ctx.fillStyle = '#ffffff';
-        this.ctx.font = 'bold 14px Arial, sans-serif';
-        this.ctx.textAlign = 'left';
-        this.ctx.textBaseline = 'middle';
-        this.ctx.fillText('ANT', this.width - 100, sampleY + 17.5);
-        
-        // Draw toggle switch inside the button - positioned to the right
-        const switchWidth = 40;
-        const switchHeight = 20;
-        const switchX = this.width - 55;
-        const switchY = sampleY + 7.5;
-        
-        // Toggle switch background (track)
-        this.ctx.fillStyle = this.sampleAntToggle ? '#4CAF50' : '#ccc';
-        this.roundRect(switchX, switchY, switchWidth, switchHeight, switchHeight / 2);
-        this.ctx.fill();
+        this.drawToggleButton('ANT', 185, this.showAntInspector);
         
-        // Toggle switch border
-        this.ctx.strokeStyle = '#999';
-        this.ctx.lineWidth = 1;
-        this.ctx.stroke();
-        
-        // Toggle switch knob (slider)
-        const knobSize = switchHeight - 4;
-        const knobX = this.sampleAntToggle ? switchX + switchWidth - knobSize - 2 : switchX + 2;
-        const knobY = switchY + 2;
+        // Draw charts toggle under the ant toggle
+        this.drawToggleButton('CHARTS', 225, this.showMetricsPanel);
         
-        // Knob shadow
-        this.ctx.shadowColor = 'rgba(0, 0, 0, 0.2)';
-        this.ctx.shadowBlur = 2;
-        this.ctx.shadowOffsetX = 1;
-        this.ctx.shadowOffsetY = 1;
-        
-        // Knob background
-        this.ctx.fillStyle = '#fff';
-        this.ctx.beginPath();
-        this.ctx.arc(knobX + knobSize/2, knobY + knobSize/2, knobSize/2, 0, Math.PI * 2);
-        this.ctx.fill();
+        // Draw replay toggle under the charts toggle
+        this.drawToggleButton('REPLAY', 265, this.replay !== null);
         
-        // Knob border
-        this.ctx.shadowColor = 'transparent';
-        this.ctx.strokeStyle = '#ddd';
-        this.ctx.lineWidth = 1;
-        this.ctx.stroke();
+        // Speed selector and single-step (only active while paused)
+        this.drawActionButton(`SPEED ${this.speedLabel}`, 305, 'speed');
+        this.drawActionButton('STEP', 345, 'step', this.isPaused);
         
-        this.ctx.restore();
+        // Pheromone render mode and the gradient debug overlay
+        this.drawActionButton(AntForagingSimulation.PHEROMONE_VIEW_LABELS[this.pheromoneView.mode], 385, 'view');
+        this.drawToggleButton('GRAD', 425, this.showGradientOverlay);
+        this.drawToggleButton('FOLLOW', 465, this.followSelectedAnt);
+        this.drawToggleButton('LIFE', 505, this.lifecycle);
         
 
         
@@ -2192,6 +2332,19 @@ class AntForagingSimulation {
             this.ctx.fillStyle = '#ffffff';
         }
         
+        // Seed of the current run (reproduce it with ?seed=<value>)
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        this.ctx.font = '12px Arial, sans-serif';
+        if (this.lifecycle) {
+            const brood = this.colonies.reduce((total, colony) => total + colony.brood.length, 0);
+            this.ctx.fillText(`Lifecycle: ${this.ants.length} ants, ${brood} brood, ${this.stats.births} hatched, ${this.stats.deaths} died (L to stop)`, 10, this.viewHeight - 46);
+        } else {
+            this.ctx.fillText('Lifecycle: off, ants are immortal (L to start)', 10, this.viewHeight - 46);
+        }
+        this.ctx.fillText(`Alarm response: ${this.colonyTemperament} (T to change)`, 10, this.viewHeight - 28);
+        this.ctx.fillText(`Seed: ${this.seed}`, 10, this.viewHeight - 10);
+        this.ctx.fillStyle = '#ffffff';
+        
 
         // if (this.ants.length > 0) {
         //     this.ctx.fillStyle = '#ffd700'; // Gold color for debug info
@@ -2224,904 +2377,471 @@ class AntForagingSimulation {
 
     }
     
-    start() {
-        console.log('Starting ant foraging simulation...');
-        console.log('Ants array length:', this.ants ? this.ants.length : 'undefined');
-        if (this.ants && this.ants.length > 0) {
-            console.log(`Initial ant positions:`, this.ants.map(ant => ({x: ant.position.x, y: ant.position.y})));
-        }
-        
-        // Stop any existing animation loop
-        if (this.animationId) {
-            cancelAnimationFrame(this.animationId);
-        }
-        
-        // Performance monitoring
-        let frameCount = 0;
-        let lastFPS = 0;
-        let lastTime = performance.now();
-        
-        const animate = (currentTime) => {
-            try {
-                // Remove frame rate limiting for smooth animations
-                    this.update();
-                    this.draw();
-                    
-                    // Performance monitoring
-                    frameCount++;
-                    if (currentTime - lastTime >= 1000) {
-                        lastFPS = frameCount;
-                        frameCount = 0;
-                    lastTime = currentTime;
-                        console.log(`Performance: ${lastFPS} FPS`);
-                }
-                
-                this.animationId = requestAnimationFrame(animate);
-            } catch (error) {
-                console.error('Animation error:', error);
-            }
-        };
-        animate();
-    }
-    
-    stop() {
-        if (this.animationId) {
-            cancelAnimationFrame(this.animationId);
-            this.animationId = null;
-        }
-    }
-    
-    // Trigger button press animation
-    triggerButtonPress(buttonName) {
-        this.buttonPressStates[buttonName] = true;
-        this.buttonPressTimers[buttonName] = 10; // Animation duration in frames
-    }
-}
-
-// Obstacle class with blob-based collision detection
-class Obstacle {
-    constructor(x, y) {
-        this.pos = new Vec(x, y);
-        this.lastPos = new Vec(x, y); // Track previous position for sweeping
-        this.baseRadius = 30 + Math.random() * 30;
-        this.blob = makeBlob(x, y, this.baseRadius, 0.2, 18);
-    }
-    
-    randomize(w, h) {
-        this.pos = new Vec(Math.random() * (w * 0.7) + w * 0.15, Math.random() * (h * 0.7) + h * 0.15);
-        this.baseRadius = 30 + Math.random() * 30;
-        this.blob = makeBlob(this.pos.x, this.pos.y, this.baseRadius, 0.2, 18);
-    }
-    
-    draw(ctx) {
-        ctx.save();
-        const pts = this.blob;
-        if (pts.length) {
-            const mid = (a, b) => new Vec((a.x + b.x) / 2, (a.y + b.y) / 2);
-            let prev = pts[pts.length - 1];
-            let cur = pts[0];
-            
-            // Draw shadow first
-            ctx.save();
-            ctx.shadowColor = 'rgba(0, 0, 0, 0.3)';
-            ctx.shadowBlur = 8;
-            ctx.shadowOffsetX = 3;
-            ctx.shadowOffsetY = 3;
-            ctx.fillStyle = 'rgba(50, 50, 50, 0.95)';
-            ctx.beginPath();
-            ctx.moveTo((prev.x + cur.x) / 2, (prev.y + cur.y) / 2);
-            for (let i = 0; i < pts.length; i++) {
-                const next = pts[(i + 1) % pts.length];
-                const c = pts[i];
-                const m = mid(c, next);
-                ctx.quadraticCurveTo(c.x, c.y, m.x, m.y);
-            }
-            ctx.closePath();
-            ctx.fill();
-            ctx.restore();
-            
-            // Draw main fill
-            ctx.fillStyle = 'rgba(50, 50, 50, 0.95)';
-            ctx.beginPath();
-            ctx.moveTo((prev.x + cur.x) / 2, (prev.y + cur.y) / 2);
-            for (let i = 0; i < pts.length; i++) {
-                const next = pts[(i + 1) % pts.length];
-                const c = pts[i];
-                const m = mid(c, next);
-                ctx.quadraticCurveTo(c.x, c.y, m.x, m.y);
-            }
-            ctx.closePath();
-            ctx.fill();
-            
-            // Draw brighter outline
-            ctx.strokeStyle = 'rgba(80, 80, 80, 0.8)';
-            ctx.lineWidth = 2;
-            ctx.stroke();
-        }
-        ctx.restore();
-    }
-    
-    repulse(pos) {
-        if (!this.blob || this.blob.length === 0) {
-            return { vec: new Vec(0, 0), dist: Infinity };
-        }
-        
-        let minDist = Infinity;
-        let closest = null;
-        
-        // Check distance to each edge of the blob
-        for (let i = 0; i < this.blob.length; i++) {
-            const a = this.blob[i];
-            const b = this.blob[(i + 1) % this.blob.length];
-            const cp = closestOnSeg(a, b, pos);
-            const d = pos.subtract(cp).magnitude();
-            if (d < minDist) {
-                minDist = d;
-                closest = cp;
+    // Rolling sparkline charts of the sampled colony metrics
+    drawMetricsPanel() {
+        const metrics = this.metrics;
+        const latest = metrics.latest;
+        const windowSize = 120; // Samples shown - one minute at the default 0.5 s interval
+        const foodPalette = ['#ff8a65', '#ffd54f', '#aed581', '#4fc3f7', '#ba68c8', '#f06292'];
+        const channels = [...this.pheromoneField.channels.values()];
+        // The home/food render colors are too dark to read on the panel
+        const chartTrailColors = { home: '#bdbdbd', food: '#ff8a65' };
+        
+        const rows = [
+            {
+                label: 'Food delivered',
+                value: latest ? `${latest.foodDelivered}` : '-',
+                series: [{ values: metrics.series(s => s.foodDelivered, windowSize), color: '#4CAF50' }]
+            },
+            {
+                label: 'Nest efficiency',
+                value: latest ? latest.efficiency.toFixed(2) : '-',
+                series: [{ values: metrics.series(s => s.efficiency, windowSize), color: '#ffd54f' }]
+            },
+            {
+                label: 'Carrying / exploring',
+                value: latest ? `${latest.carrying} / ${latest.exploring}` : '-',
+                series: [
+                    { values: metrics.series(s => s.carrying, windowSize), color: this.antColor },
+                    { values: metrics.series(s => s.exploring, windowSize), color: this.nestColor }
+                ]
+            },
+            {
+                label: 'Escape mode',
+                value: latest ? `${latest.escaping}` : '-',
+                series: [{ values: metrics.series(s => s.escaping, windowSize), color: '#ff4d4d' }]
+            },
+            {
+                label: `Pheromone ${channels.map(channel => channel.name).join(' / ')}`,
+                value: latest ? channels.map(channel => Math.round(latest.pheromone[channel.name] ?? 0)).join(' / ') : '-',
+                series: channels.map(channel => ({
+                    values: metrics.series(s => s.pheromone[channel.name] ?? null, windowSize),
+                    color: chartTrailColors[channel.name] || channel.color
+                }))
+            },
+            {
+                label: 'Food remaining (per source)',
+                value: latest ? `${latest.totalFoodRemaining}` : '-',
+                series: this.foodSources.map((food, i) => ({
+                    values: metrics.series(s => s.foodRemaining[food.id] ?? null, windowSize),
+                    color: foodPalette[i % foodPalette.length]
+                }))
             }
-        }
-        
-        if (!closest) return { vec: new Vec(0, 0), dist: Infinity };
-        
-        const away = pos.subtract(closest);
-        const mag = away.magnitude();
+        ];
         
-        if (mag < 0.1) {
-            // If too close, pick a random direction away from center
-            const centerAway = pos.subtract(this.pos);
-            if (centerAway.magnitude() > 0.1) {
-                return { vec: centerAway.normalize(), dist: 0 };
-            } else {
-                return { vec: Vec.random(), dist: 0 };
-            }
-        }
+        const rowHeight = 40;
+        const panelWidth = 280;
+        const panelHeight = 30 + rows.length * rowHeight;
+        const panelX = 10;
+        const panelY = this.viewHeight - 30 - panelHeight - (this.replay ? 60 : 0); // Stay above the replay bar
         
-        // No buffer - use actual distance for accurate collision detection
-        const adjustedDist = minDist;
+        this.ctx.save();
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+        this.roundRect(panelX, panelY, panelWidth, panelHeight, 8);
+        this.ctx.fill();
         
-        return { vec: away.normalize(), dist: adjustedDist };
-    }
-}
-
-// Enhanced Food class with better visual representation
-class Food {
-    constructor(x, y) {
-        this.pos = new Vec(x, y);
-        this.amount = 500;
-        this.radius = 20 + Math.random() * 10;
-        this.originalAmount = this.amount;
-    }
-    
-    randomize(w, h, avoid) {
-        this.pos = new Vec(Math.random() * (w * 0.7) + w * 0.15, Math.random() * (h * 0.7) + h * 0.15);
-        if (avoid && this.pos.subtract(avoid.pos).magnitude() < 120) {
-            this.pos = new Vec(Math.random() * (w * 0.7) + w * 0.15, Math.random() * (h * 0.7) + h * 0.15);
-        }
-        this.amount = 500;
-        this.radius = 20 + Math.random() * 10;
-        this.originalAmount = this.amount;
-    }
-    
-    containsAndTake(pos) {
-        if (this.amount <= 0) return false;
-        const d = pos.subtract(this.pos).magnitude();
-        if (d < this.radius) {
-            this.amount = Math.max(0, this.amount - 1);
-            return true;
-        }
-        return false;
-    }
-    
-    isDepleted() {
-        return this.amount <= 0;
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.font = 'bold 13px Arial, sans-serif';
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText(`Colony metrics (every ${metrics.interval} ticks)`, panelX + 10, panelY + 15);
+        
+        rows.forEach((row, i) => {
+            const rowY = panelY + 30 + i * rowHeight;
+            this.ctx.fillStyle = '#cccccc';
+            this.ctx.font = '11px Arial, sans-serif';
+            this.ctx.textAlign = 'left';
+            this.ctx.fillText(row.label, panelX + 10, rowY + 8);
+            this.ctx.fillStyle = '#ffffff';
+            this.ctx.font = 'bold 11px Arial, sans-serif';
+            this.ctx.textAlign = 'right';
+            this.ctx.fillText(row.value, panelX + panelWidth - 10, rowY + 8);
+            this.drawSparkline(row.series, panelX + 10, rowY + 16, panelWidth - 20, 20);
+        });
+        this.ctx.restore();
     }
     
-    draw(ctx) {
-        ctx.save();
-        ctx.translate(this.pos.x, this.pos.y);
-        
-        const fraction = Math.max(0, Math.min(1, this.amount / this.originalAmount));
-        
-        // Draw shadow
-        ctx.save();
-        ctx.shadowColor = 'rgba(0, 0, 0, 0.4)';
-        ctx.shadowBlur = 8;
-        ctx.shadowOffsetX = 3;
-        ctx.shadowOffsetY = 3;
-        
-        // Draw food background (depleted area) with shadow
-        ctx.fillStyle = 'rgba(160, 57, 57, 0.3)';
-        ctx.beginPath();
-        ctx.arc(0, 0, this.radius, 0, Math.PI * 2);
-        ctx.fill();
-        
-        // Draw food amount (filled area) with shadow
-        if (fraction > 0) {
-            const startAngle = -Math.PI / 2;
-            const endAngle = startAngle + Math.PI * 2 * fraction;
-            ctx.fillStyle = '#a03939';
-            ctx.beginPath();
-            ctx.moveTo(0, 0);
-            ctx.arc(0, 0, this.radius, startAngle, endAngle);
-            ctx.closePath();
-            ctx.fill();
-        }
-        ctx.restore();
-        
-        // Draw stem with shadow
-        ctx.save();
-        ctx.shadowColor = 'rgba(0, 0, 0, 0.3)';
-        ctx.shadowBlur = 4;
-        ctx.shadowOffsetX = 1;
-        ctx.shadowOffsetY = 1;
-        ctx.fillStyle = '#5a3d1b';
-        ctx.fillRect(-2, -this.radius - 7, 4, 7);
-        
-        // Draw leaf with shadow
-        ctx.fillStyle = '#4f7d4f';
-        ctx.beginPath();
-        ctx.ellipse(-this.radius * 0.25 - 1, -this.radius - 9, this.radius * 0.3, this.radius * 0.12, Math.PI / 5, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.restore();
-        
-        // Draw amount text with shadow
-        ctx.save();
-        ctx.shadowColor = 'rgba(0, 0, 0, 0.6)';
-        ctx.shadowBlur = 2;
-        ctx.shadowOffsetX = 1;
-        ctx.shadowOffsetY = 1;
-        ctx.fillStyle = '#fff';
-        ctx.font = '700 16px system-ui';
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
-        ctx.fillText(this.amount.toString(), 0, 0);
-        ctx.restore();
-        
-        ctx.restore();
-    }
-}
-
-class Ant {
-    constructor(x, y, simulation) {
-        this.position = new Vec(x, y);
-        this.velocity = Vec.random().multiply(2);
-        this.simulation = simulation;
-        this.hasFood = false;
-        this.path = [];
-        this.tripStartTime = performance.now();
-        this.momentum = new Vec(0, 0);
-        this.lastFoodTime = 0;
-        this.targetFood = null;
-        this.maxSpeed = 3.0;
-        this.maxTurnRate = 0.3; // Radians per frame
-        
-        // Lifecycle properties
-        this.birthTime = performance.now();
-        this.age = 0; // Age in milliseconds
-        this.lifespan = 300000 + (Math.random() - 0.5) * 120000; // 5 minutes ± 1 minute randomly
-        this.isAlive = true;
-        this.energy = 100; // Energy level (0-100)
-        this.energyDecayRate = 0.02; // Much slower energy decay - changes visible after 4 minutes
-        
-        // Death properties
-        this.deathTime = null;
-        this.graveEffect = null;
-        
-        // Trapped ant escape mode properties
-        this.stuckTime = 0;
-        this.lastPosition = this.position.clone();
-        this.stuckThreshold = 120; // 2 seconds at 60fps
-        this.isStuck = false;
-        this.escapeMode = false;
-        this.escapeStartTime = 0;
-        this.escapeDuration = 300; // 5 seconds
-        this.escapeAttempts = 0;
-        this.maxEscapeAttempts = 5;
-        
-        // Enhanced trapped detection
-        this.progressHistory = []; // Track progress toward goal
-        this.progressThreshold = 30; // Reduced threshold for faster detection
-        this.trappedTime = 0;
-        this.trappedThreshold = 90; // Reduced to 1.5 seconds of no progress
-        this.isTrapped = false;
-        this.initialDistanceToGoal = 0; // Distance to goal when starting
-        this.lastProgressCheck = 0;
-        this.progressCheckInterval = 30; // Check progress every 30 frames (0.5 seconds)
-    }
-    
-    update() {
-        // Lifecycle update - check if ant is still alive (disabled for immortal ants)
-        // this.age = performance.now() - this.birthTime;
-        // this.energy -= this.energyDecayRate;
-        
-        // Die from old age or exhaustion (disabled for immortal ants)
-        // if (this.age > this.lifespan || this.energy <= 0) {
-        //     if (this.isAlive) {
-        //         this.isAlive = false;
-        //         this.deathTime = performance.now();
-        //         this.graveEffect = {
-        //             startTime: performance.now(),
-        //             duration: 10000, // 10 seconds
-        //             alpha: 1.0
-        //         };
-        //         // Increment dead ant counter
-        //         this.simulation.deadAntCount++;
-        //         console.log(`Ant died at age ${(this.age / 1000).toFixed(1)}s. Total dead: ${this.simulation.deadAntCount}`);
-        //     }
-        //     return; // Stop updating dead ants
-        // }
-        
-
-        
-        // Slow down when energy is low
-        const energyFactor = Math.max(0.3, this.energy / 100);
-        this.maxSpeed = 3.0 * energyFactor;
-        
-        let direction = new Vec(0, 0);
-        
-        if (this.hasFood) {
-            // Returning to nest
-            let targetNest = this.simulation.nest;
-            const directToNest = new Vec(targetNest.x, targetNest.y).subtract(this.position).normalize();
-            const homeGrad = this.simulation.getPheromoneGradient(this.position, 'home');
-            const homeStrength = this.simulation.getPheromoneLevel(this.position, 'home');
-            
-            // Calculate distance to nest
-            const nestDistance = this.position.subtract(new Vec(targetNest.x, targetNest.y)).magnitude();
-            
-                    // Check if in escape mode
-            if (this.escapeMode) {
-                // Check if escape mode should end (after 5 seconds)
-                const escapeElapsed = performance.now() - this.escapeStartTime;
-                if (escapeElapsed > 5000) { // 5 seconds
-                    this.escapeMode = false;
-                    console.log(`Ant exited escape mode after timeout`);
-                } else {
-                    // Escape mode: move away from nest with much stronger random component
-                    const awayFromNest = directToNest.multiply(-1); // Opposite direction
-                    direction = awayFromNest.multiply(0.1).add(Vec.random().multiply(0.9)); // 90% random movement
-                    
-                    // Skip pheromone deposition for escape mode
-                    this.skipPheromoneDeposition = true;
-                }
-            }
-            
-            if (nestDistance < 100) {
-                // Close to nest - more direct approach but still with some randomness
-                const directBias = Math.min(0.8, (100 - nestDistance) / 100);
-                direction = directToNest.multiply(directBias).add(Vec.random().multiply(1 - directBias));
-                    } else {
-                // Far from nest - use realistic home trail detection
-                const homePheromoneInfo = this.simulation.getAntennaePheromoneDirection(this.position, 'home', this.velocity);
-                
-                if (homePheromoneInfo && homePheromoneInfo.strength > 0.5) {
-                    // Follow home trail with strength-based attraction
-                    const attractionStrength = Math.min(2, homePheromoneInfo.strength);
-                    direction = homePheromoneInfo.direction.multiply(attractionStrength);
-                    
-                    // Blend with direct path to nest
-                    direction = direction.add(directToNest.multiply(0.5));
-                } else {
-                    // No home trail - go directly toward nest with some randomness
-                    direction = directToNest.multiply(0.7).add(Vec.random().multiply(0.3));
-                }
-            }
-            
-            // Clear momentum when returning to reduce circling
-            this.momentum = this.momentum.multiply(0.3);
-            
-            // Deposit food trail with enhanced success tracking (skip if in escape mode)
-            if (!this.skipPheromoneDeposition) {
-            const tripDuration = performance.now() - this.tripStartTime;
-            const efficiency = Math.max(1, 3 - tripDuration / 10000); // Faster trips get higher bonus
-            const successBonus = efficiency * (1 + this.path.length * 0.01); // Longer paths get slightly more bonus
-            this.simulation.addPheromone(this.position, 'food', 12, successBonus);
-            }
-            this.skipPheromoneDeposition = false; // Reset flag
-            
-        } else {
-            // Exploring - simplified realistic pheromone following
-            let nearestFood = null;
-            let nearestDist = Infinity;
-            
-            // Check for visible food first
-            for (const f of this.simulation.foodSources) {
-                if (!f.isDepleted()) {
-                    const dist = this.position.subtract(f.pos).magnitude();
-                    if (dist < nearestDist && dist < 200) { // Visual range
-                        nearestDist = dist;
-                        nearestFood = f;
-                    }
-                }
-            }
-            
-            // Check if in escape mode
-            if (this.escapeMode) {
-                // Check if escape mode should end (after 5 seconds)
-                const escapeElapsed = performance.now() - this.escapeStartTime;
-                if (escapeElapsed > 5000) { // 5 seconds
-                    this.escapeMode = false;
-                    console.log(`Ant exited escape mode after timeout`);
-                } else {
-                    // Escape mode: move randomly with slight bias away from food
-                    if (nearestFood) {
-                        const awayFromFood = nearestFood.pos.subtract(this.position).normalize().multiply(-1);
-                        direction = awayFromFood.multiply(0.2).add(Vec.random().multiply(0.8));
-                    } else {
-                        direction = Vec.random();
-                    }
-                    
-                    // Skip pheromone deposition for escape mode
-                    this.skipPheromoneDeposition = true;
-                }
-            }
-            
-            if (nearestFood) {
-                // More natural approach to visible food
-                const directToFood = nearestFood.pos.subtract(this.position).normalize();
-                
-                // Blend direct path with some randomness for more natural movement
-                const directBias = Math.min(0.8, (200 - nearestDist) / 200); // Closer = more direct
-                direction = directToFood.multiply(directBias).add(Vec.random().multiply(1 - directBias));
-                
-                // Add some urgency when very close, but not straight-line rushing
-                if (nearestDist < 30) {
-                    direction = direction.multiply(1.2);
-                }
-            } else {
-                // Use realistic antennae-like pheromone detection
-                const pheromoneInfo = this.simulation.getAntennaePheromoneDirection(this.position, 'food', this.velocity);
-                
-                if (pheromoneInfo && pheromoneInfo.strength > 0.5) {
-                    // Follow pheromone trail with strength-based attraction
-                    const attractionStrength = Math.min(3, pheromoneInfo.strength);
-                    direction = pheromoneInfo.direction.multiply(attractionStrength);
-                    
-                    // Add some exploration randomness
-                    direction = direction.add(Vec.random().multiply(0.3));
-                } else {
-                    // No pheromones detected - explore randomly
-                    direction = Vec.random().multiply(1.0).add(this.momentum.multiply(0.4));
-                }
-            }
-            
-            // Deposit home trail with exploration bonus (skip if in escape mode)
-            if (!this.skipPheromoneDeposition) {
-            const explorationBonus = Math.min(2, this.path.length * 0.02); // Longer exploration gets bonus
-            this.simulation.addPheromone(this.position, 'home', 6, 1 + explorationBonus);
-            }
-            this.skipPheromoneDeposition = false; // Reset flag
-        }
-        
-        // Obstacle avoidance - optimized for high-density environments
-        let totalAvoidForce = new Vec(0, 0);
-        let avoidCount = 0;
-        
-        for (const obstacle of this.simulation.obstacles) {
-            const rep = obstacle.repulse(this.position);
-            if (rep.dist < 12) { // Slightly reduced detection range
-                const avoidForce = Math.max(0.5, 2 / (rep.dist + 0.1)); // Reduced force for smoother movement
-                totalAvoidForce = totalAvoidForce.add(rep.vec.multiply(avoidForce));
-                avoidCount++;
-            }
-        }
+    // Replay bar: step/play/speed/exit buttons, scrubber track with event markers and time
+    drawReplayTimeline() {
+        const { panel, buttons, track } = this.replayLayout();
+        const replay = this.replay;
+        const formatTime = (tick) => {
+            const totalSeconds = Math.floor(tick * this.clock.dt);
+            return `${Math.floor(totalSeconds / 60).toString().padStart(2, '0')}:${(totalSeconds % 60).toString().padStart(2, '0')}`;
+        };
         
-        // Apply averaged avoidance force for smoother movement
-        if (avoidCount > 0) {
-            totalAvoidForce = totalAvoidForce.multiply(1 / avoidCount); // Average the forces
-            direction = direction.add(totalAvoidForce.multiply(0.8)); // Reduced influence
-        }
+        this.ctx.save();
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+        this.roundRect(panel.x, panel.y, panel.width, panel.height, 8);
+        this.ctx.fill();
         
-        // Normalize direction
-        if (direction.magnitude() > 0) {
-            direction = direction.normalize();
-        } else {
-            direction = Vec.random();
+        const labels = {
+            back: '|◀',
+            play: replay.playing ? '❚❚' : '▶',
+            forward: '▶|',
+            speed: `${replay.speed}×`,
+            exit: 'EXIT'
+        };
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.font = 'bold 13px Arial, sans-serif';
+        for (const button of buttons) {
+            this.ctx.fillStyle = '#ff6b00';
+            this.roundRect(button.x, button.y, button.width, button.height, 8);
+            this.ctx.fill();
+            this.ctx.fillStyle = '#ffffff';
+            this.ctx.fillText(labels[button.id], button.x + button.width / 2, button.y + button.height / 2);
         }
         
-        // Apply momentum - increased for stability
-        const momentumStrength = this.hasFood ? 0.4 : 0.5; // Increased red ant momentum for stability
-        this.momentum = this.momentum.multiply(0.7).add(direction.multiply(0.3));
-        direction = direction.multiply(1 - momentumStrength).add(this.momentum.multiply(momentumStrength));
-        direction = direction.normalize();
-        
-        // Smoother turning - copy red ant behavior
-        if (this.velocity.magnitude() > 0) {
-            const currentDir = this.velocity.normalize();
-            const maxTurn = this.hasFood ? 0.3 : 0.4; // Reduced red ant turn limit for smoother movement
-            const dot = Math.max(-1, Math.min(1, currentDir.dot(direction)));
-            const angle = Math.acos(dot);
-            
-            if (angle > maxTurn) {
-                const t = maxTurn / angle;
-                direction = currentDir.multiply(1-t).add(direction.multiply(t)).normalize();
-            }
-        }
-
-        // Apply smooth velocity changes with momentum - copy red ant behavior
-        const targetSpeed = this.hasFood ? 2.5 : 3.0; // Red ant speed logic
-        const acceleration = 0.1;
-        
-        // Gradually adjust velocity toward target direction and speed
-        const currentSpeed = this.velocity.magnitude();
-        const speedDiff = targetSpeed - currentSpeed;
-        const speedChange = Math.sign(speedDiff) * Math.min(Math.abs(speedDiff), acceleration);
-        
-        // Smoothly rotate toward target direction
-        if (this.velocity.magnitude() > 0.1) {
-            const currentAngle = this.velocity.angle();
-            const targetAngle = direction.angle();
-            let angleDiff = targetAngle - currentAngle;
-            
-            // Handle angle wrapping
-            if (angleDiff > Math.PI) angleDiff -= Math.PI * 2;
-            if (angleDiff < -Math.PI) angleDiff += Math.PI * 2;
-            
-            // Limit turn rate
-            const maxTurn = this.maxTurnRate;
-            if (Math.abs(angleDiff) > maxTurn) {
-                angleDiff = Math.sign(angleDiff) * maxTurn;
-            }
-            
-            const newAngle = currentAngle + angleDiff;
-            this.velocity = new Vec(Math.cos(newAngle), Math.sin(newAngle)).multiply(currentSpeed + speedChange);
-        } else {
-            // If velocity is too small, set it directly
-            this.velocity = direction.multiply(targetSpeed);
-        }
+        // Track and recorded progress
+        this.ctx.fillStyle = '#555555';
+        this.roundRect(track.x, track.y - 4, track.width, 8, 4);
+        this.ctx.fill();
+        const currentX = this.replayXAt(this.clock.tick);
+        this.ctx.fillStyle = '#ff6b00';
+        this.roundRect(track.x, track.y - 4, Math.max(8, currentX - track.x), 8, 4);
+        this.ctx.fill();
         
-        // Limit maximum speed to prevent tunneling
-        const maxAllowedSpeed = this.maxSpeed * 1.5; // Allow some extra speed for emergency situations
-        if (this.velocity.magnitude() > maxAllowedSpeed) {
-            this.velocity = this.velocity.normalize().multiply(maxAllowedSpeed);
-        }
-
-        // Calculate new position
-        let newPos = this.position.add(this.velocity);
-        
-        // Obstacle collision detection - smoother for high-density environments
-        for (const obstacle of this.simulation.obstacles) {
-            const rep = obstacle.repulse(newPos);
-            if (rep.dist < 3) { // Reduced collision range for smoother movement
-                // Smoother bounce off obstacle
-                this.velocity = rep.vec.multiply(1.0); // Reduced bounce force
-                newPos = this.position.add(this.velocity);
-                break;
+        // Event markers, with a label for the one under the pointer
+        const mouseX = this.canvas.mouseX || 0;
+        const mouseY = this.canvas.mouseY || 0;
+        let hovered = null;
+        for (const marker of replay.markers) {
+            const markerX = this.replayXAt(marker.tick);
+            this.ctx.fillStyle = marker.color;
+            this.ctx.fillRect(markerX - 1.5, track.y - 11, 3, 22);
+            if (Math.abs(markerX - mouseX) <= 4 && Math.abs(mouseY - track.y) <= 14) {
+                hovered = { marker, x: markerX };
             }
         }
+        if (hovered) {
+            this.ctx.font = '11px Arial, sans-serif';
+            this.ctx.fillStyle = '#ffffff';
+            this.ctx.fillText(`${hovered.marker.label} (${formatTime(hovered.marker.tick)})`, hovered.x, track.y - 20);
+        }
         
-        // Emergency: Throw out ants that are inside obstacles
-        for (const obstacle of this.simulation.obstacles) {
-            const rep = obstacle.repulse(this.position);
-            if (rep.dist < 0.5) { // Ant is inside obstacle
-                // Calculate safe position outside obstacle
-                const safeDistance = obstacle.baseRadius + 10; // 10px buffer
-                const awayDirection = rep.vec.normalize();
-                const safePosition = new Vec(
-                    obstacle.pos.x + awayDirection.x * safeDistance,
-                    obstacle.pos.y + awayDirection.y * safeDistance
-                );
-                
-                // Teleport ant to safe position with strong velocity away from obstacle
-                this.position = safePosition;
-                this.velocity = awayDirection.multiply(4.0); // Strong escape velocity
-                
-                console.log(`Emergency: Ant thrown out of obstacle!`);
-                break;
-            }
+        // Playback handle, plus a ghost handle while scrubbing
+        if (replay.scrubTick !== null) {
+            this.ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+            this.ctx.beginPath();
+            this.ctx.arc(this.replayXAt(replay.scrubTick), track.y, 7, 0, Math.PI * 2);
+            this.ctx.fill();
         }
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.beginPath();
+        this.ctx.arc(currentX, track.y, 7, 0, Math.PI * 2);
+        this.ctx.fill();
         
-        // Obstacle sweeping: Move ants along with obstacles when being dragged
-        for (const obstacle of this.simulation.obstacles) {
-            if (obstacle.isBeingDragged && obstacle.lastPos) {
-                const rep = obstacle.repulse(this.position);
-                const sweepRange = obstacle.baseRadius + 15; // Sweep ants within this range
-                
-                if (rep.dist < sweepRange) {
-                    // Calculate obstacle movement
-                    const obstacleMovement = obstacle.pos.subtract(obstacle.lastPos);
-                    const movementMagnitude = obstacleMovement.magnitude();
-                    
-                    if (movementMagnitude > 0.1) { // Only sweep if obstacle actually moved
-                        // Calculate sweep force based on distance from obstacle center
-                        const distanceFactor = Math.max(0, (sweepRange - rep.dist) / sweepRange);
-                        const sweepForce = distanceFactor * 0.8; // Gentle sweeping force
-                        
-                        // Apply obstacle movement to ant position
-                        const sweptMovement = obstacleMovement.multiply(sweepForce);
-                        this.position = this.position.add(sweptMovement);
-                        
-                        // Also add some velocity in the direction of movement
-                        const sweepVelocity = obstacleMovement.normalize().multiply(sweepForce * 2.0);
-                        this.velocity = this.velocity.add(sweepVelocity);
-                        
-                        // Limit velocity to prevent excessive speed
-                        if (this.velocity.magnitude() > 6.0) {
-                            this.velocity = this.velocity.normalize().multiply(6.0);
-                        }
-                    }
-                }
+        // Current / recorded time
+        this.ctx.font = 'bold 13px Arial, sans-serif';
+        this.ctx.textAlign = 'right';
+        this.ctx.fillStyle = '#ffffff';
+        const shownTick = replay.scrubTick !== null ? replay.scrubTick : this.clock.tick;
+        this.ctx.fillText(`${formatTime(shownTick)} / ${formatTime(this.recorder.endTick)}`, panel.x + panel.width - 12, track.y);
+        this.ctx.restore();
+    }
+    
+    // Draw one or more series as lines sharing a y-scale; null values leave gaps
+    drawSparkline(seriesList, x, y, width, height) {
+        let min = Infinity;
+        let max = -Infinity;
+        let longest = 0;
+        for (const series of seriesList) {
+            longest = Math.max(longest, series.values.length);
+            for (const value of series.values) {
+                if (value === null) continue;
+                min = Math.min(min, value);
+                max = Math.max(max, value);
             }
         }
         
-        // Improved boundary bouncing with energy loss
-        const bounceDamping = 0.8;
-        const margin = 10;
-        
-        if (newPos.x < margin) {
-            newPos.x = margin;
-            this.velocity.x = Math.abs(this.velocity.x) * bounceDamping;
-            // Add slight randomness to prevent getting stuck
-            this.velocity.y += (Math.random() - 0.5) * 0.5;
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.06)';
+        this.ctx.fillRect(x, y, width, height);
+        if (longest < 2 || min === Infinity) return;
+        if (max === min) {
+            max += 1;
+            min -= 1;
         }
-        if (newPos.x > this.simulation.width - margin) {
-            newPos.x = this.simulation.width - margin;
-            this.velocity.x = -Math.abs(this.velocity.x) * bounceDamping;
-            this.velocity.y += (Math.random() - 0.5) * 0.5;
-        }
-        if (newPos.y < margin) {
-            newPos.y = margin;
-            this.velocity.y = Math.abs(this.velocity.y) * bounceDamping;
-            this.velocity.x += (Math.random() - 0.5) * 0.5;
-        }
-        if (newPos.y > this.simulation.height - margin) {
-            newPos.y = this.simulation.height - margin;
-            this.velocity.y = -Math.abs(this.velocity.y) * bounceDamping;
-            this.velocity.x += (Math.random() - 0.5) * 0.5;
-        }
-        
-        this.position = newPos;
         
-        // Enhanced trapped detection - check if ant is making progress toward goal
-        this.checkTrappedStatus();
-        
-        // Track path for reinforcement
-        if (this.path.length === 0 || this.position.subtract(this.path[this.path.length-1]).magnitude() > 15) {
-            this.path.push(this.position.clone());
-            if (this.path.length > 100) this.path.shift();
-        }
-
-        // Enhanced food pickup with visual detection
-        if (!this.hasFood) {
-            let nearestFood = null;
-            let nearestDist = Infinity;
-            
-            // Find nearest food within detection range
-            for (const f of this.simulation.foodSources) {
-                if (!f.isDepleted()) {
-                    const dist = this.position.subtract(f.pos).magnitude();
-                    if (dist < nearestDist && dist < 200) { // Increased detection range
-                        nearestDist = dist;
-                        nearestFood = f;
-                    }
-                }
-            }
-            
-            // Try to collect food if close enough
-            if (nearestFood && nearestFood.containsAndTake(this.position)) {
-                this.hasFood = true;
-                this.lastFoodTime = performance.now();
-                this.targetFood = nearestFood;
-                
-                // Full energy restoration from finding food
-                this.energy = 100; // Complete energy restoration
-                
-                // Set gentle momentum toward nest for natural return
-                const nestDir = new Vec(this.simulation.nest.x, this.simulation.nest.y).subtract(this.position).normalize();
-                this.momentum = nestDir.multiply(0.3);
-                
-                // Reinforce the path that led to food
-                if (this.path.length > 3) {
-                    const field = this.simulation.pheromoneField;
-                    field.reinforcePath(this.path, 3);
-                }
-                
-                // Clear path for return journey
-                this.path = [];
-                
-                console.log(`Food found! Energy restored to 100%`);
-            }
-        } else {
-            // Enhanced food delivery at nest
-            let targetNest = this.simulation.nest;
-            const nestDist = this.position.subtract(new Vec(targetNest.x, targetNest.y)).magnitude();
-            if (nestDist < targetNest.radius + 5) {
-                // Check if nest is full
-                if (targetNest.foodStored >= targetNest.maxCapacity) {
-                    targetNest.isFull = true;
-                    // Ant drops food outside nest when full - waste food
-                    this.hasFood = false;
-                    this.path = [];
-                    this.momentum = Vec.random().multiply(0.3);
-                    this.tripStartTime = performance.now();
-                    console.log(`Nest is full! Food wasted.`);
+        const stepX = width / (longest - 1);
+        this.ctx.lineWidth = 1.5;
+        for (const series of seriesList) {
+            const offset = longest - series.values.length; // Right-align shorter series
+            this.ctx.strokeStyle = series.color;
+            this.ctx.beginPath();
+            let penDown = false;
+            series.values.forEach((value, i) => {
+                if (value === null) {
+                    penDown = false;
                     return;
                 }
-                
-                this.hasFood = false;
-                
-                // Calculate delivery efficiency
-                const tripDuration = performance.now() - this.lastFoodTime;
-                const pathLength = this.path.length;
-                const distanceEfficiency = Math.max(0.5, 1 - (pathLength * 2) / 1000); // Shorter paths are better
-                const timeEfficiency = Math.max(0.5, 1 - tripDuration / 30000); // Faster trips are better
-                const overallEfficiency = (distanceEfficiency + timeEfficiency) / 2;
-                
-                // Update nest efficiency based on successful deliveries
-                targetNest.efficiency = Math.min(2.0, 
-                    targetNest.efficiency * 0.95 + overallEfficiency * 0.05);
-                
-                // Store food with efficiency bonus (but ensure we don't exceed capacity)
-                const foodGained = Math.floor(1 + overallEfficiency);
-                const newTotal = targetNest.foodStored + foodGained;
-                
-                if (newTotal >= targetNest.maxCapacity) {
-                    // Nest would be full or exceeded - set to exact capacity and mark as full
-                    targetNest.foodStored = targetNest.maxCapacity;
-                    targetNest.isFull = true;
-                    console.log(`Nest is now full! All food collected: ${targetNest.foodStored}/${targetNest.maxCapacity}`);
+                const px = x + (offset + i) * stepX;
+                const py = y + height - ((value - min) / (max - min)) * height;
+                if (penDown) {
+                    this.ctx.lineTo(px, py);
                 } else {
-                    targetNest.foodStored = newTotal;
-                }
-                
-                // Reinforce successful return path with efficiency-based strength
-                if (this.path.length > 3) {
-                    const reinforcementStrength = overallEfficiency * 6;
-                    const field = this.simulation.pheromoneField;
-                    field.reinforcePath(this.path, reinforcementStrength);
+                    this.ctx.moveTo(px, py);
+                    penDown = true;
                 }
-                
-                // Full energy restoration from successful food delivery
-                this.energy = 100; // Complete energy restoration
-                
-                // Clear state for clean transition to exploring
-                this.path = [];
-                this.momentum = Vec.random().multiply(0.3);
-                this.tripStartTime = performance.now();
-                
-                // Log successful delivery
-                console.log(`Ant delivered food! Efficiency: ${overallEfficiency.toFixed(2)}, Food gained: ${foodGained}, Energy restored to 100%`);
-            }
+            });
+            this.ctx.stroke();
         }
     }
     
-    checkTrappedStatus() {
-        // Only check progress periodically to avoid performance issues
-        this.lastProgressCheck++;
-        if (this.lastProgressCheck < this.progressCheckInterval) {
-            return;
-        }
-        this.lastProgressCheck = 0;
+    // Whether a screen point is on the column button drawn at y (same bounds as drawn)
+    isOnColumnButton(pos, y) {
+        return pos.x >= this.viewWidth - 110 && pos.x <= this.viewWidth - 10 && pos.y >= y && pos.y <= y + 35;
+    }
+    
+    // Orange push button in the button column (same look as RESET/PAUSE/RESTART)
+    drawActionButton(label, y, pressKey, isEnabled = true) {
+        const isPressed = this.buttonPressStates[pressKey];
+        const buttonY = isPressed ? y + 2 : y;
         
-        // Determine current goal
-        let currentGoal;
-        if (this.hasFood) {
-            // Goal is the nest
-            currentGoal = new Vec(this.simulation.nest.x, this.simulation.nest.y);
-        } else {
-            // Goal is the nearest food source
-            let nearestFood = null;
-            let nearestDist = Infinity;
-            for (const f of this.simulation.foodSources) {
-                if (!f.isDepleted()) {
-                    const dist = this.position.subtract(f.pos).magnitude();
-                    if (dist < nearestDist) {
-                        nearestDist = dist;
-                        nearestFood = f;
-                    }
-                }
-            }
-            if (nearestFood) {
-                currentGoal = nearestFood.pos;
-            } else {
-                return; // No goal to progress toward
-            }
-        }
+        this.ctx.save();
+        this.ctx.globalAlpha = isEnabled ? 1 : 0.45;
+        this.ctx.shadowColor = 'rgba(0, 0, 0, 0.5)';
+        this.ctx.shadowBlur = 4;
+        this.ctx.shadowOffsetX = 2;
+        this.ctx.shadowOffsetY = 2;
         
-        // Calculate current distance to goal
-        const currentDistance = this.position.subtract(currentGoal).magnitude();
+        this.ctx.fillStyle = isPressed ? '#e69500' : '#ff6b00';
+        this.roundRect(this.viewWidth - 110, buttonY, 100, 35, 18);
+        this.ctx.fill();
         
-        // Initialize initial distance if not set
-        if (this.initialDistanceToGoal === 0) {
-            this.initialDistanceToGoal = currentDistance;
-        }
+        this.ctx.shadowColor = 'transparent';
+        this.ctx.strokeStyle = '#ffffff';
+        this.ctx.lineWidth = 3;
+        this.ctx.stroke();
+        
+        this.ctx.shadowColor = 'rgba(0, 0, 0, 0.6)';
+        this.ctx.shadowBlur = 2;
+        this.ctx.shadowOffsetX = 1;
+        this.ctx.shadowOffsetY = 1;
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.font = 'bold 14px Arial, sans-serif';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText(label, this.viewWidth - 60, buttonY + 17.5);
+        this.ctx.restore();
+    }
+    
+    // Orange on-canvas button with an on/off switch, matching the button column
+    drawToggleButton(label, y, isOn) {
+        this.ctx.save();
         
-        // Calculate progress (how much closer we've gotten to the goal)
-        const progress = this.initialDistanceToGoal - currentDistance;
+        // Shadow - same as other buttons
+        this.ctx.shadowColor = 'rgba(0, 0, 0, 0.5)';
+        this.ctx.shadowBlur = 4;
+        this.ctx.shadowOffsetX = 2;
+        this.ctx.shadowOffsetY = 2;
         
-        // Store progress in history
-        this.progressHistory.push(progress);
-        if (this.progressHistory.length > 10) { // Keep last 10 progress checks
-            this.progressHistory.shift();
-        }
+        // Rounded rectangle background - same size and style as other buttons
+        this.ctx.fillStyle = '#ff6b00'; // Same orange as other buttons
+        this.roundRect(this.viewWidth - 110, y, 100, 35, 18);
+        this.ctx.fill();
         
-        // Check if ant is making meaningful progress
-        const recentProgress = this.progressHistory[this.progressHistory.length - 1] - this.progressHistory[0];
-        const isMakingProgress = recentProgress > this.progressThreshold;
+        // Bold white outline - same as other buttons
+        this.ctx.shadowColor = 'transparent';
+        this.ctx.strokeStyle = '#ffffff';
+        this.ctx.lineWidth = 3;
+        this.ctx.stroke();
         
-        if (!isMakingProgress) {
-            this.trappedTime++;
-            if (this.trappedTime > this.trappedThreshold && !this.escapeMode) {
-                // Ant is trapped - enter escape mode
-                this.enterEscapeMode();
-            }
-        } else {
-            // Reset trapped time if making progress
-            this.trappedTime = 0;
-            this.escapeMode = false;
-            this.escapeAttempts = 0;
-        }
-    }
-    
-    enterEscapeMode() {
-        if (this.escapeAttempts >= this.maxEscapeAttempts) {
-            return; // Max escape attempts reached
+        // Label text - positioned to the left
+        this.ctx.shadowColor = 'rgba(0, 0, 0, 0.6)';
+        this.ctx.shadowBlur = 2;
+        this.ctx.shadowOffsetX = 1;
+        this.ctx.shadowOffsetY = 1;
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'middle';
+        // Shrink longer labels so they stay clear of the switch
+        let fontSize = 14;
+        this.ctx.font = `bold ${fontSize}px Arial, sans-serif`;
+        while (fontSize > 9 && this.ctx.measureText(label).width > 42) {
+            fontSize--;
+            this.ctx.font = `bold ${fontSize}px Arial, sans-serif`;
         }
+        this.ctx.fillText(label, this.viewWidth - 100, y + 17.5);
+        
+        // Draw toggle switch inside the button - positioned to the right
+        const switchWidth = 40;
+        const switchHeight = 20;
+        const switchX = this.viewWidth - 55;
+        const switchY = y + 7.5;
         
-        this.escapeMode = true;
-        this.escapeStartTime = performance.now();
-        this.escapeAttempts++;
+        // Toggle switch background (track)
+        this.ctx.fillStyle = isOn ? '#4CAF50' : '#ccc';
+        this.roundRect(switchX, switchY, switchWidth, switchHeight, switchHeight / 2);
+        this.ctx.fill();
+        
+        // Toggle switch border
+        this.ctx.strokeStyle = '#999';
+        this.ctx.lineWidth = 1;
+        this.ctx.stroke();
+        
+        // Toggle switch knob (slider)
+        const knobSize = switchHeight - 4;
+        const knobX = isOn ? switchX + switchWidth - knobSize - 2 : switchX + 2;
+        const knobY = switchY + 2;
+        
+        // Knob shadow
+        this.ctx.shadowColor = 'rgba(0, 0, 0, 0.2)';
+        this.ctx.shadowBlur = 2;
+        this.ctx.shadowOffsetX = 1;
+        this.ctx.shadowOffsetY = 1;
+        
+        // Knob background
+        this.ctx.fillStyle = '#fff';
+        this.ctx.beginPath();
+        this.ctx.arc(knobX + knobSize/2, knobY + knobSize/2, knobSize/2, 0, Math.PI * 2);
+        this.ctx.fill();
         
-        // Reset progress tracking to give escape mode a fresh start
-        this.progressHistory = [];
-        this.initialDistanceToGoal = 0;
-        this.trappedTime = 0;
+        // Knob border
+        this.ctx.shadowColor = 'transparent';
+        this.ctx.strokeStyle = '#ddd';
+        this.ctx.lineWidth = 1;
+        this.ctx.stroke();
         
-        console.log(`Ant entered escape mode (attempt ${this.escapeAttempts}/${this.maxEscapeAttempts})`);
+        this.ctx.restore();
     }
     
-    // Helper method to get direct path between two points
-    getDirectPath(from, to) {
-        const path = [];
-        const distance = from.subtract(to).magnitude();
-        const steps = Math.ceil(distance / 50); // Check every 50 pixels
+    start() {
+        this.log('debug', `Starting ant foraging simulation with ${this.ants.length} ants`);
         
-        for (let i = 0; i <= steps; i++) {
-            const t = i / steps;
-            const x = from.x + (to.x - from.x) * t;
-            const y = from.y + (to.y - from.y) * t;
-            path.push(new Vec(x, y));
+        // Stop any existing animation loop
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
         }
         
-        return path;
-    }
-    
-    // Helper method to place obstacles along a path
-    placeObstaclesAlongPath(path, count) {
-        for (let i = 0; i < count; i++) {
-            // Choose a random point along the path (but not at the endpoints)
-            const index = Math.floor(1 + Math.random() * (path.length - 2));
-            const pathPoint = path[index];
-            
-            // Add some randomness to the obstacle position
-            const offsetX = (Math.random() - 0.5) * 40;
-            const offsetY = (Math.random() - 0.5) * 40;
-            
-            const obstacle = new Obstacle(pathPoint.x + offsetX, pathPoint.y + offsetY);
-            
-            // Check if this position is valid
-            let valid = true;
-            
-            // Don't place too close to nest
-            if (obstacle.pos.subtract(new Vec(this.nest.x, this.nest.y)).magnitude() < obstacle.baseRadius + 80) {
-                valid = false;
-            }
-            
-            // Don't place too close to existing obstacles
-            for (const existingObstacle of this.obstacles) {
-                if (obstacle.pos.subtract(existingObstacle.pos).magnitude() < obstacle.baseRadius + existingObstacle.baseRadius + 20) {
-                    valid = false;
-                    break;
+        // Performance monitoring
+        let frameCount = 0;
+        let lastFPS = 0;
+        let lastTime = performance.now();
+        
+        // Fixed-step accumulator: wall time is converted into whole simulation ticks
+        let lastFrameTime = performance.now();
+        let accumulator = 0;
+        
+        const animate = (currentTime = performance.now()) => {
+            try {
+                // Clamp long frames (tab in background) instead of simulating a huge backlog
+                const frameDelta = Math.min(Math.max(0, currentTime - lastFrameTime), this.maxFrameDelta);
+                lastFrameTime = currentTime;
+                
+                if (this.replay) {
+                    this.updateReplay(frameDelta);
+                } else if (this.speed === 'max') {
+                    // Run as many ticks as fit in the frame budget, then render once
+                    const deadline = performance.now() + this.maxSpeedFrameBudget;
+                    do {
+                        this.update();
+                    } while (!this.isPaused && performance.now() < deadline);
+                    accumulator = 0;
+                } else {
+                    accumulator += frameDelta * this.speed;
+                    const stepMs = this.clock.stepMs;
+                    let steps = 0;
+                    while (accumulator >= stepMs && steps < this.maxUpdatesPerFrame) {
+                        this.update();
+                        accumulator -= stepMs;
+                        steps++;
+                    }
+                    if (steps === this.maxUpdatesPerFrame) {
+                        accumulator = 0; // Can't keep up at this speed - drop the backlog
+                    }
                 }
+                this.updateButtonAnimations();
+                this.draw();
+                    
+                    // Performance monitoring
+                    frameCount++;
+                    if (currentTime - lastTime >= 1000) {
+                        lastFPS = frameCount;
+                        frameCount = 0;
+                    lastTime = currentTime;
+                        this.log('debug', `Performance: ${lastFPS} FPS`);
+                }
+                
+                this.animationId = requestAnimationFrame(animate);
+            } catch (error) {
+                this.log('error', `Animation error: ${error && error.stack ? error.stack : error}`);
             }
-            
-            if (valid) {
-                this.obstacles.push(obstacle);
-            }
+        };
+        animate();
+    }
+    
+    stop() {
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
         }
     }
     
+    // Trigger button press animation
+    triggerButtonPress(buttonName) {
+        this.buttonPressStates[buttonName] = true;
+        this.buttonPressTimers[buttonName] = 10; // Animation duration in frames
+    }
+}
 
+AntForagingSimulation.SPEEDS = [0.25, 0.5, 1, 2, 4, 16, 'max'];
+AntForagingSimulation.REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4, 16];
+AntForagingSimulation.PHEROMONE_VIEWS = ['layers', 'heatmap', 'contour', 'solo', 'pathSuccess'];
+AntForagingSimulation.PHEROMONE_VIEW_LABELS = {
+    layers: 'TRAILS',
+    heatmap: 'HEATMAP',
+    contour: 'CONTOUR',
+    solo: 'SOLO',
+    pathSuccess: 'SUCCESS'
+};
+AntForagingSimulation.CONTOUR_LEVELS = [0.05, 0.15, 0.35, 0.7]; // Fractions of the channel peak
+// Ant outlines per caste as [x, y] points in units of the ant size, nose along +x:
+// foragers are the plain triangle, scouts a slim dart, soldiers a broad diamond,
+// nurses a short rounded hexagon
+AntForagingSimulation.CASTE_SHAPES = {
+    forager: [[1, 0], [-0.6, 0.6], [-0.6, -0.6]],
+    scout: [[1.3, 0], [-0.8, 0.4], [-0.4, 0], [-0.8, -0.4]],
+    soldier: [[1.3, 0], [0.2, 0.9], [-0.9, 0.6], [-0.9, -0.6], [0.2, -0.9]],
+    nurse: [[0.8, 0], [0.4, 0.55], [-0.4, 0.55], [-0.8, 0], [-0.4, -0.55], [0.4, -0.55]]
+};
+AntForagingSimulation.GRADIENT_COLORS = { home: '#bdbdbd', food: '#ff8a65' }; // Gradient overlay arrows and samples
+AntForagingSimulation.CAMERA_EASING = 0.15; // Fraction of the way to the camera target covered per frame
+AntForagingSimulation.ZOOM_LIMITS = { min: 0.25, max: 8 }; // Zooming out also always reaches the whole world
+AntForagingSimulation.WHEEL_ZOOM_RATE = 0.0015; // Zoom factor exponent per wheel pixel
+AntForagingSimulation.MINIMAP_SIZE = 160; // Pixels along the minimap's longer side
+AntForagingSimulation.SATELLITE_SCALE = 0.65; // Satellite nests are drawn as smaller copies of the main nest
+
+// Marching squares: for each corner case (TL=8, TR=4, BR=2, BL=1 above the
+// level), the cell edges (0 top, 1 right, 2 bottom, 3 left) each segment joins
+const MARCHING_SQUARE_SEGMENTS = [
+    [], [[3, 2]], [[2, 1]], [[3, 1]],
+    [[0, 1]], [[0, 1], [3, 2]], [[0, 2]], [[0, 3]],
+    [[0, 3]], [[0, 2]], [[0, 3], [2, 1]], [[0, 1]],
+    [[3, 1]], [[2, 1]], [[3, 2]], []
+];
+
+// 256-entry RGBA lookup for the heatmap/contour color ramp, built on first use
+let heatmapRamp = null;
+function getHeatmapRamp() {
+    if (heatmapRamp) return heatmapRamp;
+    const stops = [[0, '#253494'], [0.25, '#2c7fb8'], [0.5, '#41b6c4'], [0.75, '#fecc5c'], [1, '#f03b20']];
+    heatmapRamp = new Uint8ClampedArray(256 * 4);
+    for (let i = 0; i < 256; i++) {
+        const t = i / 255;
+        let s = 0;
+        while (s < stops.length - 2 && t > stops[s + 1][0]) s++;
+        const [t0, hex0] = stops[s];
+        const [t1, hex1] = stops[s + 1];
+        const from = hexToRgb(hex0);
+        const to = hexToRgb(hex1);
+        const f = (t - t0) / (t1 - t0);
+        heatmapRamp[i * 4] = from.r + (to.r - from.r) * f;
+        heatmapRamp[i * 4 + 1] = from.g + (to.g - from.g) * f;
+        heatmapRamp[i * 4 + 2] = from.b + (to.b - from.b) * f;
+        heatmapRamp[i * 4 + 3] = 255;
+    }
+    return heatmapRamp;
 }
 
 // Load default colors from localStorage (standalone function)
@@ -3130,7 +2850,7 @@ function loadDefaultColors() {
         const saved = localStorage.getItem('antSimulationColors');
         return saved ? JSON.parse(saved) : {};
     } catch (e) {
-        console.log('Could not load saved colors, using defaults');
+        console.warn('Could not load saved colors, using defaults');
         return {};
     }
 }
@@ -3141,7 +2861,7 @@ function loadObstacleCount() {
         const saved = localStorage.getItem('obstacleCount');
         return saved ? parseInt(saved) : 35;
     } catch (e) {
-        console.log('Could not load obstacle count');
+        console.warn('Could not load obstacle count');
         return 35;
     }
 }
@@ -3152,13 +2872,11 @@ function saveDefaultColors(simulation) {
         const colors = {
             nestColor: simulation.nestColor,
             antColor: simulation.antColor,
-            returningTrailColor: simulation.returningTrailColor,
-            scoutingTrailColor: simulation.scoutingTrailColor
+            pheromoneColors: simulation.getPheromoneColors()
         };
         localStorage.setItem('antSimulationColors', JSON.stringify(colors));
-        console.log('Colors saved as defaults');
     } catch (e) {
-        console.log('Could not save colors');
+        console.warn('Could not save colors');
     }
 }
 
@@ -3183,56 +2901,75 @@ document.addEventListener('DOMContentLoaded', () => {
     function resizeCanvas() {
         canvas.width = window.innerWidth;
         canvas.height = window.innerHeight;
-        console.log('Canvas resized to:', canvas.width, 'x', canvas.height);
     }
     
     resizeCanvas();
-    window.addEventListener('resize', resizeCanvas);
     
     // Create simulation after canvas is properly sized
-    console.log('Creating simulation...');
-    const simulation = new AntForagingSimulation(canvas);
+    // A ?seed=<value> URL parameter makes the run reproducible; ?log=debug|info|warn|error|silent sets verbosity;
+    // ?world=<width>x<height> sets the world size instead of taking the window's; ?colonies=<n> starts n competing colonies;
+    // ?lifecycle=1 starts with ants that age, die and are replaced by brood; ?economy=1 turns on food consumption
+    const urlParams = new URLSearchParams(window.location.search);
+    const worldSize = /^(\d+)x(\d+)$/.exec(urlParams.get('world') || '');
+    const simulation = new AntForagingSimulation(canvas, {
+        seed: urlParams.has('seed') ? urlParams.get('seed') : undefined,
+        logLevel: urlParams.get('log') in LOG_LEVELS ? urlParams.get('log') : undefined,
+        worldWidth: worldSize ? Number(worldSize[1]) : undefined,
+        worldHeight: worldSize ? Number(worldSize[2]) : undefined,
+        colonyCount: urlParams.has('colonies') ? Number(urlParams.get('colonies')) : undefined,
+        lifecycle: urlParams.get('lifecycle') === '1',
+        economy: urlParams.get('economy') === '1'
+    });
     window.simulation = simulation; // Make it globally accessible
-    console.log('Simulation created successfully');
     
     // Setup draggable objects
     simulation.setupDraggableObjects();
     
 
     
-    // Handle window resize by reinitializing simulation
+    // Window resizes (including mobile rotation) only rescale the view; the colony carries on
     window.addEventListener('resize', () => {
         resizeCanvas();
-        simulation.width = canvas.width;
-        simulation.height = canvas.height;
-        simulation.initialize();
+        simulation.handleViewportResize();
     });
     
     // Simple color circle functionality
     function setupColorCircles() {
-        const circles = {
-            'nestColor': 'nestColor',
-            'antColor': 'antColor',
-            'returningTrailColor': 'returningTrailColor',
-            'scoutingTrailColor': 'scoutingTrailColor'
-        };
+        const grid = document.querySelector('#colorPanel .colorGrid');
+        grid.replaceChildren(); // Rebuilt when the colonies (and so the channels) change
         
-        // Update circle colors to match simulation
-        Object.keys(circles).forEach(circleId => {
-            const circle = document.getElementById(circleId);
-            const propertyName = circles[circleId];
-            circle.style.backgroundColor = simulation[propertyName];
-        });
+        // Nest and ant colors, then one circle per visible pheromone channel
+        const entries = [
+            { label: 'Nest', get: () => simulation.nestColor, set: color => { simulation.nestColor = color; } },
+            { label: 'Ants', get: () => simulation.antColor, set: color => { simulation.antColor = color; } }
+        ];
+        for (const channel of simulation.pheromoneField.channels.values()) {
+            if (!channel.visible) continue;
+            // Look the channel up on use - the field is replaced by resets and snapshot loads
+            entries.push({
+                label: channel.label,
+                get: () => simulation.pheromoneField.channel(channel.name).color,
+                set: color => { simulation.pheromoneField.channel(channel.name).color = color; }
+            });
+        }
         
-        Object.keys(circles).forEach(circleId => {
-            const circle = document.getElementById(circleId);
-            const propertyName = circles[circleId];
+        entries.forEach(entry => {
+            const item = document.createElement('div');
+            item.className = 'colorItem';
+            const label = document.createElement('div');
+            label.textContent = entry.label;
+            const circle = document.createElement('div');
+            circle.className = 'colorCircle';
+            circle.style.backgroundColor = entry.get();
+            item.appendChild(label);
+            item.appendChild(circle);
+            grid.appendChild(item);
             
             circle.addEventListener('click', () => {
                 // Create a hidden color input
                 const colorInput = document.createElement('input');
                 colorInput.type = 'color';
-                colorInput.value = simulation[propertyName];
+                colorInput.value = entry.get();
                 colorInput.style.position = 'absolute';
                 colorInput.style.left = '-100px';
                 document.body.appendChild(colorInput);
@@ -3243,14 +2980,14 @@ document.addEventListener('DOMContentLoaded', () => {
                 // Handle live color updates
                 colorInput.addEventListener('input', (e) => {
                     const newColor = e.target.value;
-                    simulation[propertyName] = newColor;
+                    entry.set(newColor);
                     circle.style.backgroundColor = newColor;
                 });
                 
                 // Handle color change (final selection)
                 colorInput.addEventListener('change', (e) => {
                     const newColor = e.target.value;
-                    simulation[propertyName] = newColor;
+                    entry.set(newColor);
                     circle.style.backgroundColor = newColor;
                     document.body.removeChild(colorInput);
                 });
@@ -3261,17 +2998,17 @@ document.addEventListener('DOMContentLoaded', () => {
                 });
             });
         });
-        
-        // Set as Default button
-        document.getElementById('setDefault').addEventListener('click', () => {
-            saveDefaultColors(simulation);
-            alert('Colors saved as defaults for future runs!');
-        });
     }
     
     // Initialize color circles
     setupColorCircles();
     
+    // Set as Default button
+    document.getElementById('setDefault').addEventListener('click', () => {
+        saveDefaultColors(simulation);
+        alert('Colors saved as defaults for future runs!');
+    });
+    
     // Setup obstacle count functionality
     function setupObstacleCount() {
         const obstacleInput = document.getElementById('obstacleCount');
@@ -3303,6 +3040,149 @@ document.addEventListener('DOMContentLoaded', () => {
     // Initialize obstacle count
     setupObstacleCount();
     
+    // Colony count (applied with a reset) and whether colonies follow each other's food trails
+    function setupColonyControls() {
+        const colonyInput = document.getElementById('colonyCount');
+        const applyButton = document.getElementById('applyColonies');
+        const followCheckbox = document.getElementById('followForeignTrails');
+        const maxColonies = AntColonyModel.COLONY_PALETTE.length;
+        colonyInput.max = maxColonies;
+        colonyInput.value = simulation.colonyCount;
+        followCheckbox.checked = simulation.followForeignTrails;
+        
+        applyButton.addEventListener('click', () => {
+            const newCount = parseInt(colonyInput.value);
+            if (newCount >= 1 && newCount <= maxColonies) {
+                simulation.colonyCount = newCount;
+                simulation.reset();
+                setupColorCircles();
+            } else {
+                alert(`Please enter a number between 1 and ${maxColonies}.`);
+            }
+        });
+        
+        colonyInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                applyButton.click();
+            }
+        });
+        
+        followCheckbox.addEventListener('change', () => {
+            simulation.applyInput({ type: 'setFollowForeignTrails', follow: followCheckbox.checked });
+        });
+        
+        // Snapshot loads and replayed inputs can change both
+        const syncControls = () => {
+            colonyInput.value = simulation.colonyCount;
+            followCheckbox.checked = simulation.followForeignTrails;
+        };
+        simulation.on('snapshotLoaded', () => {
+            syncControls();
+            setupColorCircles();
+        });
+        simulation.on('input', syncControls);
+    }
+    
+    setupColonyControls();
+    
+    // Share inputs for a mix (caste or food type), applied with a reset; saved
+    // presets keep their mixes
+    function setupShareInputs(containerId, applyId, types, mixKey, normalize) {
+        const container = document.getElementById(containerId);
+        const inputs = {};
+        for (const [type, traits] of Object.entries(types)) {
+            const label = document.createElement('label');
+            label.style.cssText = 'display: inline-block; margin-right: 8px; font-size: 11px; color: #ccc;';
+            label.textContent = `${traits.label} `;
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = 0;
+            input.style.cssText = 'width: 40px; padding: 2px; border: 1px solid #666; border-radius: 4px; background: #333; color: white; font-size: 11px;';
+            label.appendChild(input);
+            container.appendChild(label);
+            inputs[type] = input;
+        }
+        const syncInputs = () => {
+            for (const [type, input] of Object.entries(inputs)) {
+                input.value = simulation[mixKey][type] || 0;
+            }
+        };
+        syncInputs();
+        
+        document.getElementById(applyId).addEventListener('click', () => {
+            const mix = {};
+            for (const [type, input] of Object.entries(inputs)) {
+                mix[type] = Math.max(0, Number(input.value) || 0);
+            }
+            simulation[mixKey] = normalize.call(simulation, mix);
+            simulation.reset();
+            syncInputs();
+        });
+        
+        // Presets and snapshots bring their own mix
+        simulation.on('initialized', syncInputs);
+        simulation.on('snapshotLoaded', syncInputs);
+    }
+    
+    setupShareInputs('casteMix', 'applyCasteMix', AntColonyModel.CASTES, 'casteMix', simulation.normalizeCasteMix);
+    setupShareInputs('foodMix', 'applyFoodMix', AntColonyModel.FOOD_TYPES, 'foodMix', simulation.normalizeFoodMix);
+    
+    // Satellite nests: delivery rule, and arming placement or removal for a colony
+    function setupNestControls() {
+        const choiceSelect = document.getElementById('nestChoice');
+        const colonySelect = document.getElementById('nestColony');
+        const syncControls = () => {
+            choiceSelect.value = simulation.nestChoice;
+            if (colonySelect.children.length === simulation.colonies.length) return;
+            const selected = Math.min(Number(colonySelect.value) || 0, simulation.colonies.length - 1);
+            colonySelect.replaceChildren();
+            for (const colony of simulation.colonies) {
+                const option = document.createElement('option');
+                option.value = colony.id;
+                option.textContent = colony.name;
+                colonySelect.appendChild(option);
+            }
+            colonySelect.value = selected;
+        };
+        syncControls();
+        
+        choiceSelect.addEventListener('change', () => {
+            simulation.applyInput({ type: 'setNestChoice', choice: choiceSelect.value });
+        });
+        document.getElementById('placeNest').addEventListener('click', () => {
+            simulation.armNestTool('add', Number(colonySelect.value));
+        });
+        document.getElementById('removeNest').addEventListener('click', () => {
+            simulation.armNestTool('remove', Number(colonySelect.value));
+        });
+        
+        // Colony count changes rebuild the colony list
+        simulation.on('initialized', syncControls);
+        simulation.on('snapshotLoaded', syncControls);
+        simulation.on('input', syncControls);
+    }
+    
+    setupNestControls();
+    
+    // Run data export buttons
+    function setupRunExport() {
+        document.getElementById('exportRunJson').addEventListener('click', () => simulation.exportRunData('json'));
+        document.getElementById('exportMetricsCsv').addEventListener('click', () => simulation.exportRunData('metrics-csv'));
+        document.getElementById('exportEventsCsv').addEventListener('click', () => simulation.exportRunData('events-csv'));
+    }
+    
+    setupRunExport();
+    
+    // Snapshot save/restore buttons
+    function setupSnapshotControls() {
+        document.getElementById('saveSnapshotFile').addEventListener('click', () => simulation.saveSnapshotToFile());
+        document.getElementById('loadSnapshotFile').addEventListener('click', () => simulation.loadSnapshotFromFile());
+        document.getElementById('saveSnapshotStorage').addEventListener('click', () => simulation.saveSnapshotToStorage());
+        document.getElementById('loadSnapshotStorage').addEventListener('click', () => simulation.loadSnapshotFromStorage());
+    }
+    
+    setupSnapshotControls();
+    
             // Auto-hide color panel functionality
         function setupAutoHide() {
             const colorPanel = document.getElementById('colorPanel');
@@ -3368,7 +3248,7 @@ document.addEventListener('DOMContentLoaded', () => {
                         
                         simulation.currentPreset = nextPreset;
                         simulation.initialize();
-                        console.log(`Switched to preset: ${simulation.presets[nextPreset].name}`);
+                        simulation.log('info', `Switched to preset: ${simulation.presets[nextPreset].name}`);
                     }
                 }
             });
@@ -0,0 +1,3900 @@
+// Object pool for Vec objects to reduce memory allocations
+const vecPool = [];
+function getVec(x, y) {
+    if (vecPool.length > 0) {
+        const vec = vecPool.pop();
+        vec.x = x;
+        vec.y = y;
+        return vec;
+    }
+    return new Vec(x, y);
+}
+
+function returnVec(vec) {
+    vecPool.push(vec);
+}
+
+// Seedable pseudo-random generator (mulberry32) - exposes random() like Math,
+// so either can be passed wherever an rng is expected
+class SeededRandom {
+    constructor(seed = SeededRandom.generateSeed()) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+    
+    static generateSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+    
+    // Accept numbers or arbitrary strings (e.g. from the URL) as seeds
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return seed >>> 0;
+        }
+        const text = String(seed);
+        if (/^\d+$/.test(text)) {
+            return parseInt(text, 10) >>> 0;
+        }
+        // FNV-1a hash for non-numeric seeds
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+    
+    random() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+}
+
+// Fixed-step simulation clock - model timing is measured in ticks and simulated
+// seconds so results don't depend on refresh rate or tab throttling
+class SimulationClock {
+    constructor(ticksPerSecond = 60) {
+        this.ticksPerSecond = ticksPerSecond;
+        this.dt = 1 / ticksPerSecond; // Simulated seconds per tick
+        this.reset();
+    }
+    
+    reset() {
+        this.tick = 0;
+        this.time = 0; // Simulated seconds
+    }
+    
+    advance() {
+        this.tick++;
+        this.time = this.tick * this.dt;
+    }
+    
+    // Wall-clock milliseconds that one tick represents at 1x speed
+    get stepMs() {
+        return this.dt * 1000;
+    }
+}
+
+// Log levels in increasing severity; messages below the bus level are dropped
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Every event type the model emits, with the fields each event carries on top
+// of { type, tick, time }
+const SIMULATION_EVENTS = [
+    'log',            // { level, message } (no tick/time)
+    'initialized',    // { antCount, foodSources, obstacles }
+    'reset',          // { seed }
+    'restart',        // { seed }
+    'foodPickup',     // { antId, colonyId, foodId, units, x, y }
+    'delivery',       // { antId, colonyId, foodId, foodGained, efficiency, tripTime, tripDistance }
+    'wastedDelivery', // { antId, colonyId, foodId } - nest already full
+    'nestFull',       // { colonyId, nestId, foodStored, maxCapacity } - nestId is null for the main nest
+    'foodDepleted',   // { foodId, x, y }
+    'foodRespawned',  // { foodId, x, y, type, amount }
+    'antTrapped',     // { antId, attempt, x, y } - ant entered escape mode
+    'antEscaped',     // { antId } - escape mode timed out
+    'antRescued',     // { antId, x, y } - ant pushed back out of an obstacle
+    'alarmRaised',    // { antId, cause, x, y } - cause is 'swept' or 'trapped'
+    'repellentLaid',  // { antId, cause, foodId, x, y } - cause is 'depletedFood' or 'escapeExhausted'
+    'antDied',        // { antId, colonyId, cause, age, x, y } - lifecycle mode; cause is 'age' or 'exhaustion'
+    'antHatched',     // { antId, colonyId, caste } - lifecycle mode; a brood raised by the nest hatched
+    'nestAdded',      // { colonyId, nestId, x, y } - satellite nest placed with addSatelliteNest()
+    'nestRemoved',    // { colonyId, nestId, foodStored } - satellite nest removed; its stock went to the main nest
+    'foodSpoiled',    // { colonyId, nestId, units } - stock that no longer fits its nest; nestId is null for the main nest
+    'snapshotLoaded', // { antCount } - whole state replaced by loadSnapshot()
+    'input',          // { input } - user edit applied through applyInput()
+    'tick'            // {} - end of every update()
+];
+
+// Typed publish/subscribe hub for simulation events and log messages. Unknown
+// event names throw so typos in subscribers surface immediately.
+class EventBus {
+    constructor(options = {}) {
+        this.listeners = new Map();
+        this.output = options.output ?? console; // Receives messages at or above logLevel
+        this.setLogLevel(options.logLevel ?? 'warn');
+    }
+    
+    setLogLevel(level) {
+        if (!(level in LOG_LEVELS)) {
+            throw new Error(`Unknown log level '${level}' (expected one of: ${Object.keys(LOG_LEVELS).join(', ')})`);
+        }
+        this.logLevel = level;
+    }
+    
+    isLogEnabled(level) {
+        return LOG_LEVELS[level] >= LOG_LEVELS[this.logLevel];
+    }
+    
+    // Subscribe to an event type; returns a function that unsubscribes
+    on(type, handler) {
+        if (!SIMULATION_EVENTS.includes(type)) {
+            throw new Error(`Unknown simulation event '${type}'`);
+        }
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
+        }
+        this.listeners.get(type).add(handler);
+        return () => this.off(type, handler);
+    }
+    
+    off(type, handler) {
+        const handlers = this.listeners.get(type);
+        if (handlers) handlers.delete(handler);
+    }
+    
+    hasListeners(type) {
+        const handlers = this.listeners.get(type);
+        return handlers !== undefined && handlers.size > 0;
+    }
+    
+    emit(type, event) {
+        const handlers = this.listeners.get(type);
+        if (!handlers) return;
+        for (const handler of handlers) {
+            handler(event);
+        }
+    }
+    
+    log(level, message) {
+        if (this.isLogEnabled(level)) {
+            this.output[level](message);
+        }
+        if (this.hasListeners('log')) {
+            this.emit('log', { type: 'log', level, message });
+        }
+    }
+}
+
+// Vector math utility class
+class Vec {
+    constructor(x = 0, y = 0) {
+        this.x = x;
+        this.y = y;
+    }
+    
+    clone() {
+        return new Vec(this.x, this.y);
+    }
+    
+    add(v) {
+        return new Vec(this.x + v.x, this.y + v.y);
+    }
+    
+    subtract(v) {
+        return new Vec(this.x - v.x, this.y - v.y);
+    }
+    
+    multiply(s) {
+        return new Vec(this.x * s, this.y * s);
+    }
+    
+    divide(s) {
+        return new Vec(this.x / s, this.y / s);
+    }
+    
+    magnitude() {
+        return Math.hypot(this.x, this.y);
+    }
+    
+    magnitudeSquared() {
+        return this.x * this.x + this.y * this.y;
+    }
+    
+    normalize() {
+        const m = this.magnitude();
+        return m > 0 ? this.divide(m) : new Vec(0, 0);
+    }
+    
+    dot(v) {
+        return this.x * v.x + this.y * v.y;
+    }
+    
+    angle() {
+        return Math.atan2(this.y, this.x);
+    }
+    
+    static random(rng = Math) {
+        const a = rng.random() * Math.PI * 2;
+        return new Vec(Math.cos(a), Math.sin(a));
+    }
+}
+
+// Blob generator for creating irregular obstacle shapes
+function makeBlob(cx, cy, r, irregularity = 0.1, points = 20, rng = Math) {
+    const pts = [];
+    points = Math.max(3, points);
+    for (let i = 0; i < points; i++) {
+        const theta = (i / points) * Math.PI * 2;
+        const variance = 1 + (rng.random() * 2 - 1) * irregularity;
+        const radius = r * variance;
+        pts.push(new Vec(cx + Math.cos(theta) * radius, cy + Math.sin(theta) * radius));
+    }
+    return pts;
+}
+
+// Find nearest point on a line segment
+function closestOnSeg(a, b, p) {
+    const ab = b.subtract(a);
+    const t = ((p.x - a.x) * ab.x + (p.y - a.y) * ab.y) / (ab.x * ab.x + ab.y * ab.y);
+    const tt = Math.max(0, Math.min(1, t));
+    return new Vec(a.x + ab.x * tt, a.y + ab.y * tt);
+}
+
+// Typed-array grids are stored in snapshots as base64 so they stay exact and compact
+function float32ToBase64(array) {
+    const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+    if (typeof Buffer !== 'undefined') {
+        return Buffer.from(bytes).toString('base64');
+    }
+    let binary = '';
+    const chunk = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunk) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunk));
+    }
+    return btoa(binary);
+}
+
+function base64ToFloat32(text) {
+    let bytes;
+    if (typeof Buffer !== 'undefined') {
+        bytes = Uint8Array.from(Buffer.from(text, 'base64'));
+    } else {
+        const binary = atob(text);
+        bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+    }
+    return new Float32Array(bytes.buffer);
+}
+
+// Pheromone field made of named channels ('home', 'food', 'pathSuccess' and any
+// registered with addChannel), each a flat row-major Float32Array
+// (index = gy * gridW + gx) with its own evaporation, diffusion, clamp and
+// render color. Each step() diffuses and evaporates every grid into a shared
+// back buffer and swaps it in, so a tick reads only the previous tick's values.
+class PheromoneField {
+    constructor(w, h, cell, channels = PheromoneField.DEFAULT_CHANNELS) {
+        this.cell = cell;
+        this.gridW = Math.max(1, Math.ceil(w / cell));
+        this.gridH = Math.max(1, Math.ceil(h / cell));
+        this.channels = new Map();
+        this.backBuffer = new Float32Array(this.gridW * this.gridH);
+        for (const [name, options] of Object.entries(channels)) {
+            this.addChannel(name, options);
+        }
+    }
+    
+    // Register a channel. evaporationRate / diffusionRate left null follow the
+    // model-wide rates passed to step() (evaporation scaled by evaporationScale).
+    // color is a '#rrggbb' render color; opacity and saturation shape how it is
+    // drawn (alpha reaches opacity at `saturation` strength).
+    addChannel(name, options = {}) {
+        if (this.channels.has(name)) {
+            throw new Error(`Pheromone channel '${name}' is already registered`);
+        }
+        const channel = {
+            name,
+            label: options.label ?? name,
+            evaporationRate: options.evaporationRate ?? null,
+            evaporationScale: options.evaporationScale ?? 1,
+            diffusionRate: options.diffusionRate ?? null,
+            max: options.max ?? 1000,
+            color: options.color ?? '#ffffff',
+            opacity: options.opacity ?? 0.8,
+            saturation: options.saturation ?? 100,
+            visible: options.visible ?? true, // Drawn as a layer of its own
+            reinforcesPath: options.reinforcesPath ?? false, // Deposits also mark pathSuccess
+            grid: new Float32Array(this.gridW * this.gridH)
+        };
+        this.channels.set(name, channel);
+        return channel;
+    }
+    
+    removeChannel(name) {
+        this.channel(name); // Throws on unknown channels
+        this.channels.delete(name);
+    }
+    
+    hasChannel(name) {
+        return this.channels.has(name);
+    }
+    
+    channel(name) {
+        const channel = this.channels.get(name);
+        if (!channel) {
+            throw new Error(`Unknown pheromone channel '${name}' (registered: ${[...this.channels.keys()].join(', ')})`);
+        }
+        return channel;
+    }
+    
+    // Registration options of every channel, without grid data - enough to
+    // build an empty field with the same channels (e.g. at a new world size)
+    channelOptions() {
+        const options = {};
+        for (const { name, grid, ...channelOptions } of this.channels.values()) {
+            options[name] = channelOptions;
+        }
+        return options;
+    }
+    
+    _clamp(i, max) {
+        return Math.min(Math.max(i, 0), max - 1);
+    }
+    
+    // Flat grid index of the cell containing (x, y), clamped to the grid
+    cellIndex(x, y) {
+        const gx = this._clamp(Math.floor(x / this.cell), this.gridW);
+        const gy = this._clamp(Math.floor(y / this.cell), this.gridH);
+        return gy * this.gridW + gx;
+    }
+    
+    deposit(pos, type, amt, successBonus = 1) {
+        const channel = this.channel(type);
+        const i = this.cellIndex(pos.x, pos.y);
+        channel.grid[i] = Math.min(channel.grid[i] + amt * successBonus, channel.max);
+        if (channel.reinforcesPath) {
+            const success = this.channel('pathSuccess');
+            success.grid[i] = Math.min(success.grid[i] + successBonus * 0.1, success.max);
+        }
+    }
+    
+    sample(pos, type) {
+        return this.sampleAt(pos.x, pos.y, type);
+    }
+    
+    sampleAt(x, y, type) {
+        return this.channel(type).grid[this.cellIndex(x, y)];
+    }
+    
+    gradient(pos, type) {
+        const delta = this.cell * 0.8;
+        const diagonal = delta * 0.7;
+        
+        // 8-directional sampling for more accurate gradients
+        const right = this.sampleAt(pos.x + delta, pos.y, type);
+        const left = this.sampleAt(pos.x - delta, pos.y, type);
+        const down = this.sampleAt(pos.x, pos.y + delta, type);
+        const up = this.sampleAt(pos.x, pos.y - delta, type);
+        const upRight = this.sampleAt(pos.x + diagonal, pos.y - diagonal, type);
+        const upLeft = this.sampleAt(pos.x - diagonal, pos.y - diagonal, type);
+        const downRight = this.sampleAt(pos.x + diagonal, pos.y + diagonal, type);
+        const downLeft = this.sampleAt(pos.x - diagonal, pos.y + diagonal, type);
+        
+        // Calculate gradient using all 8 directions
+        const dx = (right - left) * 0.5 + (upRight - upLeft + downRight - downLeft) * 0.25;
+        const dy = (down - up) * 0.5 + (downRight - upRight + downLeft - upLeft) * 0.25;
+        
+        const grad = new Vec(dx, dy);
+        return grad.magnitude() > 0.1 ? grad.normalize() : new Vec(0, 0);
+    }
+    
+    // Advance every channel one tick: diffuse with its diffusion coefficient
+    // (share given to each 4-neighbour, stable up to 0.25), then evaporate.
+    // Channels without rates of their own use the ones passed in here.
+    step(evaporationRate, diffusionRate = 0) {
+        for (const channel of this.channels.values()) {
+            const evaporation = channel.evaporationRate ?? evaporationRate * channel.evaporationScale;
+            const diffusion = channel.diffusionRate ?? diffusionRate;
+            channel.grid = this._diffuseAndDecay(channel.grid, diffusion, 1 - evaporation);
+        }
+    }
+    
+    // Write the next state of `grid` into the back buffer and return it; the
+    // old grid becomes the new back buffer. Edges reflect (no flux leaves the world).
+    _diffuseAndDecay(grid, diffusion, decay) {
+        const out = this.backBuffer;
+        const w = this.gridW;
+        const h = this.gridH;
+        
+        if (diffusion === 0) {
+            for (let i = 0; i < grid.length; i++) {
+                const value = grid[i] * decay;
+                out[i] = value < 0.01 ? 0 : value;
+            }
+        } else {
+            for (let y = 0; y < h; y++) {
+                const row = y * w;
+                const upOffset = y > 0 ? -w : 0;
+                const downOffset = y < h - 1 ? w : 0;
+                for (let x = 0; x < w; x++) {
+                    const i = row + x;
+                    const center = grid[i];
+                    const left = x > 0 ? grid[i - 1] : center;
+                    const right = x < w - 1 ? grid[i + 1] : center;
+                    const neighbours = left + right + grid[i + upOffset] + grid[i + downOffset];
+                    // Skip the arithmetic for empty neighbourhoods (most of the world)
+                    if (center === 0 && neighbours === 0) {
+                        out[i] = 0;
+                        continue;
+                    }
+                    const value = (center + diffusion * (neighbours - 4 * center)) * decay;
+                    out[i] = value < 0.01 ? 0 : value;
+                }
+            }
+        }
+        
+        this.backBuffer = grid;
+        return out;
+    }
+    
+    // Total pheromone mass per channel
+    totals() {
+        const totals = {};
+        for (const channel of this.channels.values()) {
+            let total = 0;
+            for (let i = 0; i < channel.grid.length; i++) {
+                total += channel.grid[i];
+            }
+            totals[channel.name] = total;
+        }
+        return totals;
+    }
+    
+    clear() {
+        for (const channel of this.channels.values()) {
+            channel.grid.fill(0);
+        }
+    }
+    
+    reinforcePath(pathPoints, strength) {
+        if (!pathPoints || pathPoints.length === 0) return;
+        
+        const success = this.channel('pathSuccess');
+        for (const pos of pathPoints) {
+            if (!pos) continue;
+            const i = this.cellIndex(pos.x, pos.y);
+            success.grid[i] = Math.min(success.grid[i] + strength, success.max);
+        }
+    }
+    
+    toSnapshot() {
+        const options = this.channelOptions();
+        const channels = {};
+        for (const channel of this.channels.values()) {
+            channels[channel.name] = { options: options[channel.name], grid: float32ToBase64(channel.grid) };
+        }
+        return {
+            cell: this.cell,
+            gridW: this.gridW,
+            gridH: this.gridH,
+            channels
+        };
+    }
+    
+    static fromSnapshot(data) {
+        const field = Object.create(PheromoneField.prototype);
+        field.cell = data.cell;
+        field.gridW = data.gridW;
+        field.gridH = data.gridH;
+        field.channels = new Map();
+        field.backBuffer = new Float32Array(field.gridW * field.gridH);
+        for (const [name, saved] of Object.entries(data.channels)) {
+            field.addChannel(name, saved.options).grid = base64ToFloat32(saved.grid);
+        }
+        return field;
+    }
+}
+
+// Channels every model starts with. Exploring ants lay 'home', ants carrying
+// food lay 'food'; 'pathSuccess' marks routes that led to food and is drawn as
+// a boost to the food trail rather than as a layer of its own. 'alarm' is laid
+// by ants in danger and fades within a few seconds; 'repellent' marks trails
+// to food that is gone and dead ends, and cancels attraction where it lies.
+PheromoneField.DEFAULT_CHANNELS = {
+    home: { label: 'Scouting', color: '#292e28', opacity: 0.6, saturation: 60, reinforcesPath: true },
+    food: { label: 'Returning', color: '#732626', opacity: 1, saturation: 200, reinforcesPath: true },
+    pathSuccess: { label: 'Path success', color: '#64b5f6', max: 100, diffusionRate: 0, evaporationScale: 0.3, visible: false },
+    alarm: { label: 'Alarm', color: '#ffd600', max: 300, evaporationRate: 0.03, diffusionRate: 0.12, opacity: 0.7, saturation: 120 },
+    repellent: { label: 'No-entry', color: '#8e24aa', max: 500, evaporationRate: 0.004, diffusionRate: 0.01, opacity: 0.6, saturation: 200 }
+};
+
+// Samples aggregate colony metrics every `interval` ticks. The full history is
+// kept for export; charts read the most recent samples through series().
+class MetricsCollector {
+    constructor(model, options = {}) {
+        this.model = model;
+        this.interval = options.interval ?? 30; // Ticks between samples (0.5 s)
+        this.maxSamples = options.maxSamples ?? 20000; // Oldest samples are dropped beyond this
+        this.reset();
+    }
+    
+    reset() {
+        this.samples = [];
+    }
+    
+    // Called once per tick by the model
+    update() {
+        if (this.model.clock.tick % this.interval === 0) {
+            this.sample();
+        }
+    }
+    
+    sample() {
+        const model = this.model;
+        let carrying = 0;
+        let escaping = 0;
+        for (const ant of model.ants) {
+            if (ant.hasFood) carrying++;
+            if (ant.escapeMode) escaping++;
+        }
+        
+        const foodRemaining = {};
+        let totalFoodRemaining = 0;
+        for (const food of model.foodSources) {
+            foodRemaining[food.id] = food.amount;
+            totalFoodRemaining += food.amount;
+        }
+        
+        const sample = {
+            tick: model.clock.tick,
+            time: model.clock.time,
+            foodDelivered: model.stats.foodDelivered,
+            deliveries: model.stats.deliveries,
+            foodStored: model.colonies.reduce((total, colony) => total + model.colonyStock(colony), 0),
+            efficiency: model.colonies.reduce((total, colony) => total + colony.nest.efficiency, 0) / model.colonies.length,
+            carrying,
+            exploring: model.ants.length - carrying,
+            escaping,
+            pheromone: model.pheromoneField.totals(),
+            totalFoodRemaining,
+            foodRemaining
+        };
+        
+        this.samples.push(sample);
+        if (this.samples.length > this.maxSamples) {
+            this.samples.shift();
+        }
+        return sample;
+    }
+    
+    get latest() {
+        return this.samples.length > 0 ? this.samples[this.samples.length - 1] : null;
+    }
+    
+    // Values of one metric over the last `count` samples, e.g. series(s => s.carrying, 120)
+    series(selector, count = this.samples.length) {
+        const start = Math.max(0, this.samples.length - count);
+        const values = [];
+        for (let i = start; i < this.samples.length; i++) {
+            values.push(selector(this.samples[i]));
+        }
+        return values;
+    }
+}
+
+// Append-only log of discrete colony events (pickups, deliveries, depleted
+// food, escape-mode entries, ...) collected from the model's event bus.
+class RunLog {
+    constructor(model, options = {}) {
+        this.maxEvents = options.maxEvents ?? 100000; // Oldest events are dropped beyond this
+        this.reset();
+        for (const type of RunLog.RECORDED_EVENTS) {
+            model.on(type, event => this.record(event));
+        }
+    }
+    
+    reset() {
+        this.events = [];
+    }
+    
+    record(event) {
+        this.events.push(event);
+        if (this.events.length > this.maxEvents) {
+            this.events.shift();
+        }
+    }
+}
+
+RunLog.RECORDED_EVENTS = ['foodPickup', 'delivery', 'wastedDelivery', 'foodDepleted', 'foodRespawned', 'antTrapped', 'alarmRaised', 'repellentLaid', 'antDied', 'antHatched', 'foodSpoiled'];
+
+// Records a run as periodic keyframe snapshots plus the user inputs applied
+// between them, so any tick of the run can be rebuilt with seek(). Keyframes
+// are stored as JSON strings; past maxKeyframes every other one is dropped
+// and the interval doubles, which bounds memory on long runs.
+class ReplayRecorder {
+    constructor(model, options = {}) {
+        this.model = model;
+        this.baseKeyframeInterval = options.keyframeInterval ?? 600; // Ticks (10 s)
+        this.maxKeyframes = options.maxKeyframes ?? 60;
+        this.suspended = false; // True during playback so replayed ticks aren't re-recorded
+        this.clear();
+        
+        model.on('tick', () => this.onTick());
+        model.on('input', event => this.onInput(event));
+        for (const type of ['initialized', 'restart', 'snapshotLoaded']) {
+            model.on(type, () => this.start());
+        }
+    }
+    
+    clear() {
+        this.keyframes = [];
+        this.inputs = [];
+        this.keyframeInterval = this.baseKeyframeInterval;
+        this.startTick = 0;
+        this.endTick = 0;
+    }
+    
+    // Begin a new recording at the model's current state
+    start() {
+        if (this.suspended) return;
+        this.clear();
+        this.startTick = this.model.clock.tick;
+        this.endTick = this.startTick;
+        this.captureKeyframe();
+    }
+    
+    captureKeyframe() {
+        this.keyframes.push({ tick: this.model.clock.tick, snapshot: JSON.stringify(this.model.createSnapshot()) });
+        if (this.keyframes.length > this.maxKeyframes) {
+            this.keyframes = this.keyframes.filter((keyframe, i) => i % 2 === 0);
+            this.keyframeInterval *= 2;
+        }
+    }
+    
+    onTick() {
+        if (this.suspended) return;
+        this.endTick = this.model.clock.tick;
+        const lastKeyframe = this.keyframes[this.keyframes.length - 1];
+        if (!lastKeyframe || this.endTick - lastKeyframe.tick >= this.keyframeInterval) {
+            this.captureKeyframe();
+        }
+    }
+    
+    onInput(event) {
+        if (this.suspended) return;
+        this.inputs.push({ tick: event.tick, input: event.input });
+    }
+    
+    get length() {
+        return this.endTick - this.startTick;
+    }
+    
+    beginPlayback() {
+        this.suspended = true;
+        this.playbackTick = null;
+    }
+    
+    endPlayback() {
+        this.suspended = false;
+        this.playbackTick = null;
+    }
+    
+    // Rebuild the model at `tick` (between beginPlayback and endPlayback). Short
+    // forward steps continue from the current playback state; anything else
+    // restarts from the nearest earlier keyframe. Returns the tick reached.
+    seek(tick) {
+        const model = this.model;
+        const target = Math.max(this.startTick, Math.min(this.endTick, Math.round(tick)));
+        let keyframe = this.keyframes[0];
+        for (const candidate of this.keyframes) {
+            if (candidate.tick <= target) keyframe = candidate;
+        }
+        
+        const canContinue = this.playbackTick !== null &&
+            this.playbackTick <= target && this.playbackTick >= keyframe.tick;
+        if (!canContinue) {
+            model.loadSnapshot(JSON.parse(keyframe.snapshot));
+        }
+        model.isPaused = false;
+        
+        // Inputs recorded at tick T were applied after update #T, before update #T+1
+        const fromTick = model.clock.tick;
+        let inputIndex = this.inputs.findIndex(entry => entry.tick >= fromTick);
+        if (inputIndex < 0) inputIndex = this.inputs.length;
+        const applyInputsAt = (atTick) => {
+            while (inputIndex < this.inputs.length && this.inputs[inputIndex].tick === atTick) {
+                model.applyInput(this.inputs[inputIndex].input);
+                inputIndex++;
+            }
+        };
+        
+        // When continuing, inputs at the current tick were already applied
+        if (!canContinue) applyInputsAt(fromTick);
+        while (model.clock.tick < target) {
+            model.update();
+            applyInputsAt(model.clock.tick);
+        }
+        
+        this.playbackTick = model.clock.tick;
+        return this.playbackTick;
+    }
+}
+
+// Bumped whenever the layout of exported metrics or event logs changes
+// (2: event types renamed to the event bus names, e.g. pickup -> foodPickup)
+const RUN_EXPORT_SCHEMA_VERSION = 2;
+
+function formatCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Rows of plain objects -> CSV text with the given column order
+function toCsv(columns, rows) {
+    const lines = [columns.join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(column => formatCsvValue(row[column])).join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+// Bumped whenever the snapshot layout changes in a way older snapshots can't be
+// read with; those are rejected (2: pheromone grids stored as base64 Float32 data;
+// 3: named pheromone channels; 4: colonies, each with its own nest, replace the
+// single nest). Fields only added to a layout don't bump it: loadSnapshot and
+// the fromSnapshot methods of Obstacle, Food and Ant give them a default when a
+// snapshot lacks them (since 4: ant caste and load, energy, graves and brood,
+// nest economy fields, satellite nests, food types)
+const SNAPSHOT_SCHEMA_VERSION = 4;
+
+// Snapshots are plain JSON. Vec instances (also inside arrays such as ant paths
+// and obstacle blobs) are tagged as { $vec: [x, y] } so they can be revived.
+function encodeSnapshotValue(value) {
+    if (value instanceof Vec) {
+        return { $vec: [value.x, value.y] };
+    }
+    if (Array.isArray(value)) {
+        return value.map(encodeSnapshotValue);
+    }
+    if (value && typeof value === 'object') {
+        const encoded = {};
+        for (const [key, item] of Object.entries(value)) {
+            encoded[key] = encodeSnapshotValue(item);
+        }
+        return encoded;
+    }
+    return value;
+}
+
+function decodeSnapshotValue(value) {
+    if (Array.isArray(value)) {
+        return value.map(decodeSnapshotValue);
+    }
+    if (value && typeof value === 'object') {
+        if (Array.isArray(value.$vec)) {
+            return new Vec(value.$vec[0], value.$vec[1]);
+        }
+        const decoded = {};
+        for (const [key, item] of Object.entries(value)) {
+            decoded[key] = decodeSnapshotValue(item);
+        }
+        return decoded;
+    }
+    return value;
+}
+
+// Headless colony model: ants, food, obstacles, nest and pheromones. It never
+// touches canvas, document, localStorage or requestAnimationFrame, so it can be
+// constructed with just a world size and stepped from Node:
+//   const model = new AntColonyModel(1200, 800, { seed: 42, antCount: 200 });
+//   model.initialize();
+//   const state = model.step(600);
+class AntColonyModel {
+    constructor(width, height, options = {}) {
+        this.width = width;
+        this.height = height;
+        
+        // Event bus for subscribers (UI, metrics, tests) and leveled logging
+        this.eventBus = new EventBus({ logLevel: options.logLevel });
+        
+        // Simulation parameters
+        this.antCount = options.antCount ?? 500;
+        this.evaporationRate = options.evaporationRate ?? 0.01; // Reduced from 0.05
+        this.diffusionRate = options.diffusionRate ?? 0.02; // Trail share passed to each neighbouring cell per tick
+        this.foodCount = 8; // Increased from 2
+        this.foodTrailDeposit = options.foodTrailDeposit ?? 12; // Laid by ants carrying food
+        this.homeTrailDeposit = options.homeTrailDeposit ?? 6; // Laid by exploring ants
+        this.alarmDeposit = options.alarmDeposit ?? 150; // Laid by a swept or trapped ant
+        this.repellentDeposit = options.repellentDeposit ?? 200; // Peak no-entry mark on a stale trail or dead end
+        this.colonyTemperament = options.colonyTemperament ?? 'flee'; // Response to alarm, one of TEMPERAMENTS
+        this.colonyCount = options.colonyCount ?? 1; // Competing colonies, up to COLONY_PALETTE.length
+        this.followForeignTrails = options.followForeignTrails ?? false; // Ants also follow other colonies' food trails
+        this.casteMix = this.normalizeCasteMix(options.casteMix ?? { forager: 1 }); // Relative share of each caste in CASTES
+        this.foodMix = this.normalizeFoodMix(options.foodMix ?? { sugar: 1 }); // Relative share of each FOOD_TYPES entry among random sources
+        this.lifecycle = options.lifecycle ?? false; // Ants tire and die, nests raise brood from stored food (see LIFECYCLE)
+        this.maxAnts = options.maxAnts ?? 2000; // Population cap for performance, also limits brood
+        this.economy = options.economy ?? false; // Colonies eat their stock and nests grow with them (see ECONOMY)
+        this.nestChoice = options.nestChoice ?? 'nearest'; // Where a loaded ant delivers when its colony has satellite nests, one of NEST_CHOICES
+        
+        // Seeded RNG shared by every stochastic decision so runs can be reproduced.
+        // An explicit seed is kept across resets; otherwise each reset picks a new one.
+        this.fixedSeed = options.seed !== undefined && options.seed !== null;
+        this.seed = this.fixedSeed ? SeededRandom.normalizeSeed(options.seed) : SeededRandom.generateSeed();
+        this.rng = new SeededRandom(this.seed);
+        this.log('info', `Simulation seed: ${this.seed}`);
+        
+        // Custom preset system - presets are plain data, persisted by the front-end
+        this.currentPreset = options.preset ?? null;
+        this.presets = options.presets ?? {};
+        
+        // Simulation state
+        this.ants = [];
+        this.foodSources = [];
+        this.obstacles = [];
+        this.graves = []; // Where ants died in lifecycle mode, kept for LIFECYCLE.graveDuration
+        // Extra channels (name -> options, see PheromoneField.addChannel) join the defaults
+        this.pheromoneField = new PheromoneField(this.width, this.height, 6, {
+            ...PheromoneField.DEFAULT_CHANNELS,
+            ...options.pheromoneChannels
+        });
+        // Colonies competing for the food, each with its own nest, trail channels
+        // and food stock (see setupColonies); nests are placed in initialize()
+        this.colonies = [];
+        this.setupColonies();
+        
+        // Simulation clock (ticks and simulated seconds), advanced once per update()
+        this.clock = new SimulationClock(60);
+
+        this.isPaused = false; // Pause state for simulation
+        
+        // Running totals for experiments (see resetStats) and sampled time series
+        this.resetStats();
+        this.metrics = new MetricsCollector(this, { interval: options.metricsInterval ?? 30 });
+        this.runLog = new RunLog(this);
+        // Replay recording is opt-in; headless batch runs don't need the keyframes
+        this.recorder = options.recordReplay ? new ReplayRecorder(this, options.replay) : null;
+        this.nextFoodId = 1;
+        this.nextAntId = 1;
+        this.nextNestId = 1; // Satellite nests only; a colony's main nest has no id
+        
+        // Debugging aid: the ant with this id records its antennae samples in
+        // antennaeTrace each tick (null while it isn't sensing trails)
+        this.traceAntennaeFor = null;
+        this.antennaeTrace = null;
+        
+        // Helper method to get direct path between two points
+        this.getDirectPath = (from, to) => {
+            const path = [];
+            const distance = from.subtract(to).magnitude();
+            const steps = Math.ceil(distance / 50); // Check every 50 pixels
+            
+            for (let i = 0; i <= steps; i++) {
+                const t = i / steps;
+                const x = from.x + (to.x - from.x) * t;
+                const y = from.y + (to.y - from.y) * t;
+                path.push(new Vec(x, y));
+            }
+            
+            return path;
+        };
+        
+        // Helper method to validate food position
+        this.isValidFoodPosition = (food) => {
+            // Check bounds
+            if (food.pos.x < food.radius || food.pos.x > this.width - food.radius ||
+                food.pos.y < food.radius || food.pos.y > this.height - food.radius) {
+                return false;
+            }
+            
+            // Don't place too close to any nest
+            for (const nest of this.allNests()) {
+                if (food.pos.subtract(new Vec(nest.x, nest.y)).magnitude() < food.radius + nest.radius + 100) {
+                    return false;
+                }
+            }
+            
+            // Don't place too close to other food
+            for (const existingFood of this.foodSources) {
+                if (food.pos.subtract(existingFood.pos).magnitude() < food.radius + existingFood.radius + 50) {
+                    return false;
+                }
+            }
+            
+            // Don't place too close to obstacles
+            for (const obstacle of this.obstacles) {
+                if (food.pos.subtract(obstacle.pos).magnitude() < food.radius + obstacle.baseRadius + 50) {
+                    return false;
+                }
+            }
+            
+            return true;
+        };
+        
+        // Helper method to validate obstacle position
+        this.isValidObstaclePosition = (obstacle) => {
+            // Don't place too close to any nest
+            for (const nest of this.allNests()) {
+                if (obstacle.pos.subtract(new Vec(nest.x, nest.y)).magnitude() < obstacle.baseRadius + nest.radius + 100) {
+                    return false;
+                }
+            }
+            
+            // Don't place too close to food sources
+            for (const food of this.foodSources) {
+                if (obstacle.pos.subtract(food.pos).magnitude() < obstacle.baseRadius + food.radius + 80) {
+                    return false;
+                }
+            }
+            
+            // Don't place too close to existing obstacles
+            for (const existingObstacle of this.obstacles) {
+                if (obstacle.pos.subtract(existingObstacle.pos).magnitude() < obstacle.baseRadius + existingObstacle.baseRadius + 30) {
+                    return false;
+                }
+            }
+            
+            return true;
+        };
+        
+        // Helper method to sweep ants away from moving obstacles
+        this.sweepAntsFromObstaclePath = (obstacle, newPos) => {
+            const sweepRadius = obstacle.baseRadius + 30; // Larger sweep area for fast obstacles
+            const sweepForce = 12; // Much stronger force to push ants away
+            
+            for (const ant of this.ants) {
+                const distance = ant.position.subtract(newPos).magnitude();
+                if (distance < sweepRadius) {
+                    ant.raiseAlarm('swept');
+                    
+                    // Calculate direction away from obstacle
+                    const awayDirection = ant.position.subtract(newPos).normalize();
+                    
+                    // Apply strong repulsion force with distance-based scaling
+                    const repulsionForce = (sweepRadius - distance) / sweepRadius * sweepForce;
+                    ant.velocity = ant.velocity.add(awayDirection.multiply(repulsionForce));
+                    
+                    // Ensure ant doesn't get pushed too fast
+                    if (ant.velocity.magnitude() > 10) {
+                        ant.velocity = ant.velocity.normalize().multiply(10);
+                    }
+                    
+                    // Emergency teleport if ant is too close to obstacle center
+                    if (distance < obstacle.baseRadius * 0.5) {
+                        // Teleport ant to a safe distance outside the obstacle
+                        const safeDistance = obstacle.baseRadius + 15;
+                        const teleportDirection = ant.position.subtract(newPos).normalize();
+                        ant.position = newPos.add(teleportDirection.multiply(safeDistance));
+                        this.log('debug', 'Emergency teleport: Ant moved outside obstacle');
+                    }
+                }
+            }
+        };
+        
+        // Helper method to check and fix ants trapped inside obstacles
+        this.checkAndFixTrappedAnts = () => {
+            for (const ant of this.ants) {
+                for (const obstacle of this.obstacles) {
+                    const rep = obstacle.repulse(ant.position);
+                    
+                    // Fix ants that are inside or very close to obstacles
+                    if (rep.dist < 0.8) {
+                        // Calculate the closest point outside the obstacle
+                        const awayDirection = ant.position.subtract(obstacle.pos).normalize();
+                        const safeDistance = obstacle.baseRadius + 15;
+                        
+                        // Teleport ant to safe position
+                        ant.position = obstacle.pos.add(awayDirection.multiply(safeDistance));
+                        
+                        // Apply stronger velocity away from obstacle
+                        ant.velocity = awayDirection.multiply(3);
+                        
+                        this.emit('antRescued', { antId: ant.id, x: ant.position.x, y: ant.position.y });
+                        this.log('debug', `Fixed trapped ${ant.hasFood ? 'red' : 'green'} ant: Moved outside obstacle`);
+                    }
+                }
+            }
+        };
+        
+        // Helper method to sweep ants along with moving obstacles
+        this.sweepAntsFromMovingObstacle = (obstacle) => {
+            // Sweep ants along with moving obstacles (works even when paused)
+            if (!obstacle.lastPos) return;
+            
+            const obstacleMovement = obstacle.pos.subtract(obstacle.lastPos);
+            const movementMagnitude = obstacleMovement.magnitude();
+            
+            if (movementMagnitude < 0.1) return; // No significant movement
+            
+            for (const ant of this.ants) {
+                const rep = obstacle.repulse(ant.position);
+                const sweepRange = obstacle.baseRadius + 20; // Larger sweep range for dragging
+                
+                if (rep.dist < sweepRange) {
+                    // Calculate sweep force based on distance from obstacle center
+                    const distanceFactor = Math.max(0, (sweepRange - rep.dist) / sweepRange);
+                    const sweepForce = distanceFactor * 1.2; // Stronger sweeping force for dragging
+                    
+                    // Apply obstacle movement to ant position
+                    const sweptMovement = obstacleMovement.multiply(sweepForce);
+                    ant.position = ant.position.add(sweptMovement);
+                    
+                    // Also add velocity in the direction of movement
+                    const sweepVelocity = obstacleMovement.normalize().multiply(sweepForce * 3.0);
+                    ant.velocity = ant.velocity.add(sweepVelocity);
+                    
+                    // Limit velocity to prevent excessive speed
+                    if (ant.velocity.magnitude() > 8.0) {
+                        ant.velocity = ant.velocity.normalize().multiply(8.0);
+                    }
+                }
+            }
+        };
+    }
+    
+    // Subscribe to a model event, e.g. model.on('delivery', event => ...);
+    // returns a function that unsubscribes. See SIMULATION_EVENTS for the types.
+    on(type, handler) {
+        return this.eventBus.on(type, handler);
+    }
+    
+    off(type, handler) {
+        this.eventBus.off(type, handler);
+    }
+    
+    // Stamp an event with the current tick/time and deliver it to subscribers
+    emit(type, data = {}) {
+        if (!this.eventBus.hasListeners(type)) return;
+        this.eventBus.emit(type, { type, tick: this.clock.tick, time: this.clock.time, ...data });
+    }
+    
+    log(level, message) {
+        this.eventBus.log(level, message);
+    }
+    
+    setLogLevel(level) {
+        this.eventBus.setLogLevel(level);
+    }
+    
+    reset() {
+        this.log('info', 'Resetting simulation...');
+        
+        // Reseed so the fresh layout is reproducible from the displayed seed
+        this.seed = this.fixedSeed ? this.seed : SeededRandom.generateSeed();
+        this.rng = new SeededRandom(this.seed);
+        
+        // Clear all existing objects
+        this.obstacles = [];
+        this.foodSources = [];
+        this.ants = [];
+        this.graves = [];
+        
+        // Reset simulation state
+        this.clock.reset();
+        this.isPaused = false;
+        
+        // Clear pheromones
+        this.pheromoneField.clear();
+        
+        // Empty every nest; a fresh layout starts with only the main nests
+        for (const colony of this.colonies) {
+            colony.satellites = [];
+        }
+        this.resetNestStorage();
+        this.resetStats();
+        this.metrics.reset();
+        this.runLog.reset();
+        this.nextFoodId = 1;
+        this.nextAntId = 1;
+        this.nextNestId = 1;
+        
+        // Create fresh layout
+        this.initialize();
+        this.emit('reset', { seed: this.seed });
+    }
+    
+    restart() {
+        this.log('info', 'Restarting simulation with preserved positions...');
+        
+        // Reset simulation state but preserve positions
+        this.ants = [];
+        this.graves = [];
+        this.clock.reset();
+        this.isPaused = false;
+        
+        // Clear pheromones
+        this.pheromoneField.clear();
+        
+        // Reset food amounts but keep positions
+        for (let food of this.foodSources) {
+            food.amount = food.originalAmount;
+        }
+        
+        // Reset nest storage
+        this.resetNestStorage();
+        this.resetStats();
+        this.metrics.reset();
+        this.runLog.reset();
+        this.nextAntId = 1;
+        
+        // Create new ants
+        this.populateColonies();
+        if (this.economy) {
+            this.provisionNests();
+        }
+        
+        this.log('info', `Restarted simulation with ${this.ants.length} ants`);
+        this.emit('restart', { seed: this.seed });
+    }
+    
+    applyWorldSize(world) {
+        if (!(world.width > 0 && world.height > 0)) {
+            this.log('warn', `Ignoring invalid world size ${world.width} x ${world.height}`);
+            return;
+        }
+        this.width = world.width;
+        this.height = world.height;
+    }
+    
+    loadPreset(presetName) {
+        const preset = this.presets[presetName];
+        if (!preset) {
+            this.log('warn', `Preset '${presetName}' not found, using default`);
+            return;
+        }
+        
+        this.log('info', `Loading preset: ${preset.name}`);
+        
+        // Update simulation parameters
+        this.antCount = preset.antCount || this.antCount;
+        this.casteMix = preset.casteMix ? this.normalizeCasteMix(preset.casteMix) : this.casteMix;
+        this.foodMix = preset.foodMix ? this.normalizeFoodMix(preset.foodMix) : this.foodMix;
+        
+        // Clear existing obstacles and food
+        this.obstacles = [];
+        this.foodSources = [];
+        
+        // Create obstacles from preset with overlap validation
+        for (const obstacleData of preset.obstacles) {
+            const obstacle = new Obstacle(obstacleData.x, obstacleData.y, this.rng);
+            obstacle.baseRadius = obstacleData.radius;
+            obstacle.blob = makeBlob(obstacleData.x, obstacleData.y, obstacleData.radius, 0.2, 18, this.rng);
+            
+            // Check for overlaps with existing obstacles
+            let hasOverlap = false;
+            for (const existingObstacle of this.obstacles) {
+                const distance = obstacle.pos.subtract(existingObstacle.pos).magnitude();
+                const minDistance = obstacle.baseRadius + existingObstacle.baseRadius + 20; // 20px buffer
+                if (distance < minDistance) {
+                    hasOverlap = true;
+                    this.log('warn', `Obstacle overlap detected at (${obstacle.pos.x}, ${obstacle.pos.y}), skipping`);
+                    break;
+                }
+            }
+            
+            if (!hasOverlap) {
+                this.obstacles.push(obstacle);
+            }
+        }
+        
+        // Create food sources from preset with overlap validation
+        for (const foodData of preset.foodSources) {
+            let type = foodData.type ?? 'sugar'; // Presets saved before food types hold sugar
+            if (!AntColonyModel.FOOD_TYPES[type]) {
+                this.log('warn', `Unknown food type '${type}' in preset, using sugar`);
+                type = 'sugar';
+            }
+            const food = new Food(foodData.x, foodData.y, this.rng, type);
+            food.amount = foodData.amount;
+            food.originalAmount = foodData.amount;
+            
+            // Check for overlaps with obstacles
+            let hasOverlap = false;
+            for (const obstacle of this.obstacles) {
+                const distance = food.pos.subtract(obstacle.pos).magnitude();
+                const minDistance = food.radius + obstacle.baseRadius + 30; // 30px buffer
+                if (distance < minDistance) {
+                    hasOverlap = true;
+                    this.log('warn', `Food-obstacle overlap detected at (${food.pos.x}, ${food.pos.y}), skipping`);
+                    break;
+                }
+            }
+            
+            // Check for overlaps with other food sources (temporarily disabled for debugging)
+            /*
+            if (!hasOverlap) {
+                for (const existingFood of this.foodSources) {
+                    const distance = food.pos.subtract(existingFood.pos).magnitude();
+                    const minDistance = food.radius + existingFood.radius + 20; // Reduced to 20px buffer for preset loading
+                    if (distance < minDistance) {
+                        hasOverlap = true;
+                        this.log('warn', `Food-food overlap detected at (${food.pos.x}, ${food.pos.y}), skipping`);
+                        break;
+                    }
+                }
+            }
+            */
+            
+            if (!hasOverlap) {
+                this.addFoodSource(food);
+                this.log('debug', `Added food source ${this.foodSources.length}: (${food.pos.x}, ${food.pos.y})`);
+            }
+        }
+        
+        this.log('info', `Loaded ${this.obstacles.length} obstacles and ${this.foodSources.length} food sources (overlaps filtered out)`);
+    }
+    
+    // Register a food source, giving it a stable id for metrics and logs
+    addFoodSource(food) {
+        food.id = this.nextFoodId++;
+        this.foodSources.push(food);
+        return food;
+    }
+    
+    spawnNewFoodSource() {
+        const maxAttempts = 100;
+        let attempts = 0;
+        const type = this.nextFoodType();
+        
+        while (attempts < maxAttempts) {
+            // Generate random position within canvas bounds with margins
+            const margin = 80;
+            const x = margin + this.rng.random() * (this.width - 2 * margin);
+            const y = margin + this.rng.random() * (this.height - 2 * margin);
+            
+            const newFood = new Food(x, y, this.rng, type);
+            
+            // Check for overlaps with obstacles
+            let hasOverlap = false;
+            for (const obstacle of this.obstacles) {
+                const distance = newFood.pos.subtract(obstacle.pos).magnitude();
+                const minDistance = newFood.radius + obstacle.baseRadius + 30; // 30px buffer
+                if (distance < minDistance) {
+                    hasOverlap = true;
+                    break;
+                }
+            }
+            
+            // Check for overlaps with existing food sources
+            if (!hasOverlap) {
+                for (const existingFood of this.foodSources) {
+                    const distance = newFood.pos.subtract(existingFood.pos).magnitude();
+                    const minDistance = newFood.radius + existingFood.radius + 40; // 40px buffer
+                    if (distance < minDistance) {
+                        hasOverlap = true;
+                        break;
+                    }
+                }
+            }
+            
+            // Check for overlaps with nests
+            if (!hasOverlap) {
+                for (const nest of this.allNests()) {
+                    const distance = newFood.pos.subtract(new Vec(nest.x, nest.y)).magnitude();
+                    const minDistance = newFood.radius + nest.radius + 120; // Increased to 120px buffer
+                    if (distance < minDistance) {
+                        hasOverlap = true;
+                        break;
+                    }
+                }
+            }
+            
+            // If no overlaps, add the new food source
+            if (!hasOverlap) {
+                this.addFoodSource(newFood);
+                this.emit('foodRespawned', {
+                    foodId: newFood.id,
+                    x: newFood.pos.x,
+                    y: newFood.pos.y,
+                    type: newFood.type,
+                    amount: newFood.amount
+                });
+                this.log('debug', `New food source spawned at (${Math.floor(x)}, ${Math.floor(y)})`);
+                return;
+            }
+            
+            attempts++;
+        }
+        
+        this.log('warn', 'Could not find non-overlapping position for new food source');
+    }
+    
+    createDefaultLayout() {
+        // Create some random obstacles with overlap checking
+        for (let i = 0; i < 30; i++) {
+            let attempts = 0;
+            let obstacle = null;
+            
+            while (attempts < 100) {
+                obstacle = new Obstacle(
+                    this.rng.random() * (this.width - 200) + 100,
+                    this.rng.random() * (this.height - 200) + 100,
+                    this.rng
+                );
+                
+                // Check for overlaps with existing obstacles
+                let hasOverlap = false;
+                for (const existingObstacle of this.obstacles) {
+                    const distance = new Vec(obstacle.pos.x, obstacle.pos.y).subtract(existingObstacle.pos).magnitude();
+                    const minDistance = obstacle.baseRadius + existingObstacle.baseRadius + 20; // 20px buffer
+                    if (distance < minDistance) {
+                        hasOverlap = true;
+                        break;
+                    }
+                }
+                
+                if (!hasOverlap) {
+                    break;
+                }
+                attempts++;
+            }
+            
+            if (obstacle) {
+                this.obstacles.push(obstacle);
+            }
+        }
+        
+        // Create some random food sources with overlap checking
+        const numFoodSources = Math.floor(this.rng.random() * 3) + 4; // Random number between 4-6
+        for (let i = 0; i < numFoodSources; i++) {
+            let attempts = 0;
+            let food = null;
+            const type = this.nextFoodType();
+            
+            while (attempts < 100) {
+                food = new Food(
+                    this.rng.random() * (this.width - 200) + 100,
+                    this.rng.random() * (this.height - 200) + 100,
+                    this.rng,
+                    type
+                );
+                
+                // Check for overlaps with obstacles
+                let hasOverlap = false;
+                for (const obstacle of this.obstacles) {
+                    const distance = new Vec(food.pos.x, food.pos.y).subtract(obstacle.pos).magnitude();
+                    const minDistance = food.radius + obstacle.baseRadius + 30; // 30px buffer
+                    if (distance < minDistance) {
+                        hasOverlap = true;
+                        break;
+                    }
+                }
+                
+                // Check for overlaps with existing food sources
+                if (!hasOverlap) {
+                    for (const existingFood of this.foodSources) {
+                        const distance = new Vec(food.pos.x, food.pos.y).subtract(existingFood.pos).magnitude();
+                        const minDistance = food.radius + existingFood.radius + 20; // 20px buffer
+                        if (distance < minDistance) {
+                            hasOverlap = true;
+                            break;
+                        }
+                    }
+                }
+                
+                // Check distance from nest (avoid placing food too close to nest)
+                if (!hasOverlap) {
+                    const distanceFromNest = new Vec(food.pos.x, food.pos.y).subtract(new Vec(this.nest.x, this.nest.y)).magnitude();
+                    const minDistanceFromNest = food.radius + this.nest.radius + 400; // 400px buffer from nest
+                    if (distanceFromNest < minDistanceFromNest) {
+                        hasOverlap = true;
+                    }
+                }
+                
+                if (!hasOverlap) {
+                    break;
+                }
+                attempts++;
+            }
+            
+            if (food) {
+                this.addFoodSource(food);
+            }
+        }
+        
+        this.log('info', `Created default layout with ${this.obstacles.length} obstacles and ${this.foodSources.length} food sources`);
+    }
+    
+    initialize() {
+        // A preset may carry its own world size; otherwise the world keeps its size
+        const preset = this.currentPreset ? this.presets[this.currentPreset] : null;
+        if (preset && preset.world) {
+            this.applyWorldSize(preset.world);
+        }
+        
+        // Initialize pheromone field, keeping the registered channels, and match
+        // the colonies (and their channels) to colonyCount
+        this.pheromoneField = new PheromoneField(this.width, this.height, 6, this.pheromoneField.channelOptions());
+        this.setupColonies();
+        
+        // Load preset if specified
+        if (this.currentPreset && this.presets[this.currentPreset]) {
+            this.loadPreset(this.currentPreset);
+        } else {
+            // Create default random layout if no preset is loaded
+            this.createDefaultLayout();
+        }
+        
+        // Place every colony's nest, away from obstacles, food and the nests placed before it
+        for (const colony of this.colonies) {
+            this.placeNest(colony.nest, this.colonies.slice(0, colony.id).map(other => other.nest));
+            this.log('debug', `${colony.name} nest placed at (${colony.nest.x.toFixed(0)}, ${colony.nest.y.toFixed(0)})`);
+        }
+        
+        // Calculate nest capacity based on total food available
+        let totalFoodAvailable = 0;
+        for (const food of this.foodSources) {
+            totalFoodAvailable += food.originalAmount;
+        }
+        for (const { nest } of this.colonies) {
+            nest.maxCapacity = totalFoodAvailable;
+        }
+        this.log('info', `Loaded ${this.foodSources.length} food sources and ${this.obstacles.length} obstacles from preset`);
+        
+        this.populateColonies();
+        this.log('debug', `Created ${this.ants.length} ants around ${this.colonies.length} nest(s)`);
+        if (this.economy) {
+            this.provisionNests();
+        } else {
+            this.log('debug', `Nest capacity set to ${totalFoodAvailable} (total food available)`);
+        }
+        
+        this.log('info', `Initialized simulation with ${this.ants.length} ants`);
+        this.log('debug', `World size: ${this.width} x ${this.height}`);
+        if (this.ants.length > 0) {
+            this.log('debug', `First ant position: (${this.ants[0].position.x}, ${this.ants[0].position.y})`);
+        }
+        this.emit('initialized', {
+            antCount: this.ants.length,
+            foodSources: this.foodSources.length,
+            obstacles: this.obstacles.length
+        });
+    }
+    
+    // Move a nest to a free spot: the placement strategies below are tried in
+    // turn, falling back to the least crowded grid point
+    placeNest(nest, otherNests = []) {
+        const nestMargin = 100;
+        let nestPlaced = false;
+        
+        // Try multiple placement strategies
+        const placementStrategies = [
+            // Strategy 1: Center area
+            () => ({
+                x: this.width / 2 + (this.rng.random() - 0.5) * 200,
+                y: this.height / 2 + (this.rng.random() - 0.5) * 200
+            }),
+            // Strategy 2: Top-left area
+            () => ({
+                x: nestMargin + this.rng.random() * 200,
+                y: nestMargin + this.rng.random() * 200
+            }),
+            // Strategy 3: Top-right area
+            () => ({
+                x: this.width - nestMargin - this.rng.random() * 200,
+                y: nestMargin + this.rng.random() * 200
+            }),
+            // Strategy 4: Bottom-left area
+            () => ({
+                x: nestMargin + this.rng.random() * 200,
+                y: this.height - nestMargin - this.rng.random() * 200
+            }),
+            // Strategy 5: Bottom-right area
+            () => ({
+                x: this.width - nestMargin - this.rng.random() * 200,
+                y: this.height - nestMargin - this.rng.random() * 200
+            }),
+            // Strategy 6: Random position
+            () => ({
+                x: nestMargin + this.rng.random() * (this.width - 2 * nestMargin),
+                y: nestMargin + this.rng.random() * (this.height - 2 * nestMargin)
+            })
+        ];
+        
+        for (const strategy of placementStrategies) {
+            for (let attempt = 0; attempt < 50; attempt++) {
+                const pos = strategy();
+                
+                // Keep nest within bounds
+                nest.x = Math.max(nestMargin, Math.min(this.width - nestMargin, pos.x));
+                nest.y = Math.max(nestMargin, Math.min(this.height - nestMargin, pos.y));
+                
+                // Check for overlaps with obstacles
+                let hasOverlap = false;
+                for (const obstacle of this.obstacles) {
+                    const distance = new Vec(nest.x, nest.y).subtract(obstacle.pos).magnitude();
+                    const minDistance = nest.radius + obstacle.baseRadius + 80; // Increased buffer
+                    if (distance < minDistance) {
+                        hasOverlap = true;
+                        break;
+                    }
+                }
+                
+                // Check for overlaps with food sources
+                if (!hasOverlap) {
+                    for (const food of this.foodSources) {
+                        const distance = new Vec(nest.x, nest.y).subtract(food.pos).magnitude();
+                        const minDistance = nest.radius + food.radius + 120; // 120px buffer
+                        if (distance < minDistance) {
+                            hasOverlap = true;
+                            break;
+                        }
+                    }
+                }
+                
+                // Keep rival colonies apart
+                if (!hasOverlap) {
+                    for (const other of otherNests) {
+                        const distance = new Vec(nest.x, nest.y).subtract(new Vec(other.x, other.y)).magnitude();
+                        if (distance < nest.radius + other.radius + AntColonyModel.NEST_SPACING) {
+                            hasOverlap = true;
+                            break;
+                        }
+                    }
+                }
+                
+                if (!hasOverlap) {
+                    nestPlaced = true;
+                    this.log('debug', `Nest placed successfully using strategy ${placementStrategies.indexOf(strategy) + 1}`);
+                    break;
+                }
+            }
+            
+            if (nestPlaced) break;
+        }
+        
+        if (!nestPlaced) {
+            this.log('warn', 'Could not find non-overlapping nest position, using emergency placement');
+            // Emergency placement: find the least crowded area
+            let bestX = this.width / 2;
+            let bestY = this.height / 2;
+            let minOverlap = Infinity;
+            
+            for (let x = nestMargin; x < this.width - nestMargin; x += 50) {
+                for (let y = nestMargin; y < this.height - nestMargin; y += 50) {
+                    let totalOverlap = 0;
+                    
+                    for (const obstacle of this.obstacles) {
+                        const distance = new Vec(x, y).subtract(obstacle.pos).magnitude();
+                        const minDistance = nest.radius + obstacle.baseRadius;
+                        if (distance < minDistance) {
+                            totalOverlap += (minDistance - distance);
+                        }
+                    }
+                    for (const other of otherNests) {
+                        const distance = new Vec(x, y).subtract(new Vec(other.x, other.y)).magnitude();
+                        const minDistance = nest.radius + other.radius + AntColonyModel.NEST_SPACING;
+                        if (distance < minDistance) {
+                            totalOverlap += (minDistance - distance);
+                        }
+                    }
+                    
+                    if (totalOverlap < minOverlap) {
+                        minOverlap = totalOverlap;
+                        bestX = x;
+                        bestY = y;
+                    }
+                }
+            }
+            
+            nest.x = bestX;
+            nest.y = bestY;
+            this.log('warn', `Emergency nest placement at (${bestX}, ${bestY}) with ${minOverlap.toFixed(1)} overlap`);
+        }
+    }
+    
+    // The first colony's nest, for code and scripts that only know one colony
+    get nest() {
+        return this.colonies[0].nest;
+    }
+    
+    // Match this.colonies to colonyCount. Existing colonies keep their nest and
+    // stock; new ones start at the world centre until initialize() places them.
+    // The first colony lays the default 'home'/'food' trails, colony n lays
+    // 'home<n>'/'food<n>', and channels of removed colonies are dropped.
+    setupColonies() {
+        const maxColonies = AntColonyModel.COLONY_PALETTE.length;
+        const count = Math.max(1, Math.min(maxColonies, Math.floor(this.colonyCount) || 1));
+        if (count !== this.colonyCount) {
+            this.log('warn', `Colony count ${this.colonyCount} is out of range, using ${count} (1-${maxColonies})`);
+            this.colonyCount = count;
+        }
+        
+        this.colonies = this.colonies.slice(0, count);
+        for (let id = this.colonies.length; id < count; id++) {
+            this.colonies.push(this.createColony(id));
+        }
+        
+        const field = this.pheromoneField;
+        for (let id = 0; id < maxColonies; id++) {
+            for (const [role, name] of Object.entries(AntColonyModel.colonyChannels(id))) {
+                if (id < count && !field.hasChannel(name)) {
+                    field.addChannel(name, {
+                        ...PheromoneField.DEFAULT_CHANNELS[role],
+                        label: `${PheromoneField.DEFAULT_CHANNELS[role].label} (Colony ${id + 1})`,
+                        color: AntColonyModel.COLONY_PALETTE[id][`${role}Trail`]
+                    });
+                } else if (id >= count && id > 0 && field.hasChannel(name)) {
+                    field.removeChannel(name);
+                }
+            }
+        }
+        this.foodTrailChannels = this.colonies.map(colony => colony.channels.food);
+    }
+    
+    // Trail channels a colony lays: the defaults for the first, numbered ones after it
+    static colonyChannels(id) {
+        return id === 0 ? { home: 'home', food: 'food' } : { home: `home${id + 1}`, food: `food${id + 1}` };
+    }
+    
+    static createColonyStats() {
+        return { pickups: 0, deliveries: 0, wastedDeliveries: 0, foodDelivered: 0, foodEaten: 0, foodSpoiled: 0, births: 0, deaths: 0 };
+    }
+    
+    // Deep copy of a colony's plain data, as kept in snapshots (older ones lack brood and birth/death counts)
+    static copyColony(colony) {
+        return {
+            ...colony,
+            channels: { ...colony.channels },
+            nest: { ...colony.nest },
+            satellites: colony.satellites ? colony.satellites.map(nest => ({ ...nest })) : [],
+            brood: colony.brood ? colony.brood.slice() : [],
+            stats: { ...AntColonyModel.createColonyStats(), ...colony.stats }
+        };
+    }
+    
+    createColony(id) {
+        return {
+            id,
+            name: `Colony ${id + 1}`,
+            channels: AntColonyModel.colonyChannels(id),
+            nest: {
+                x: this.width / 2,
+                y: this.height / 2,
+                radius: 40,
+                foodStored: 0,
+                maxCapacity: 0, // Will be calculated based on total food available
+                efficiency: 1.0,
+                isFull: false,
+                // Economy mode (see ECONOMY): whether the last meal ran short, smoothed
+                // units per minute delivered (to any of the colony's nests) and spent,
+                // and the units delivered and spent since the last meal
+                isStarving: false,
+                income: 0,
+                burnRate: 0,
+                intake: 0,
+                spent: 0
+            },
+            satellites: [], // Extra nest entrances with their own stock (see addSatelliteNest)
+            brood: [], // Hatch times (simulated seconds) of the brood being raised, oldest first
+            stats: AntColonyModel.createColonyStats()
+        };
+    }
+    
+    resetNestStorage() {
+        for (const colony of this.colonies) {
+            Object.assign(colony.nest, { foodStored: 0, isFull: false, isStarving: false, income: 0, burnRate: 0, intake: 0, spent: 0 });
+            for (const nest of colony.satellites) {
+                nest.foodStored = 0;
+                nest.isFull = false;
+            }
+            colony.brood = [];
+        }
+    }
+    
+    // Ants per colony, indexed by colony id
+    countColonyAnts() {
+        const counts = this.colonies.map(() => 0);
+        for (const ant of this.ants) {
+            counts[ant.colonyId]++;
+        }
+        return counts;
+    }
+    
+    // Economy mode: size each nest for its colony and stock it with
+    // ECONOMY.startingRations minutes of food
+    provisionNests() {
+        const config = AntColonyModel.ECONOMY;
+        const counts = this.countColonyAnts();
+        for (const { id, nest } of this.colonies) {
+            nest.maxCapacity = config.baseCapacity + config.capacityPerAnt * counts[id];
+            nest.foodStored = Math.min(nest.maxCapacity, counts[id] * config.foodPerAntMinute * config.startingRations);
+            nest.isFull = nest.foodStored >= nest.maxCapacity;
+        }
+    }
+    
+    // Economy mode, once per simulated second: every colony's nest is resized to
+    // the colony, and the colony eats its ration from the nest and goes hungry if
+    // the stock runs short. Income and burn rate are smoothed over the last few seconds.
+    updateEconomy() {
+        const config = AntColonyModel.ECONOMY;
+        const counts = this.countColonyAnts();
+        for (const colony of this.colonies) {
+            const nest = colony.nest;
+            nest.maxCapacity = config.baseCapacity + config.capacityPerAnt * counts[colony.id];
+            this.spoilOverflow(colony, nest);
+            const ration = counts[colony.id] * config.foodPerAntMinute / 60;
+            const eaten = Math.min(nest.foodStored, ration);
+            nest.foodStored -= eaten;
+            nest.spent += eaten;
+            nest.isStarving = eaten < ration;
+            nest.isFull = nest.foodStored >= nest.maxCapacity;
+            nest.income += (nest.intake * 60 - nest.income) * config.smoothing;
+            nest.burnRate += (nest.spent * 60 - nest.burnRate) * config.smoothing;
+            nest.intake = 0;
+            nest.spent = 0;
+            this.stats.foodEaten += eaten;
+            colony.stats.foodEaten += eaten;
+        }
+        
+        // A hungry colony's ants tire; they refill when they reach food or bring some home
+        for (const ant of this.ants) {
+            if (ant.colony.nest.isStarving) {
+                ant.energy = Math.max(0, ant.energy - config.starvingEnergyLoss);
+            }
+        }
+    }
+    
+    // Food above a nest's capacity spoils: it leaves the stock and is counted
+    // and reported, so a nest never holds more than it has room for
+    spoilOverflow(colony, nest) {
+        const units = nest.foodStored - nest.maxCapacity;
+        if (units <= 0) return;
+        nest.foodStored = nest.maxCapacity;
+        this.stats.foodSpoiled += units;
+        colony.stats.foodSpoiled += units;
+        this.emit('foodSpoiled', { colonyId: colony.id, nestId: nest.id ?? null, units });
+    }
+    
+    // A colony's main nest followed by its satellites
+    colonyNests(colony) {
+        return [colony.nest, ...colony.satellites];
+    }
+    
+    allNests() {
+        return this.colonies.flatMap(colony => this.colonyNests(colony));
+    }
+    
+    // Food stored over all of a colony's nests
+    colonyStock(colony) {
+        return this.colonyNests(colony).reduce((total, nest) => total + nest.foodStored, 0);
+    }
+    
+    // Storage room over all of a colony's nests
+    colonyCapacity(colony) {
+        return this.colonyNests(colony).reduce((total, nest) => total + nest.maxCapacity, 0);
+    }
+    
+    // The colony's nest with this id; null (or an id that is gone) means the main nest
+    findNest(colony, nestId) {
+        return colony.satellites.find(nest => nest.id === nestId) || colony.nest;
+    }
+    
+    // Nest a loaded ant at pos heads for. 'nearest' takes the closest nest with
+    // room; 'leastFull' the one with the lowest share of its capacity used,
+    // nearest first on ties. A colony with only its main nest always uses it.
+    chooseNest(colony, pos) {
+        if (colony.satellites.length === 0) return colony.nest;
+        const distance = nest => Math.hypot(nest.x - pos.x, nest.y - pos.y);
+        const fill = nest => nest.foodStored / Math.max(1, nest.maxCapacity);
+        const nests = this.colonyNests(colony);
+        const open = nests.filter(nest => !nest.isFull);
+        const candidates = open.length > 0 ? open : nests;
+        const score = this.nestChoice === 'leastFull'
+            ? (a, b) => fill(a) - fill(b) || distance(a) - distance(b)
+            : (a, b) => distance(a) - distance(b);
+        return candidates.reduce((best, nest) => score(nest, best) < 0 ? nest : best);
+    }
+    
+    // Add a satellite nest entrance to a colony. It stores up to
+    // NEST_NETWORK.satelliteCapacity and shares food with the main nest (see
+    // updateNestNetwork). Returns the new nest.
+    addSatelliteNest(colonyId, x, y) {
+        const colony = this.colonies[colonyId];
+        const nest = {
+            id: this.nextNestId++,
+            x: 0,
+            y: 0,
+            radius: 30,
+            foodStored: 0,
+            maxCapacity: AntColonyModel.NEST_NETWORK.satelliteCapacity,
+            efficiency: 1.0,
+            isFull: false
+        };
+        colony.satellites.push(nest);
+        this.moveNest(x, y, colonyId, nest.id);
+        this.emit('nestAdded', { colonyId, nestId: nest.id, x: nest.x, y: nest.y });
+        return nest;
+    }
+    
+    // Remove a satellite nest; its stock moves to the main nest (what does not
+    // fit there spoils) and ants heading for it go to the main nest instead
+    removeSatelliteNest(colonyId, nestId) {
+        const colony = this.colonies[colonyId];
+        const index = colony.satellites.findIndex(nest => nest.id === nestId);
+        if (index < 0) return;
+        const [nest] = colony.satellites.splice(index, 1);
+        colony.nest.foodStored += nest.foodStored;
+        this.spoilOverflow(colony, colony.nest);
+        colony.nest.isFull = colony.nest.foodStored >= colony.nest.maxCapacity;
+        this.emit('nestRemoved', { colonyId, nestId, foodStored: nest.foodStored });
+    }
+    
+    // Once per simulated second: porters carry food between each satellite and
+    // its main nest until both are equally full, up to NEST_NETWORK.transferRate
+    // units per link, and mark the route on the colony's home trail
+    updateNestNetwork() {
+        const config = AntColonyModel.NEST_NETWORK;
+        for (const colony of this.colonies) {
+            if (colony.satellites.length === 0) continue;
+            const main = colony.nest;
+            const nests = this.colonyNests(colony);
+            const capacity = nests.reduce((total, nest) => total + nest.maxCapacity, 0);
+            const share = capacity > 0 ? this.colonyStock(colony) / capacity : 0;
+            for (const nest of colony.satellites) {
+                // Positive moves food out to the satellite, negative back to the main nest
+                let transfer = share * nest.maxCapacity - nest.foodStored;
+                transfer = Math.max(-config.transferRate, Math.min(config.transferRate, transfer));
+                transfer = Math.max(-nest.foodStored, Math.min(main.foodStored, transfer));
+                if (Math.abs(transfer) < 1) continue;
+                nest.foodStored += transfer;
+                main.foodStored -= transfer;
+                nest.isFull = nest.foodStored >= nest.maxCapacity;
+                main.isFull = main.foodStored >= main.maxCapacity;
+                
+                const strength = config.trailDeposit * Math.abs(transfer) / config.transferRate;
+                const length = Math.hypot(nest.x - main.x, nest.y - main.y);
+                const steps = Math.ceil(length / this.pheromoneField.cell);
+                for (let i = 0; i <= steps; i++) {
+                    const t = i / Math.max(1, steps);
+                    this.addPheromone(new Vec(main.x + (nest.x - main.x) * t, main.y + (nest.y - main.y) * t), colony.channels.home, strength);
+                }
+            }
+        }
+    }
+    
+    // Scoreboard rows, best stocked colony first
+    getColonyStandings() {
+        const antCounts = this.countColonyAnts();
+        return this.colonies
+            .map(colony => ({
+                id: colony.id,
+                name: colony.name,
+                ants: antCounts[colony.id],
+                nests: 1 + colony.satellites.length,
+                foodStored: this.colonyStock(colony),
+                ...colony.stats
+            }))
+            .sort((a, b) => b.foodStored - a.foodStored || a.id - b.id);
+    }
+    
+    // Food trail channels an ant of this colony follows
+    foodTrailsFor(colony) {
+        return this.followForeignTrails ? this.foodTrailChannels : colony.channels.food;
+    }
+    
+    // Keep the known castes with a positive share; an empty mix falls back to foragers
+    normalizeCasteMix(mix) {
+        const normalized = {};
+        for (const [caste, share] of Object.entries(mix)) {
+            if (!AntColonyModel.CASTES[caste]) {
+                this.log('warn', `Ignoring unknown caste '${caste}' (expected one of: ${Object.keys(AntColonyModel.CASTES).join(', ')})`);
+            } else if (share > 0) {
+                normalized[caste] = share;
+            }
+        }
+        return Object.keys(normalized).length > 0 ? normalized : { forager: 1 };
+    }
+    
+    // Keep the known food types with a positive share; an empty mix falls back to sugar
+    normalizeFoodMix(mix) {
+        const normalized = {};
+        for (const [type, share] of Object.entries(mix)) {
+            if (!AntColonyModel.FOOD_TYPES[type]) {
+                this.log('warn', `Ignoring unknown food type '${type}' (expected one of: ${Object.keys(AntColonyModel.FOOD_TYPES).join(', ')})`);
+            } else if (share > 0) {
+                normalized[type] = share;
+            }
+        }
+        return Object.keys(normalized).length > 0 ? normalized : { sugar: 1 };
+    }
+    
+    // Type for the next random food source: the one furthest below its share
+    // of foodMix. Deterministic, so it leaves the RNG sequence alone.
+    nextFoodType() {
+        const counts = {};
+        for (const food of this.foodSources) {
+            counts[food.type] = (counts[food.type] || 0) + 1;
+        }
+        
+        const totalShare = Object.values(this.foodMix).reduce((total, share) => total + share, 0);
+        const sourceCount = this.foodSources.length + 1; // Including the new source
+        let best = null;
+        let bestDeficit = -Infinity;
+        for (const [type, share] of Object.entries(this.foodMix)) {
+            const deficit = share / totalShare * sourceCount - (counts[type] || 0);
+            if (deficit > bestDeficit) {
+                best = type;
+                bestDeficit = deficit;
+            }
+        }
+        return best;
+    }
+    
+    // Caste for a colony's next ant: the one furthest below its share of
+    // casteMix. Deterministic, so it leaves the RNG sequence alone.
+    nextCaste(colonyId) {
+        const counts = {};
+        let colonySize = 1; // Including the new ant
+        for (const ant of this.ants) {
+            if (ant.colonyId !== colonyId) continue;
+            counts[ant.caste] = (counts[ant.caste] || 0) + 1;
+            colonySize++;
+        }
+        
+        const totalShare = Object.values(this.casteMix).reduce((total, share) => total + share, 0);
+        let best = null;
+        let bestDeficit = -Infinity;
+        for (const [caste, share] of Object.entries(this.casteMix)) {
+            const deficit = share / totalShare * colonySize - (counts[caste] || 0);
+            if (deficit > bestDeficit) {
+                best = caste;
+                bestDeficit = deficit;
+            }
+        }
+        return best;
+    }
+    
+    // Create antCount ants shared round-robin between the colonies, spread
+    // around their nests and pointing in varied directions
+    populateColonies() {
+        this.ants = [];
+        const colonyCount = this.colonies.length;
+        const perColony = Math.ceil(this.antCount / colonyCount);
+        for (let i = 0; i < this.antCount; i++) {
+            const colony = this.colonies[i % colonyCount];
+            const slot = Math.floor(i / colonyCount);
+            
+            // Create ants in a wider area around the nest
+            let validPosition = false;
+            let attempts = 0;
+            let x, y;
+            
+            while (!validPosition && attempts < 50) {
+                const angle = (slot / perColony) * Math.PI * 2 + this.rng.random() * 0.5;
+                const distance = 15 + this.rng.random() * 10;
+                x = colony.nest.x + Math.cos(angle) * distance;
+                y = colony.nest.y + Math.sin(angle) * distance;
+                
+                // Check if position is not inside any obstacle
+                validPosition = true;
+                for (const obstacle of this.obstacles) {
+                    const rep = obstacle.repulse(new Vec(x, y));
+                    if (rep.dist < 5) { // Minimum safe distance from obstacles
+                        validPosition = false;
+                        break;
+                    }
+                }
+                attempts++;
+            }
+            
+            this.ants.push(new Ant(x, y, this, colony.id, this.nextCaste(colony.id)));
+        }
+        
+        // Give ants varied initial directions
+        for (const ant of this.ants) {
+            // Point ants in different directions based on their position
+            const nest = ant.colony.nest;
+            const angleToNest = ant.position.subtract(new Vec(nest.x, nest.y)).angle();
+            ant.velocity = new Vec(Math.cos(angleToNest + (this.rng.random() - 0.5) * Math.PI), 
+                                 Math.sin(angleToNest + (this.rng.random() - 0.5) * Math.PI)).multiply(2);
+        }
+    }
+    
+    updateAntCount() {
+        const currentCount = this.ants.length;
+        if (this.antCount > currentCount) {
+            // Add more ants with proper initialization, each to the smallest colony
+            const colonySizes = this.colonies.map(() => 0);
+            for (const ant of this.ants) {
+                colonySizes[ant.colonyId]++;
+            }
+            for (let i = currentCount; i < this.antCount; i++) {
+                const colony = this.colonies[colonySizes.indexOf(Math.min(...colonySizes))];
+                colonySizes[colony.id]++;
+                this.addAntAtNest(colony);
+            }
+        } else if (this.antCount < currentCount) {
+            // Remove ants
+            this.ants = this.ants.slice(0, this.antCount);
+        }
+    }
+    
+    // New ant of the colony just outside its nest, clear of obstacles
+    addAntAtNest(colony) {
+        let validPosition = false;
+        let attempts = 0;
+        let x, y;
+        
+        while (!validPosition && attempts < 50) {
+            const angle = this.rng.random() * Math.PI * 2;
+            const distance = 15 + this.rng.random() * 10;
+            x = colony.nest.x + Math.cos(angle) * distance;
+            y = colony.nest.y + Math.sin(angle) * distance;
+            
+            // Check if position is not inside any obstacle
+            validPosition = true;
+            for (const obstacle of this.obstacles) {
+                const rep = obstacle.repulse(new Vec(x, y));
+                if (rep.dist < 5) { // Minimum safe distance from obstacles
+                    validPosition = false;
+                    break;
+                }
+            }
+            attempts++;
+        }
+        
+        const newAnt = new Ant(x, y, this, colony.id, this.nextCaste(colony.id));
+        newAnt.velocity = Vec.random(this.rng).multiply(2);
+        this.ants.push(newAnt);
+        return newAnt;
+    }
+    
+    // Lifecycle mode, once per tick: hatch brood that finished developing, let
+    // each nest start new brood while its stock pays for them, and fade graves.
+    // Deaths happen in Ant.update().
+    updateLifecycle() {
+        const config = AntColonyModel.LIFECYCLE;
+        const time = this.clock.time;
+        let broodCount = 0;
+        for (const colony of this.colonies) {
+            while (colony.brood.length > 0 && colony.brood[0] <= time) {
+                colony.brood.shift();
+                const ant = this.addAntAtNest(colony);
+                this.stats.births++;
+                colony.stats.births++;
+                this.emit('antHatched', { antId: ant.id, colonyId: colony.id, caste: ant.caste });
+            }
+            broodCount += colony.brood.length;
+        }
+        
+        if (this.clock.tick % config.broodInterval === 0) {
+            for (const colony of this.colonies) {
+                const nest = colony.nest;
+                if (nest.foodStored < config.broodCost || this.ants.length + broodCount >= this.maxAnts) continue;
+                nest.foodStored -= config.broodCost;
+                nest.spent += config.broodCost;
+                nest.isFull = nest.foodStored >= nest.maxCapacity;
+                colony.brood.push(time + config.broodTime);
+                broodCount++;
+            }
+        }
+        
+        while (this.graves.length > 0 && time - this.graves[0].time > config.graveDuration) {
+            this.graves.shift();
+        }
+    }
+    
+    // User edits go through applyInput() so a replay can re-apply them at the same tick:
+    //   { type: 'moveFood', foodId, x, y }, { type: 'moveObstacle', index, x, y },
+    //   { type: 'dragObstacle', index, dragging },
+    //   { type: 'moveNest', x, y, colonyId, nestId }, { type: 'setAntCount', antCount },
+    //   { type: 'addNest', colonyId, x, y }, { type: 'removeNest', colonyId, nestId },
+    //   { type: 'setNestChoice', choice },
+    //   { type: 'setColonyTemperament', temperament },
+    //   { type: 'setFollowForeignTrails', follow }, { type: 'setLifecycle', enabled }
+    applyInput(input) {
+        switch (input.type) {
+            case 'moveFood': {
+                const food = this.foodSources.find(f => f.id === input.foodId);
+                if (food) this.moveFood(food, input.x, input.y);
+                break;
+            }
+            case 'dragObstacle': {
+                // Ants are swept along by an obstacle only while it is held
+                const obstacle = this.obstacles[input.index];
+                if (obstacle) obstacle.isBeingDragged = input.dragging;
+                break;
+            }
+            case 'moveObstacle': {
+                const obstacle = this.obstacles[input.index];
+                if (obstacle) this.moveObstacle(obstacle, new Vec(input.x, input.y));
+                break;
+            }
+            case 'moveNest': {
+                // colonyId is optional; inputs recorded before colonies move the first nest
+                // and nestId is only set for satellite nests
+                const colony = this.colonies[input.colonyId ?? 0];
+                if (colony) this.moveNest(input.x, input.y, colony.id, input.nestId ?? null);
+                break;
+            }
+            case 'addNest':
+                if (this.colonies[input.colonyId]) this.addSatelliteNest(input.colonyId, input.x, input.y);
+                break;
+            case 'removeNest':
+                if (this.colonies[input.colonyId]) this.removeSatelliteNest(input.colonyId, input.nestId);
+                break;
+            case 'setNestChoice':
+                if (!AntColonyModel.NEST_CHOICES.includes(input.choice)) {
+                    throw new Error(`Unknown nest choice '${input.choice}' (expected one of: ${AntColonyModel.NEST_CHOICES.join(', ')})`);
+                }
+                this.nestChoice = input.choice;
+                break;
+            case 'setAntCount':
+                this.antCount = input.antCount;
+                this.updateAntCount();
+                break;
+            case 'setColonyTemperament':
+                if (!AntColonyModel.TEMPERAMENTS.includes(input.temperament)) {
+                    throw new Error(`Unknown colony temperament '${input.temperament}' (expected one of: ${AntColonyModel.TEMPERAMENTS.join(', ')})`);
+                }
+                this.colonyTemperament = input.temperament;
+                break;
+            case 'setFollowForeignTrails':
+                this.followForeignTrails = Boolean(input.follow);
+                break;
+            case 'setLifecycle':
+                this.lifecycle = Boolean(input.enabled);
+                break;
+            default:
+                throw new Error(`Unknown input type '${input.type}'`);
+        }
+        this.emit('input', { input });
+    }
+    
+    moveFood(food, x, y) {
+        // Keep food within world bounds
+        food.pos.x = Math.max(food.radius, Math.min(this.width - food.radius, x));
+        food.pos.y = Math.max(food.radius, Math.min(this.height - food.radius, y));
+    }
+    
+    moveObstacle(obstacle, newPos) {
+        const offset = newPos.subtract(obstacle.pos);
+        const oldPos = obstacle.pos.clone();
+        
+        // Update lastPos before changing current position
+        obstacle.lastPos = obstacle.pos.clone();
+        obstacle.pos = newPos;
+        
+        // Sweep ants even when simulation is paused
+        this.sweepAntsFromMovingObstacle(obstacle);
+        
+        // Translate blob points instead of regenerating to prevent spinning
+        if (obstacle.blob) {
+            for (let point of obstacle.blob) {
+                point.x += offset.x;
+                point.y += offset.y;
+            }
+        }
+        
+        // Sweep ants away from the moving obstacle path (not just final position)
+        this.sweepAntsFromObstaclePath(obstacle, newPos);
+        
+        // Additional check for ants that might have been missed during movement
+        const movementDistance = offset.magnitude();
+        if (movementDistance > 5) { // Only for significant movements
+            // Check intermediate points along the movement path
+            const steps = Math.ceil(movementDistance / 5); // Check every 5 pixels
+            for (let i = 1; i <= steps; i++) {
+                const t = i / steps;
+                const intermediatePos = oldPos.add(offset.multiply(t));
+                this.sweepAntsFromObstaclePath(obstacle, intermediatePos);
+            }
+        }
+    }
+    
+    moveNest(x, y, colonyId = 0, nestId = null) {
+        // Keep nest within world bounds (with some margin)
+        const nest = this.findNest(this.colonies[colonyId], nestId);
+        const nestMargin = 35;
+        nest.x = Math.max(nestMargin, Math.min(this.width - nestMargin, x));
+        nest.y = Math.max(nestMargin, Math.min(this.height - nestMargin, y));
+    }
+    
+    // Register a pheromone channel; it survives initialize() and is saved in snapshots
+    addPheromoneChannel(name, options = {}) {
+        return this.pheromoneField.addChannel(name, options);
+    }
+    
+    addPheromone(pos, type, strength, successBonus = 1) {
+        this.pheromoneField.deposit(pos, type, strength, successBonus);
+    }
+    
+    getPheromoneLevel(pos, type) {
+        return this.pheromoneField.sample(pos, type);
+    }
+    
+    getPheromoneGradient(pos, type) {
+        return this.pheromoneField.gradient(pos, type);
+    }
+    
+    // New realistic antennae-like pheromone detection. `type` is a channel name
+    // or a list of channels whose levels add up (e.g. every colony's food
+    // trail); detectionRange is the antennae reach, set by the ant's caste.
+    // Repellent at a sample point is subtracted from the attractive signal
+    // there. With `trace` set the samples and the outcome are kept in
+    // antennaeTrace for the debug overlay.
+    getAntennaePheromoneDirection(pos, type, antVelocity = null, trace = false, detectionRange = 80) {
+        const noiseLevel = 0.3; // Add realistic noise to sensing
+        const types = Array.isArray(type) ? type : [type];
+        const traceType = types.join('+');
+        
+        // Sample pheromone levels in a forward-facing cone
+        const samples = [];
+        const currentAngle = antVelocity ? antVelocity.angle() : 0;
+        
+        // Sample in a 120-degree cone in front of the ant
+        for (let angle = -Math.PI/3; angle <= Math.PI/3; angle += Math.PI/12) {
+            const sampleAngle = currentAngle + angle;
+            const samplePos = new Vec(
+                pos.x + Math.cos(sampleAngle) * detectionRange,
+                pos.y + Math.sin(sampleAngle) * detectionRange
+            );
+            
+            // Add noise to the sample position
+            const noiseX = (this.rng.random() - 0.5) * noiseLevel * detectionRange;
+            const noiseY = (this.rng.random() - 0.5) * noiseLevel * detectionRange;
+            samplePos.x += noiseX;
+            samplePos.y += noiseY;
+            
+            let level = 0;
+            for (const name of types) {
+                level += this.getPheromoneLevel(samplePos, name);
+            }
+            const strength = Math.max(0, level - this.getPheromoneLevel(samplePos, 'repellent'));
+            const distance = pos.subtract(samplePos).magnitude();
+            
+            // Apply distance falloff (like real antennae)
+            const falloff = Math.max(0, 1 - distance / detectionRange);
+            const adjustedStrength = strength * falloff;
+            
+            samples.push({
+                pos: samplePos,
+                strength: adjustedStrength,
+                angle: sampleAngle
+            });
+        }
+        
+        // Find the strongest pheromone direction
+        let strongestSample = samples[0];
+        for (const sample of samples) {
+            if (sample.strength > strongestSample.strength) {
+                strongestSample = sample;
+            }
+        }
+        
+        // If no significant pheromone detected, return null
+        if (strongestSample.strength < 0.5) {
+            if (trace) this.recordAntennaeTrace(pos, traceType, currentAngle, detectionRange, samples, strongestSample, null);
+            return null;
+        }
+        
+        // Return direction toward strongest pheromone with some noise
+        const direction = strongestSample.pos.subtract(pos).normalize();
+        const noiseAngle = (this.rng.random() - 0.5) * noiseLevel;
+        const noisyDirection = new Vec(
+            Math.cos(direction.angle() + noiseAngle),
+            Math.sin(direction.angle() + noiseAngle)
+        );
+        
+        if (trace) this.recordAntennaeTrace(pos, traceType, currentAngle, detectionRange, samples, strongestSample, noisyDirection);
+        return {
+            direction: noisyDirection,
+            strength: strongestSample.strength
+        };
+    }
+    
+    // Plain-data record of one antennae sweep (see traceAntennaeFor)
+    recordAntennaeTrace(pos, type, heading, range, samples, strongest, direction) {
+        this.antennaeTrace = {
+            tick: this.clock.tick,
+            type,
+            x: pos.x,
+            y: pos.y,
+            heading,
+            range,
+            spread: Math.PI / 3, // Half-angle of the cone
+            samples: samples.map(sample => ({ x: sample.pos.x, y: sample.pos.y, strength: sample.strength })),
+            strongest: samples.indexOf(strongest),
+            direction: direction ? { x: direction.x, y: direction.y } : null
+        };
+    }
+    
+    updatePheromones() {
+        this.pheromoneField.step(this.evaporationRate, this.diffusionRate);
+    }
+    
+    update() {
+        // Check if simulation is paused
+        if (this.isPaused) {
+            return; // Don't update anything when paused
+        }
+        
+        this.clock.advance();
+        
+        // Update all ants and remove dead ones
+        this.ants = this.ants.filter(ant => {
+            ant.update();
+            return ant.isAlive; // Keep only alive ants
+        });
+        
+        // Continuous collision check to prevent ants from getting trapped inside obstacles
+        this.checkAndFixTrappedAnts();
+        
+        // Ants are immortal unless lifecycle mode is on; then brood replace the dead
+        if (this.lifecycle) {
+            this.updateLifecycle();
+        }
+        // Once a second satellites share food with their main nest, then colonies eat
+        if (this.clock.tick % 60 === 0) {
+            this.updateNestNetwork();
+            if (this.economy) {
+                this.updateEconomy();
+            }
+        }
+        
+        // Regrow renewable food sources, remove depleted ones and spawn new ones
+        for (let i = this.foodSources.length - 1; i >= 0; i--) {
+            const food = this.foodSources[i];
+            if (food.regrows) {
+                food.regrow(this.clock.dt);
+                continue;
+            }
+            
+            // Remove depleted food sources
+            if (food.isDepleted()) {
+                this.foodSources.splice(i, 1);
+                this.emit('foodDepleted', { foodId: food.id, x: food.pos.x, y: food.pos.y });
+                this.log('debug', `Food source ${food.id} depleted and removed`);
+                
+                // Spawn a new food source at random location
+                this.spawnNewFoodSource();
+            }
+        }
+        
+        // Diffuse and evaporate pheromones
+        this.updatePheromones();
+        
+        // Sample colony metrics
+        this.metrics.update();
+        this.emit('tick');
+        
+        // Debug: Log ant movement every 60 frames (1 second at 60fps)
+        if (this.clock.tick % 60 === 0 && this.ants.length > 0) {
+            this.log('debug', `Tick ${this.clock.tick}: First ant at (${Math.floor(this.ants[0].position.x)}, ${Math.floor(this.ants[0].position.y)})`);
+        }
+    }
+
+    resetStats() {
+        this.stats = {
+            pickups: 0,
+            deliveries: 0,
+            wastedDeliveries: 0,
+            foodDelivered: 0,
+            foodEaten: 0, // Economy mode: stored food the colonies ate
+            foodSpoiled: 0, // ... and stored food that no longer fit its nest
+            births: 0, // Lifecycle mode: brood hatched and ants died
+            deaths: 0,
+            totalTripTime: 0, // Simulated seconds summed over completed trips
+            totalTripDistance: 0 // Pixels walked summed over completed trips
+        };
+        for (const colony of this.colonies) {
+            colony.stats = AntColonyModel.createColonyStats();
+        }
+    }
+    
+    // Sampled metrics as flat CSV rows; each food source gets a food_<id> column
+    // and each pheromone channel a pheromone<Name> column (e.g. pheromoneHome)
+    getMetricsCsv() {
+        const foodIds = new Set();
+        const channelNames = new Set();
+        for (const sample of this.metrics.samples) {
+            Object.keys(sample.foodRemaining).forEach(id => foodIds.add(id));
+            Object.keys(sample.pheromone).forEach(name => channelNames.add(name));
+        }
+        const foodColumns = [...foodIds].sort((a, b) => a - b).map(id => `food_${id}`);
+        const pheromoneColumn = name => `pheromone${name.charAt(0).toUpperCase()}${name.slice(1)}`;
+        const columns = [
+            'schemaVersion', 'tick', 'time', 'foodDelivered', 'deliveries', 'foodStored', 'efficiency',
+            'carrying', 'exploring', 'escaping', ...[...channelNames].map(pheromoneColumn),
+            'totalFoodRemaining', ...foodColumns
+        ];
+        const rows = this.metrics.samples.map(sample => {
+            const row = {
+                ...sample,
+                schemaVersion: RUN_EXPORT_SCHEMA_VERSION
+            };
+            for (const [name, total] of Object.entries(sample.pheromone)) {
+                row[pheromoneColumn(name)] = total;
+            }
+            for (const [id, amount] of Object.entries(sample.foodRemaining)) {
+                row[`food_${id}`] = amount;
+            }
+            return row;
+        });
+        return toCsv(columns, rows);
+    }
+    
+    // Event log as CSV; event-specific fields share columns and are blank when unused
+    getEventsCsv() {
+        const columns = ['schemaVersion', 'type', 'tick', 'time'];
+        for (const event of this.runLog.events) {
+            for (const key of Object.keys(event)) {
+                if (!columns.includes(key)) columns.push(key);
+            }
+        }
+        const rows = this.runLog.events.map(event => ({ ...event, schemaVersion: RUN_EXPORT_SCHEMA_VERSION }));
+        return toCsv(columns, rows);
+    }
+    
+    // Whole recorded history (parameters, metrics and events) as one JSON-ready object
+    getRunExport() {
+        return {
+            schemaVersion: RUN_EXPORT_SCHEMA_VERSION,
+            seed: this.seed,
+            world: { width: this.width, height: this.height },
+            parameters: {
+                antCount: this.antCount,
+                evaporationRate: this.evaporationRate,
+                diffusionRate: this.diffusionRate,
+                foodTrailDeposit: this.foodTrailDeposit,
+                homeTrailDeposit: this.homeTrailDeposit,
+                alarmDeposit: this.alarmDeposit,
+                repellentDeposit: this.repellentDeposit,
+                colonyTemperament: this.colonyTemperament,
+                colonyCount: this.colonyCount,
+                followForeignTrails: this.followForeignTrails,
+                casteMix: { ...this.casteMix },
+                foodMix: { ...this.foodMix },
+                lifecycle: this.lifecycle,
+                economy: this.economy,
+                nestChoice: this.nestChoice,
+                metricsInterval: this.metrics.interval,
+                pheromoneChannels: this.pheromoneField.channelOptions()
+            },
+            tick: this.clock.tick,
+            time: this.clock.time,
+            stats: { ...this.stats },
+            colonies: this.getColonyStandings(),
+            metrics: this.metrics.samples,
+            events: this.runLog.events
+        };
+    }
+    
+    // Advance the model by a number of ticks and return the resulting state
+    step(ticks = 1) {
+        for (let i = 0; i < ticks; i++) {
+            this.update();
+        }
+        return this.getState();
+    }
+    
+    // Plain-data view of the current state (safe to JSON.stringify)
+    getState() {
+        return {
+            seed: this.seed,
+            tick: this.clock.tick,
+            time: this.clock.time,
+            width: this.width,
+            height: this.height,
+            nest: {
+                x: this.nest.x,
+                y: this.nest.y,
+                radius: this.nest.radius,
+                foodStored: this.nest.foodStored,
+                maxCapacity: this.nest.maxCapacity,
+                efficiency: this.nest.efficiency,
+                isFull: this.nest.isFull,
+                isStarving: this.nest.isStarving,
+                income: this.nest.income,
+                burnRate: this.nest.burnRate
+            },
+            colonies: this.colonies.map(colony => ({
+                id: colony.id,
+                name: colony.name,
+                nest: { ...colony.nest },
+                satellites: colony.satellites.map(nest => ({ ...nest })),
+                brood: colony.brood.length,
+                stats: { ...colony.stats }
+            })),
+            graves: this.graves.map(grave => ({ ...grave })),
+            stats: { ...this.stats },
+            ants: this.ants.map(ant => ({
+                colonyId: ant.colonyId,
+                caste: ant.caste,
+                x: ant.position.x,
+                y: ant.position.y,
+                vx: ant.velocity.x,
+                vy: ant.velocity.y,
+                hasFood: ant.hasFood,
+                energy: ant.energy,
+                escapeMode: ant.escapeMode
+            })),
+            foodSources: this.foodSources.map(food => ({
+                type: food.type,
+                x: food.pos.x,
+                y: food.pos.y,
+                radius: food.radius,
+                amount: food.amount,
+                originalAmount: food.originalAmount
+            })),
+            obstacles: this.obstacles.map(obstacle => ({
+                x: obstacle.pos.x,
+                y: obstacle.pos.y,
+                radius: obstacle.baseRadius
+            }))
+        };
+    }
+    
+    // Complete serializable state - loading it with loadSnapshot() resumes the
+    // run exactly, including the RNG position, pheromone grids and ant paths
+    createSnapshot() {
+        return {
+            format: 'ant-colony-snapshot',
+            schemaVersion: SNAPSHOT_SCHEMA_VERSION,
+            seed: this.seed,
+            fixedSeed: this.fixedSeed,
+            rngState: this.rng.state,
+            width: this.width,
+            height: this.height,
+            parameters: {
+                antCount: this.antCount,
+                evaporationRate: this.evaporationRate,
+                diffusionRate: this.diffusionRate,
+                foodCount: this.foodCount,
+                foodTrailDeposit: this.foodTrailDeposit,
+                homeTrailDeposit: this.homeTrailDeposit,
+                alarmDeposit: this.alarmDeposit,
+                repellentDeposit: this.repellentDeposit,
+                colonyTemperament: this.colonyTemperament,
+                colonyCount: this.colonyCount,
+                followForeignTrails: this.followForeignTrails,
+                casteMix: { ...this.casteMix },
+                foodMix: { ...this.foodMix },
+                lifecycle: this.lifecycle,
+                economy: this.economy,
+                nestChoice: this.nestChoice
+            },
+            currentPreset: this.currentPreset,
+            tick: this.clock.tick,
+            isPaused: this.isPaused,
+            nextFoodId: this.nextFoodId,
+            nextAntId: this.nextAntId,
+            nextNestId: this.nextNestId,
+            colonies: this.colonies.map(colony => AntColonyModel.copyColony(colony)),
+            stats: { ...this.stats },
+            graves: this.graves.map(grave => ({ ...grave })),
+            metrics: { interval: this.metrics.interval, samples: this.metrics.samples },
+            events: this.runLog.events,
+            pheromones: this.pheromoneField.toSnapshot(),
+            obstacles: this.obstacles.map(obstacle => obstacle.toSnapshot()),
+            foodSources: this.foodSources.map(food => food.toSnapshot()),
+            ants: this.ants.map(ant => ant.toSnapshot())
+        };
+    }
+    
+    // Replace the whole model state with a snapshot from createSnapshot()
+    loadSnapshot(snapshot) {
+        if (!snapshot || snapshot.format !== 'ant-colony-snapshot') {
+            throw new Error('Not an ant colony snapshot');
+        }
+        if (snapshot.schemaVersion !== SNAPSHOT_SCHEMA_VERSION) {
+            throw new Error(`Unsupported snapshot schema version ${snapshot.schemaVersion} (expected ${SNAPSHOT_SCHEMA_VERSION})`);
+        }
+        
+        this.seed = snapshot.seed;
+        this.fixedSeed = snapshot.fixedSeed;
+        this.rng = new SeededRandom(snapshot.seed);
+        this.rng.state = snapshot.rngState;
+        
+        this.width = snapshot.width;
+        this.height = snapshot.height;
+        Object.assign(this, snapshot.parameters);
+        this.currentPreset = snapshot.currentPreset;
+        
+        this.clock.reset();
+        this.clock.tick = snapshot.tick;
+        this.clock.time = snapshot.tick * this.clock.dt;
+        this.isPaused = snapshot.isPaused;
+        this.nextFoodId = snapshot.nextFoodId;
+        this.nextAntId = snapshot.nextAntId;
+        this.nextNestId = snapshot.nextNestId ?? 1;
+        
+        this.colonies = snapshot.colonies.map(colony => AntColonyModel.copyColony(colony));
+        for (const { nest } of this.colonies) {
+            // Older snapshots predate the colony economy
+            nest.isStarving = nest.isStarving ?? false;
+            nest.income = nest.income ?? 0;
+            nest.burnRate = nest.burnRate ?? 0;
+            nest.intake = nest.intake ?? 0;
+            nest.spent = nest.spent ?? 0;
+        }
+        this.foodTrailChannels = this.colonies.map(colony => colony.channels.food);
+        // Older snapshots predate the economy and lifecycle counts
+        this.stats = { ...snapshot.stats, foodEaten: snapshot.stats.foodEaten ?? 0, foodSpoiled: snapshot.stats.foodSpoiled ?? 0, births: snapshot.stats.births ?? 0, deaths: snapshot.stats.deaths ?? 0 };
+        this.graves = (snapshot.graves || []).map(grave => ({ ...grave }));
+        this.metrics.interval = snapshot.metrics.interval;
+        this.metrics.samples = snapshot.metrics.samples.slice();
+        this.runLog.events = snapshot.events.slice();
+        this.pheromoneField = PheromoneField.fromSnapshot(snapshot.pheromones);
+        
+        // Rebuild objects without running their constructors, which would draw from the RNG
+        this.obstacles = snapshot.obstacles.map(data => Obstacle.fromSnapshot(data, this.rng));
+        this.foodSources = snapshot.foodSources.map(data => Food.fromSnapshot(data, this.rng));
+        this.ants = snapshot.ants.map(data => Ant.fromSnapshot(data, this));
+        
+        this.log('info', `Loaded snapshot at tick ${this.clock.tick} with ${this.ants.length} ants`);
+        this.emit('snapshotLoaded', { antCount: this.ants.length });
+    }
+}
+
+// How ants respond to alarm pheromone: 'flee' steers away from it, 'cluster'
+// gathers ants at the disturbance
+AntColonyModel.TEMPERAMENTS = ['flee', 'cluster'];
+
+// One entry per possible colony: ant colors (exploring / carrying food) and the
+// colors of its home and food trails. The first colony's trails are the default
+// 'home' and 'food' channels.
+AntColonyModel.COLONY_PALETTE = [
+    { color: '#3a6d36', carryingColor: '#b03030', homeTrail: '#292e28', foodTrail: '#732626' },
+    { color: '#3f78c0', carryingColor: '#9fcbf5', homeTrail: '#232b38', foodTrail: '#2c5a96' },
+    { color: '#c7782e', carryingColor: '#f5cf8f', homeTrail: '#352a20', foodTrail: '#96561c' },
+    { color: '#2f9a93', carryingColor: '#98e8df', homeTrail: '#1f3331', foodTrail: '#1c7069' }
+];
+
+// Minimum clearance between rival nests when placing them
+AntColonyModel.NEST_SPACING = 150;
+
+// Per-caste traits: cruising speed and speed while carrying (px/tick), turn
+// limit (radians/tick), antennae reach and visual range for food (px), trail
+// deposit multiplier and food units carried per trip. Soldiers also head for
+// alarm pheromone whatever the colony temperament, and nurses turn back once
+// they are homeRange px from their nest. casteMix picks the proportions;
+// foragers reproduce the original single ant type.
+AntColonyModel.CASTES = {
+    forager: { label: 'Forager', speed: 3.0, carryingSpeed: 2.5, turnRate: 0.3, antennaeRange: 80, visualRange: 200, depositScale: 1, capacity: 1 },
+    scout: { label: 'Scout', speed: 3.6, carryingSpeed: 3.0, turnRate: 0.4, antennaeRange: 110, visualRange: 280, depositScale: 0.6, capacity: 1 },
+    soldier: { label: 'Soldier', speed: 2.2, carryingSpeed: 1.8, turnRate: 0.2, antennaeRange: 70, visualRange: 160, depositScale: 1.5, capacity: 3, defends: true },
+    nurse: { label: 'Nurse', speed: 2.4, carryingSpeed: 2.0, turnRate: 0.3, antennaeRange: 60, visualRange: 120, depositScale: 0.8, capacity: 1, homeRange: 200 }
+};
+
+// Lifecycle mode: energy an ant burns per pixel walked (it refills at food and
+// at the nest), food units a nest spends on one brood, ticks between new brood
+// per nest, simulated seconds from brood to ant, and how long graves stay visible
+AntColonyModel.LIFECYCLE = {
+    energyPerPixel: 0.02,
+    broodCost: 5,
+    broodInterval: 30,
+    broodTime: 20,
+    graveDuration: 20
+};
+
+// Economy mode: food units each ant eats per simulated minute, nest capacity
+// before and per ant, the minutes of food a fresh nest starts with, energy a
+// starving colony's ants lose per second, the speed they keep while starving,
+// and the weight of each new second in the smoothed income and burn rate
+AntColonyModel.ECONOMY = {
+    foodPerAntMinute: 2,
+    baseCapacity: 100,
+    capacityPerAnt: 10,
+    startingRations: 1,
+    starvingEnergyLoss: 2,
+    starvingSpeedFactor: 0.7,
+    smoothing: 0.1
+};
+
+// Where a loaded ant of a colony with satellite nests delivers: the nearest
+// nest with room, or the nest with the lowest share of its capacity used
+AntColonyModel.NEST_CHOICES = ['nearest', 'leastFull'];
+
+// Satellite nests: food units each one stores, units porters move per second
+// between it and the main nest, and the home trail laid along that route when
+// a full load moves
+AntColonyModel.NEST_NETWORK = {
+    satelliteCapacity: 300,
+    transferRate: 5,
+    trailDeposit: 4
+};
+
+// Food source types: recruitment weight (scales the food trail laid by ants
+// carrying it, and how strongly a visible source draws explorers), starting
+// units, radius range (px), units taken per unit of caste capacity, seconds an
+// ant spends at the source before heading home, and units regrown per second
+// (a source that regrows never vanishes). foodMix picks the proportions of
+// random sources; sugar reproduces the original single food type.
+AntColonyModel.FOOD_TYPES = {
+    sugar: { label: 'Sugar', quality: 1, amount: 500, minRadius: 20, radiusRange: 10, unitsPerPickup: 1, handlingTime: 0, regrowthRate: 0, color: '#a03939' },
+    protein: { label: 'Protein', quality: 2, amount: 200, minRadius: 14, radiusRange: 8, unitsPerPickup: 1, handlingTime: 1.5, regrowthRate: 0, color: '#b0643a' },
+    seeds: { label: 'Seeds', quality: 0.6, amount: 600, minRadius: 24, radiusRange: 12, unitsPerPickup: 2, handlingTime: 0.5, regrowthRate: 2, color: '#a8913f' }
+};
+
+// Obstacle class with blob-based collision detection
+class Obstacle {
+    constructor(x, y, rng = Math) {
+        this.rng = rng;
+        this.pos = new Vec(x, y);
+        this.lastPos = new Vec(x, y); // Track previous position for sweeping
+        this.isBeingDragged = false;
+        this.baseRadius = 30 + this.rng.random() * 30;
+        this.blob = makeBlob(x, y, this.baseRadius, 0.2, 18, this.rng);
+    }
+    
+    randomize(w, h) {
+        this.pos = new Vec(this.rng.random() * (w * 0.7) + w * 0.15, this.rng.random() * (h * 0.7) + h * 0.15);
+        this.baseRadius = 30 + this.rng.random() * 30;
+        this.blob = makeBlob(this.pos.x, this.pos.y, this.baseRadius, 0.2, 18, this.rng);
+    }
+    
+    toSnapshot() {
+        return encodeSnapshotValue({ pos: this.pos, lastPos: this.lastPos, isBeingDragged: this.isBeingDragged, baseRadius: this.baseRadius, blob: this.blob });
+    }
+    
+    static fromSnapshot(data, rng = Math) {
+        const obstacle = Object.create(Obstacle.prototype);
+        Object.assign(obstacle, decodeSnapshotValue(data));
+        obstacle.isBeingDragged = obstacle.isBeingDragged ?? false; // Older snapshots predate the drag state
+        obstacle.rng = rng;
+        return obstacle;
+    }
+    
+    draw(ctx) {
+        ctx.save();
+        const pts = this.blob;
+        if (pts.length) {
+            const mid = (a, b) => new Vec((a.x + b.x) / 2, (a.y + b.y) / 2);
+            let prev = pts[pts.length - 1];
+            let cur = pts[0];
+            
+            // Draw shadow first
+            ctx.save();
+            ctx.shadowColor = 'rgba(0, 0, 0, 0.3)';
+            ctx.shadowBlur = 8;
+            ctx.shadowOffsetX = 3;
+            ctx.shadowOffsetY = 3;
+            ctx.fillStyle = 'rgba(50, 50, 50, 0.95)';
+            ctx.beginPath();
+            ctx.moveTo((prev.x + cur.x) / 2, (prev.y + cur.y) / 2);
+            for (let i = 0; i < pts.length; i++) {
+                const next = pts[(i + 1) % pts.length];
+                const c = pts[i];
+                const m = mid(c, next);
+                ctx.quadraticCurveTo(c.x, c.y, m.x, m.y);
+            }
+            ctx.closePath();
+            ctx.fill();
+            ctx.restore();
+            
+            // Draw main fill
+            ctx.fillStyle = 'rgba(50, 50, 50, 0.95)';
+            ctx.beginPath();
+            ctx.moveTo((prev.x + cur.x) / 2, (prev.y + cur.y) / 2);
+            for (let i = 0; i < pts.length; i++) {
+                const next = pts[(i + 1) % pts.length];
+                const c = pts[i];
+                const m = mid(c, next);
+                ctx.quadraticCurveTo(c.x, c.y, m.x, m.y);
+            }
+            ctx.closePath();
+            ctx.fill();
+            
+            // Draw brighter outline
+            ctx.strokeStyle = 'rgba(80, 80, 80, 0.8)';
+            ctx.lineWidth = 2;
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+    
+    repulse(pos) {
+        if (!this.blob || this.blob.length === 0) {
+            return { vec: new Vec(0, 0), dist: Infinity };
+        }
+        
+        let minDist = Infinity;
+        let closest = null;
+        
+        // Check distance to each edge of the blob
+        for (let i = 0; i < this.blob.length; i++) {
+            const a = this.blob[i];
+            const b = this.blob[(i + 1) % this.blob.length];
+            const cp = closestOnSeg(a, b, pos);
+            const d = pos.subtract(cp).magnitude();
+            if (d < minDist) {
+                minDist = d;
+                closest = cp;
+            }
+        }
+        
+        if (!closest) return { vec: new Vec(0, 0), dist: Infinity };
+        
+        const away = pos.subtract(closest);
+        const mag = away.magnitude();
+        
+        if (mag < 0.1) {
+            // If too close, pick a random direction away from center
+            const centerAway = pos.subtract(this.pos);
+            if (centerAway.magnitude() > 0.1) {
+                return { vec: centerAway.normalize(), dist: 0 };
+            } else {
+                return { vec: Vec.random(this.rng), dist: 0 };
+            }
+        }
+        
+        // No buffer - use actual distance for accurate collision detection
+        const adjustedDist = minDist;
+        
+        return { vec: away.normalize(), dist: adjustedDist };
+    }
+}
+
+// Enhanced Food class with better visual representation
+class Food {
+    constructor(x, y, rng = Math, type = 'sugar') {
+        this.rng = rng;
+        this.type = type; // Key of AntColonyModel.FOOD_TYPES
+        this.pos = new Vec(x, y);
+        this.amount = this.traits.amount;
+        this.radius = this.traits.minRadius + this.rng.random() * this.traits.radiusRange;
+        this.originalAmount = this.amount;
+        this.id = null; // Assigned by the model when the source is added
+    }
+    
+    get traits() {
+        return AntColonyModel.FOOD_TYPES[this.type];
+    }
+    
+    // Sources that regrow stay in the world when they run out
+    get regrows() {
+        return this.traits.regrowthRate > 0;
+    }
+    
+    randomize(w, h, avoid) {
+        this.pos = new Vec(this.rng.random() * (w * 0.7) + w * 0.15, this.rng.random() * (h * 0.7) + h * 0.15);
+        if (avoid && this.pos.subtract(avoid.pos).magnitude() < 120) {
+            this.pos = new Vec(this.rng.random() * (w * 0.7) + w * 0.15, this.rng.random() * (h * 0.7) + h * 0.15);
+        }
+        this.amount = this.traits.amount;
+        this.radius = this.traits.minRadius + this.rng.random() * this.traits.radiusRange;
+        this.originalAmount = this.amount;
+    }
+    
+    // Take up to `units` whole units from the source if pos is on it; returns the units taken
+    containsAndTake(pos, units = 1) {
+        if (this.isDepleted()) return 0;
+        const d = pos.subtract(this.pos).magnitude();
+        if (d < this.radius) {
+            const taken = Math.min(units, Math.floor(this.amount));
+            this.amount -= taken;
+            return taken;
+        }
+        return 0;
+    }
+    
+    // Grow back towards the starting amount over dt simulated seconds
+    regrow(dt) {
+        this.amount = Math.min(this.originalAmount, this.amount + this.traits.regrowthRate * dt);
+    }
+    
+    toSnapshot() {
+        return encodeSnapshotValue({
+            id: this.id,
+            type: this.type,
+            pos: this.pos,
+            amount: this.amount,
+            radius: this.radius,
+            originalAmount: this.originalAmount
+        });
+    }
+    
+    static fromSnapshot(data, rng = Math) {
+        const food = Object.create(Food.prototype);
+        Object.assign(food, decodeSnapshotValue(data));
+        food.type = food.type ?? 'sugar'; // Older snapshots predate food types
+        food.rng = rng;
+        return food;
+    }
+    
+    // Less than a whole unit left: nothing to pick up
+    isDepleted() {
+        return this.amount < 1;
+    }
+    
+    draw(ctx) {
+        ctx.save();
+        ctx.translate(this.pos.x, this.pos.y);
+        
+        const fraction = Math.max(0, Math.min(1, this.amount / this.originalAmount));
+        
+        // Draw shadow
+        ctx.save();
+        ctx.shadowColor = 'rgba(0, 0, 0, 0.4)';
+        ctx.shadowBlur = 8;
+        ctx.shadowOffsetX = 3;
+        ctx.shadowOffsetY = 3;
+        
+        // Draw food background (depleted area) with shadow
+        ctx.globalAlpha = 0.3;
+        ctx.fillStyle = this.traits.color;
+        ctx.beginPath();
+        ctx.arc(0, 0, this.radius, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.globalAlpha = 1;
+        
+        // Draw food amount (filled area) with shadow
+        if (fraction > 0) {
+            const startAngle = -Math.PI / 2;
+            const endAngle = startAngle + Math.PI * 2 * fraction;
+            ctx.fillStyle = this.traits.color;
+            ctx.beginPath();
+            ctx.moveTo(0, 0);
+            ctx.arc(0, 0, this.radius, startAngle, endAngle);
+            ctx.closePath();
+            ctx.fill();
+        }
+        ctx.restore();
+        
+        // A source that regrows gets a dashed rim
+        if (this.regrows) {
+            ctx.save();
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+            ctx.lineWidth = 1.5;
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            ctx.arc(0, 0, this.radius + 3, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.restore();
+        }
+        
+        // Draw the type icon above the source with shadow
+        ctx.save();
+        ctx.shadowColor = 'rgba(0, 0, 0, 0.3)';
+        ctx.shadowBlur = 4;
+        ctx.shadowOffsetX = 1;
+        ctx.shadowOffsetY = 1;
+        this.drawTypeIcon(ctx);
+        ctx.restore();
+        
+        // Draw amount text with shadow
+        ctx.save();
+        ctx.shadowColor = 'rgba(0, 0, 0, 0.6)';
+        ctx.shadowBlur = 2;
+        ctx.shadowOffsetX = 1;
+        ctx.shadowOffsetY = 1;
+        ctx.fillStyle = '#fff';
+        ctx.font = '700 16px system-ui';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(Math.floor(this.amount).toString(), 0, 0);
+        ctx.restore();
+        
+        ctx.restore();
+    }
+    
+    // Sugar: a fruit stem and leaf; protein: a drumstick; seeds: three seeds
+    drawTypeIcon(ctx) {
+        const top = -this.radius;
+        if (this.type === 'protein') {
+            ctx.strokeStyle = '#f1e6d2';
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.moveTo(2, top - 5);
+            ctx.lineTo(8, top - 11);
+            ctx.stroke();
+            ctx.fillStyle = '#7a3b1e';
+            ctx.beginPath();
+            ctx.ellipse(-1, top - 3, 6, 4, -Math.PI / 4, 0, Math.PI * 2);
+            ctx.fill();
+        } else if (this.type === 'seeds') {
+            ctx.fillStyle = '#6b5424';
+            for (const [dx, angle] of [[-6, -0.5], [0, 0], [6, 0.5]]) {
+                ctx.beginPath();
+                ctx.ellipse(dx, top - 6, 2.5, 4.5, angle, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        } else {
+            // Stem
+            ctx.fillStyle = '#5a3d1b';
+            ctx.fillRect(-2, top - 7, 4, 7);
+            
+            // Leaf
+            ctx.fillStyle = '#4f7d4f';
+            ctx.beginPath();
+            ctx.ellipse(-this.radius * 0.25 - 1, top - 9, this.radius * 0.3, this.radius * 0.12, Math.PI / 5, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+}
+
+class Ant {
+    constructor(x, y, simulation, colonyId = 0, caste = 'forager') {
+        this.position = new Vec(x, y);
+        this.velocity = Vec.random(simulation.rng).multiply(2);
+        this.simulation = simulation;
+        this.id = simulation.nextAntId++;
+        this.colonyId = colonyId; // Index into simulation.colonies
+        this.caste = caste; // Key of AntColonyModel.CASTES
+        this.hasFood = false;
+        this.load = 0; // Food units carried, up to the caste's capacity
+        this.loadQuality = 1; // Quality of the food type carried, scales the food trail laid
+        this.handlingUntil = 0; // Simulated time the ant is done handling food at a source
+        this.path = [];
+        this.tripStartTime = simulation.clock.time; // Simulated seconds
+        this.tripDistance = 0; // Pixels walked since tripStartTime
+        this.tripsCompleted = 0; // Deliveries made to the nest
+        this.targetNestId = null; // Satellite nest the ant delivers its load to (null: the main nest)
+        this.momentum = new Vec(0, 0);
+        this.lastFoodTime = 0;
+        this.targetFood = null;
+        this.maxSpeed = this.traits.speed;
+        this.maxTurnRate = this.traits.turnRate; // Radians per frame
+        
+        // Lifecycle properties
+        this.birthTime = simulation.clock.time;
+        this.age = 0; // Simulated seconds lived while lifecycle mode was on
+        this.lifespan = 300 + (simulation.rng.random() - 0.5) * 120; // 5 minutes ± 1 minute randomly
+        this.isAlive = true;
+        this.energy = 100; // Energy level (0-100), drained by walking in lifecycle mode
+        this.deathTime = null;
+        
+        // Trapped ant escape mode properties
+        this.stuckTime = 0;
+        this.lastPosition = this.position.clone();
+        this.stuckThreshold = 120; // 2 seconds at 60fps
+        this.isStuck = false;
+        this.escapeMode = false;
+        this.escapeStartTime = 0;
+        this.escapeDuration = 5; // Simulated seconds
+        this.escapeAttempts = 0;
+        this.maxEscapeAttempts = 5;
+        this.lastAlarmTick = null; // Tick of the last alarmRaised event
+        
+        // Enhanced trapped detection
+        this.progressHistory = []; // Track progress toward goal
+        this.progressThreshold = 30; // Reduced threshold for faster detection
+        this.trappedTime = 0; // Simulated seconds without progress
+        this.trappedThreshold = 45; // 90 progress checks of 0.5 seconds each
+        this.isTrapped = false;
+        this.initialDistanceToGoal = 0; // Distance to goal when starting
+        this.lastProgressCheckTick = simulation.clock.tick;
+        this.progressCheckInterval = 30; // Check progress every 30 ticks (0.5 seconds)
+    }
+    
+    get colony() {
+        return this.simulation.colonies[this.colonyId];
+    }
+    
+    get traits() {
+        return AntColonyModel.CASTES[this.caste];
+    }
+    
+    // Nest the ant carries food to, chosen when it picks the food up
+    get targetNest() {
+        return this.simulation.findNest(this.colony, this.targetNestId);
+    }
+    
+    // What the ant is doing, for inspection: escaping a trap, carrying food home, or exploring
+    get state() {
+        if (this.escapeMode) return 'escaping';
+        return this.hasFood ? 'returning' : 'exploring';
+    }
+    
+    update() {
+        const rng = this.simulation.rng;
+        const traced = this.simulation.traceAntennaeFor === this.id;
+        if (traced) {
+            this.simulation.antennaeTrace = null;
+        }
+        
+        // In lifecycle mode ants age and die of old age or exhaustion (otherwise
+        // they are immortal and ageless, so switching the mode on mid-run is safe)
+        if (this.simulation.lifecycle) {
+            this.age += this.simulation.clock.dt;
+            if (this.age > this.lifespan || this.energy <= 0) {
+                this.die(this.energy <= 0 ? 'exhaustion' : 'age');
+                return;
+            }
+        }
+        
+        // Still cutting up or gathering its load at the source
+        if (this.simulation.clock.time < this.handlingUntil) {
+            return;
+        }
+        
+        // Slow down when energy is low
+        const energyFactor = Math.max(0.3, this.energy / 100);
+        this.maxSpeed = this.traits.speed * energyFactor;
+        
+        let direction = new Vec(0, 0);
+        
+        if (this.hasFood) {
+            // Returning to nest
+            let targetNest = this.targetNest;
+            const directToNest = new Vec(targetNest.x, targetNest.y).subtract(this.position).normalize();
+            const homeGrad = this.simulation.getPheromoneGradient(this.position, this.colony.channels.home);
+            const homeStrength = this.simulation.getPheromoneLevel(this.position, this.colony.channels.home);
+            
+            // Calculate distance to nest
+            const nestDistance = this.position.subtract(new Vec(targetNest.x, targetNest.y)).magnitude();
+            
+                    // Check if in escape mode
+            if (this.escapeMode) {
+                // Check if escape mode should end (after 5 seconds)
+                const escapeElapsed = this.simulation.clock.time - this.escapeStartTime;
+                if (escapeElapsed > this.escapeDuration) {
+                    this.escapeMode = false;
+                    this.simulation.emit('antEscaped', { antId: this.id });
+                    this.simulation.log('debug', `Ant exited escape mode after timeout`);
+                } else {
+                    // Escape mode: move away from nest with much stronger random component
+                    const awayFromNest = directToNest.multiply(-1); // Opposite direction
+                    direction = awayFromNest.multiply(0.1).add(Vec.random(rng).multiply(0.9)); // 90% random movement
+                    
+                    // Skip pheromone deposition for escape mode
+                    this.skipPheromoneDeposition = true;
+                }
+            }
+            
+            if (nestDistance < 100) {
+                // Close to nest - more direct approach but still with some randomness
+                const directBias = Math.min(0.8, (100 - nestDistance) / 100);
+                direction = directToNest.multiply(directBias).add(Vec.random(rng).multiply(1 - directBias));
+                    } else {
+                // Far from nest - use realistic home trail detection
+                const homePheromoneInfo = this.simulation.getAntennaePheromoneDirection(this.position, this.colony.channels.home, this.velocity, traced, this.traits.antennaeRange);
+                
+                if (homePheromoneInfo && homePheromoneInfo.strength > 0.5) {
+                    // Follow home trail with strength-based attraction
+                    const attractionStrength = Math.min(2, homePheromoneInfo.strength);
+                    direction = homePheromoneInfo.direction.multiply(attractionStrength);
+                    
+                    // Blend with direct path to nest
+                    direction = direction.add(directToNest.multiply(0.5));
+                } else {
+                    // No home trail - go directly toward nest with some randomness
+                    direction = directToNest.multiply(0.7).add(Vec.random(rng).multiply(0.3));
+                }
+            }
+            
+            // Clear momentum when returning to reduce circling
+            this.momentum = this.momentum.multiply(0.3);
+            
+            // Deposit food trail with enhanced success tracking (skip if in escape mode)
+            if (!this.skipPheromoneDeposition) {
+            const tripDuration = this.simulation.clock.time - this.tripStartTime;
+            const efficiency = Math.max(1, 3 - tripDuration / 10); // Faster trips get higher bonus
+            const successBonus = efficiency * (1 + this.path.length * 0.01); // Longer paths get slightly more bonus
+            // Better food recruits harder: the trail is scaled by the quality carried
+            this.simulation.addPheromone(this.position, this.colony.channels.food, this.simulation.foodTrailDeposit * this.traits.depositScale * this.loadQuality, successBonus);
+            }
+            this.skipPheromoneDeposition = false; // Reset flag
+            
+        } else {
+            // Exploring - simplified realistic pheromone following
+            let nearestFood = null;
+            let nearestDist = Infinity;
+            
+            // Check for visible food first, preferring better food over nearer food
+            const visualRange = this.traits.visualRange;
+            let bestScore = Infinity;
+            for (const f of this.simulation.foodSources) {
+                if (!f.isDepleted()) {
+                    const dist = this.position.subtract(f.pos).magnitude();
+                    const score = dist / f.traits.quality;
+                    if (score < bestScore && dist < visualRange) {
+                        bestScore = score;
+                        nearestDist = dist;
+                        nearestFood = f;
+                    }
+                }
+            }
+            
+            // Check if in escape mode
+            if (this.escapeMode) {
+                // Check if escape mode should end (after 5 seconds)
+                const escapeElapsed = this.simulation.clock.time - this.escapeStartTime;
+                if (escapeElapsed > this.escapeDuration) {
+                    this.escapeMode = false;
+                    this.simulation.emit('antEscaped', { antId: this.id });
+                    this.simulation.log('debug', `Ant exited escape mode after timeout`);
+                } else {
+                    // Escape mode: move randomly with slight bias away from food
+                    if (nearestFood) {
+                        const awayFromFood = nearestFood.pos.subtract(this.position).normalize().multiply(-1);
+                        direction = awayFromFood.multiply(0.2).add(Vec.random(rng).multiply(0.8));
+                    } else {
+                        direction = Vec.random(rng);
+                    }
+                    
+                    // Skip pheromone deposition for escape mode
+                    this.skipPheromoneDeposition = true;
+                }
+            }
+            
+            if (nearestFood) {
+                // More natural approach to visible food
+                const directToFood = nearestFood.pos.subtract(this.position).normalize();
+                
+                // Blend direct path with some randomness for more natural movement
+                const directBias = Math.min(0.8, (visualRange - nearestDist) / visualRange); // Closer = more direct
+                direction = directToFood.multiply(directBias).add(Vec.random(rng).multiply(1 - directBias));
+                
+                // Add some urgency when very close, but not straight-line rushing
+                if (nearestDist < 30) {
+                    direction = direction.multiply(1.2);
+                }
+            } else {
+                // Use realistic antennae-like pheromone detection
+                const pheromoneInfo = this.simulation.getAntennaePheromoneDirection(this.position, this.simulation.foodTrailsFor(this.colony), this.velocity, traced, this.traits.antennaeRange);
+                
+                if (pheromoneInfo && pheromoneInfo.strength > 0.5) {
+                    // Follow pheromone trail with strength-based attraction
+                    const attractionStrength = Math.min(3, pheromoneInfo.strength);
+                    direction = pheromoneInfo.direction.multiply(attractionStrength);
+                    
+                    // Add some exploration randomness
+                    direction = direction.add(Vec.random(rng).multiply(0.3));
+                } else {
+                    // No pheromones detected - explore randomly
+                    direction = Vec.random(rng).multiply(1.0).add(this.momentum.multiply(0.4));
+                }
+            }
+            
+            // Deposit home trail with exploration bonus (skip if in escape mode)
+            if (!this.skipPheromoneDeposition) {
+            const explorationBonus = Math.min(2, this.path.length * 0.02); // Longer exploration gets bonus
+            this.simulation.addPheromone(this.position, this.colony.channels.home, this.simulation.homeTrailDeposit * this.traits.depositScale, 1 + explorationBonus);
+            }
+            this.skipPheromoneDeposition = false; // Reset flag
+            
+            // Nurses stay near the brood: past their home range they turn back
+            const homeRange = this.traits.homeRange;
+            if (homeRange) {
+                const toNest = new Vec(this.colony.nest.x, this.colony.nest.y).subtract(this.position);
+                if (toNest.magnitude() > homeRange) {
+                    direction = direction.add(toNest.normalize().multiply(2));
+                }
+            }
+        }
+        
+        // React to nearby alarm pheromone (escaping ants are busy getting out)
+        if (!this.escapeMode) {
+            const alarmResponse = this.getAlarmResponse();
+            if (alarmResponse) {
+                direction = direction.add(alarmResponse);
+            }
+        }
+        
+        // Obstacle avoidance - optimized for high-density environments
+        let totalAvoidForce = new Vec(0, 0);
+        let avoidCount = 0;
+        
+        for (const obstacle of this.simulation.obstacles) {
+            const rep = obstacle.repulse(this.position);
+            if (rep.dist < 12) { // Slightly reduced detection range
+                const avoidForce = Math.max(0.5, 2 / (rep.dist + 0.1)); // Reduced force for smoother movement
+                totalAvoidForce = totalAvoidForce.add(rep.vec.multiply(avoidForce));
+                avoidCount++;
+            }
+        }
+        
+        // Apply averaged avoidance force for smoother movement
+        if (avoidCount > 0) {
+            totalAvoidForce = totalAvoidForce.multiply(1 / avoidCount); // Average the forces
+            direction = direction.add(totalAvoidForce.multiply(0.8)); // Reduced influence
+        }
+        
+        // Normalize direction
+        if (direction.magnitude() > 0) {
+            direction = direction.normalize();
+        } else {
+            direction = Vec.random(rng);
+        }
+        
+        // Apply momentum - increased for stability
+        const momentumStrength = this.hasFood ? 0.4 : 0.5; // Increased red ant momentum for stability
+        this.momentum = this.momentum.multiply(0.7).add(direction.multiply(0.3));
+        direction = direction.multiply(1 - momentumStrength).add(this.momentum.multiply(momentumStrength));
+        direction = direction.normalize();
+        
+        // Smoother turning - copy red ant behavior
+        if (this.velocity.magnitude() > 0) {
+            const currentDir = this.velocity.normalize();
+            const maxTurn = this.hasFood ? this.maxTurnRate : this.maxTurnRate + 0.1; // Exploring ants turn a little more freely
+            const dot = Math.max(-1, Math.min(1, currentDir.dot(direction)));
+            const angle = Math.acos(dot);
+            
+            if (angle > maxTurn) {
+                const t = maxTurn / angle;
+                direction = currentDir.multiply(1-t).add(direction.multiply(t)).normalize();
+            }
+        }
+
+        // Apply smooth velocity changes with momentum - copy red ant behavior
+        let targetSpeed = this.hasFood ? this.traits.carryingSpeed : this.traits.speed; // Loaded ants walk slower
+        if (this.colony.nest.isStarving) {
+            targetSpeed *= AntColonyModel.ECONOMY.starvingSpeedFactor;
+        }
+        const acceleration = 0.1;
+        
+        // Gradually adjust velocity toward target direction and speed
+        const currentSpeed = this.velocity.magnitude();
+        const speedDiff = targetSpeed - currentSpeed;
+        const speedChange = Math.sign(speedDiff) * Math.min(Math.abs(speedDiff), acceleration);
+        
+        // Smoothly rotate toward target direction
+        if (this.velocity.magnitude() > 0.1) {
+            const currentAngle = this.velocity.angle();
+            const targetAngle = direction.angle();
+            let angleDiff = targetAngle - currentAngle;
+            
+            // Handle angle wrapping
+            if (angleDiff > Math.PI) angleDiff -= Math.PI * 2;
+            if (angleDiff < -Math.PI) angleDiff += Math.PI * 2;
+            
+            // Limit turn rate
+            const maxTurn = this.maxTurnRate;
+            if (Math.abs(angleDiff) > maxTurn) {
+                angleDiff = Math.sign(angleDiff) * maxTurn;
+            }
+            
+            const newAngle = currentAngle + angleDiff;
+            this.velocity = new Vec(Math.cos(newAngle), Math.sin(newAngle)).multiply(currentSpeed + speedChange);
+        } else {
+            // If velocity is too small, set it directly
+            this.velocity = direction.multiply(targetSpeed);
+        }
+        
+        // Limit maximum speed to prevent tunneling
+        const maxAllowedSpeed = this.maxSpeed * 1.5; // Allow some extra speed for emergency situations
+        if (this.velocity.magnitude() > maxAllowedSpeed) {
+            this.velocity = this.velocity.normalize().multiply(maxAllowedSpeed);
+        }
+
+        // Calculate new position
+        let newPos = this.position.add(this.velocity);
+        
+        // Obstacle collision detection - smoother for high-density environments
+        for (const obstacle of this.simulation.obstacles) {
+            const rep = obstacle.repulse(newPos);
+            if (rep.dist < 3) { // Reduced collision range for smoother movement
+                // Smoother bounce off obstacle
+                this.velocity = rep.vec.multiply(1.0); // Reduced bounce force
+                newPos = this.position.add(this.velocity);
+                break;
+            }
+        }
+        
+        // Emergency: Throw out ants that are inside obstacles
+        for (const obstacle of this.simulation.obstacles) {
+            const rep = obstacle.repulse(this.position);
+            if (rep.dist < 0.5) { // Ant is inside obstacle
+                // Calculate safe position outside obstacle
+                const safeDistance = obstacle.baseRadius + 10; // 10px buffer
+                const awayDirection = rep.vec.normalize();
+                const safePosition = new Vec(
+                    obstacle.pos.x + awayDirection.x * safeDistance,
+                    obstacle.pos.y + awayDirection.y * safeDistance
+                );
+                
+                // Teleport ant to safe position with strong velocity away from obstacle
+                this.position = safePosition;
+                this.velocity = awayDirection.multiply(4.0); // Strong escape velocity
+                
+                this.simulation.log('debug', `Emergency: Ant thrown out of obstacle!`);
+                break;
+            }
+        }
+        
+        // Obstacle sweeping: Move ants along with obstacles when being dragged
+        for (const obstacle of this.simulation.obstacles) {
+            if (obstacle.isBeingDragged && obstacle.lastPos) {
+                const rep = obstacle.repulse(this.position);
+                const sweepRange = obstacle.baseRadius + 15; // Sweep ants within this range
+                
+                if (rep.dist < sweepRange) {
+                    // Calculate obstacle movement
+                    const obstacleMovement = obstacle.pos.subtract(obstacle.lastPos);
+                    const movementMagnitude = obstacleMovement.magnitude();
+                    
+                    if (movementMagnitude > 0.1) { // Only sweep if obstacle actually moved
+                        this.raiseAlarm('swept');
+                        
+                        // Calculate sweep force based on distance from obstacle center
+                        const distanceFactor = Math.max(0, (sweepRange - rep.dist) / sweepRange);
+                        const sweepForce = distanceFactor * 0.8; // Gentle sweeping force
+                        
+                        // Apply obstacle movement to ant position
+                        const sweptMovement = obstacleMovement.multiply(sweepForce);
+                        this.position = this.position.add(sweptMovement);
+                        
+                        // Also add some velocity in the direction of movement
+                        const sweepVelocity = obstacleMovement.normalize().multiply(sweepForce * 2.0);
+                        this.velocity = this.velocity.add(sweepVelocity);
+                        
+                        // Limit velocity to prevent excessive speed
+                        if (this.velocity.magnitude() > 6.0) {
+                            this.velocity = this.velocity.normalize().multiply(6.0);
+                        }
+                    }
+                }
+            }
+        }
+        
+        // Improved boundary bouncing with energy loss
+        const bounceDamping = 0.8;
+        const margin = 10;
+        
+        if (newPos.x < margin) {
+            newPos.x = margin;
+            this.velocity.x = Math.abs(this.velocity.x) * bounceDamping;
+            // Add slight randomness to prevent getting stuck
+            this.velocity.y += (rng.random() - 0.5) * 0.5;
+        }
+        if (newPos.x > this.simulation.width - margin) {
+            newPos.x = this.simulation.width - margin;
+            this.velocity.x = -Math.abs(this.velocity.x) * bounceDamping;
+            this.velocity.y += (rng.random() - 0.5) * 0.5;
+        }
+        if (newPos.y < margin) {
+            newPos.y = margin;
+            this.velocity.y = Math.abs(this.velocity.y) * bounceDamping;
+            this.velocity.x += (rng.random() - 0.5) * 0.5;
+        }
+        if (newPos.y > this.simulation.height - margin) {
+            newPos.y = this.simulation.height - margin;
+            this.velocity.y = -Math.abs(this.velocity.y) * bounceDamping;
+            this.velocity.x += (rng.random() - 0.5) * 0.5;
+        }
+        
+        const moved = newPos.subtract(this.position).magnitude();
+        this.tripDistance += moved;
+        this.position = newPos;
+        if (this.simulation.lifecycle) {
+            this.energy = Math.max(0, this.energy - moved * AntColonyModel.LIFECYCLE.energyPerPixel);
+        }
+        
+        // Enhanced trapped detection - check if ant is making progress toward goal
+        this.checkTrappedStatus();
+        
+        // Track path for reinforcement
+        if (this.path.length === 0 || this.position.subtract(this.path[this.path.length-1]).magnitude() > 15) {
+            this.path.push(this.position.clone());
+            if (this.path.length > 100) this.path.shift();
+        }
+
+        // Enhanced food pickup with visual detection
+        if (!this.hasFood) {
+            let nearestFood = null;
+            let nearestDist = Infinity;
+            
+            // Find nearest food within detection range
+            for (const f of this.simulation.foodSources) {
+                if (!f.isDepleted()) {
+                    const dist = this.position.subtract(f.pos).magnitude();
+                    if (dist < nearestDist && dist < this.traits.visualRange) {
+                        nearestDist = dist;
+                        nearestFood = f;
+                    }
+                }
+            }
+            
+            // Back at the source it last took from, but it's gone: mark the way here as a dead end
+            const remembered = this.targetFood;
+            if (remembered && remembered.pos && remembered.amount <= 0 &&
+                this.position.subtract(remembered.pos).magnitude() < remembered.radius) {
+                this.markStaleTrail(remembered);
+            }
+            
+            // Try to collect food if close enough, as much as the caste can carry
+            const units = nearestFood ? this.traits.capacity * nearestFood.traits.unitsPerPickup : 0;
+            const taken = nearestFood ? nearestFood.containsAndTake(this.position, units) : 0;
+            if (taken > 0) {
+                this.hasFood = true;
+                this.load = taken;
+                this.loadQuality = nearestFood.traits.quality;
+                this.handlingUntil = this.simulation.clock.time + nearestFood.traits.handlingTime;
+                this.lastFoodTime = this.simulation.clock.time;
+                this.simulation.stats.pickups++;
+                this.colony.stats.pickups++;
+                this.simulation.emit('foodPickup', { antId: this.id, colonyId: this.colonyId, foodId: nearestFood.id, units: taken, x: this.position.x, y: this.position.y });
+                this.targetFood = nearestFood;
+                this.targetNestId = this.simulation.chooseNest(this.colony, this.position).id ?? null;
+                
+                // Full energy restoration from finding food
+                this.energy = 100; // Complete energy restoration
+                
+                // Set gentle momentum toward nest for natural return
+                const nestDir = new Vec(this.targetNest.x, this.targetNest.y).subtract(this.position).normalize();
+                this.momentum = nestDir.multiply(0.3);
+                
+                // Reinforce the path that led to food
+                if (this.path.length > 3) {
+                    const field = this.simulation.pheromoneField;
+                    field.reinforcePath(this.path, 3);
+                }
+                
+                // Clear path for return journey
+                this.path = [];
+                
+                this.simulation.log('debug', `Food found! Energy restored to 100%`);
+            }
+        } else {
+            // Enhanced food delivery at nest
+            let targetNest = this.targetNest;
+            const nestDist = this.position.subtract(new Vec(targetNest.x, targetNest.y)).magnitude();
+            if (nestDist < targetNest.radius + 5) {
+                // Check if nest is full
+                if (targetNest.foodStored >= targetNest.maxCapacity) {
+                    targetNest.isFull = true;
+                    // Ant drops food outside nest when full - waste food
+                    this.hasFood = false;
+                    this.load = 0;
+                    this.path = [];
+                    this.momentum = Vec.random(rng).multiply(0.3);
+                    this.tripStartTime = this.simulation.clock.time;
+                    this.tripDistance = 0;
+                    this.simulation.stats.wastedDeliveries++;
+                    this.colony.stats.wastedDeliveries++;
+                    this.simulation.emit('wastedDelivery', { antId: this.id, colonyId: this.colonyId, foodId: this.targetFood ? this.targetFood.id : null });
+                    this.simulation.log('debug', `Nest is full! Food wasted.`);
+                    return;
+                }
+                
+                this.hasFood = false;
+                
+                // Calculate delivery efficiency
+                const tripDuration = this.simulation.clock.time - this.lastFoodTime;
+                const pathLength = this.path.length;
+                const distanceEfficiency = Math.max(0.5, 1 - (pathLength * 2) / 1000); // Shorter paths are better
+                const timeEfficiency = Math.max(0.5, 1 - tripDuration / 30); // Faster trips are better
+                const overallEfficiency = (distanceEfficiency + timeEfficiency) / 2;
+                
+                // Update nest efficiency based on successful deliveries
+                targetNest.efficiency = Math.min(2.0, 
+                    targetNest.efficiency * 0.95 + overallEfficiency * 0.05);
+                
+                // Store the load with efficiency bonus (but ensure we don't exceed capacity)
+                const foodGained = Math.floor(this.load * (1 + overallEfficiency));
+                this.load = 0;
+                const newTotal = targetNest.foodStored + foodGained;
+                
+                this.colony.nest.intake += Math.min(newTotal, targetNest.maxCapacity) - targetNest.foodStored;
+                if (newTotal >= targetNest.maxCapacity) {
+                    // Nest would be full or exceeded - set to exact capacity and mark as full
+                    targetNest.foodStored = targetNest.maxCapacity;
+                    targetNest.isFull = true;
+                    this.simulation.emit('nestFull', { colonyId: this.colonyId, nestId: this.targetNestId, foodStored: targetNest.foodStored, maxCapacity: targetNest.maxCapacity });
+                    this.simulation.log('info', `Nest is now full! All food collected: ${targetNest.foodStored}/${targetNest.maxCapacity}`);
+                } else {
+                    targetNest.foodStored = newTotal;
+                }
+                
+                // Reinforce successful return path with efficiency-based strength
+                if (this.path.length > 3) {
+                    const reinforcementStrength = overallEfficiency * 6;
+                    const field = this.simulation.pheromoneField;
+                    field.reinforcePath(this.path, reinforcementStrength);
+                }
+                
+                // Full energy restoration from successful food delivery
+                this.energy = 100; // Complete energy restoration
+                
+                // Record the completed round trip (nest -> food -> nest)
+                const stats = this.simulation.stats;
+                stats.deliveries++;
+                stats.foodDelivered += foodGained;
+                this.tripsCompleted++;
+                stats.totalTripTime += this.simulation.clock.time - this.tripStartTime;
+                stats.totalTripDistance += this.tripDistance;
+                this.colony.stats.deliveries++;
+                this.colony.stats.foodDelivered += foodGained;
+                this.simulation.emit('delivery', {
+                    antId: this.id,
+                    colonyId: this.colonyId,
+                    foodId: this.targetFood ? this.targetFood.id : null,
+                    foodGained,
+                    efficiency: overallEfficiency,
+                    tripTime: this.simulation.clock.time - this.tripStartTime,
+                    tripDistance: this.tripDistance
+                });
+                
+                // Clear state for clean transition to exploring
+                this.path = [];
+                this.momentum = Vec.random(rng).multiply(0.3);
+                this.tripStartTime = this.simulation.clock.time;
+                this.tripDistance = 0;
+                
+                // Log successful delivery
+                this.simulation.log('debug', `Ant delivered food! Efficiency: ${overallEfficiency.toFixed(2)}, Food gained: ${foodGained}, Energy restored to 100%`);
+            }
+        }
+    }
+    
+    // Remove the ant from the colony (the model drops it after this tick) and leave a grave
+    die(cause) {
+        const simulation = this.simulation;
+        this.isAlive = false;
+        this.deathTime = simulation.clock.time;
+        simulation.graves.push({ x: this.position.x, y: this.position.y, colonyId: this.colonyId, time: this.deathTime, cause });
+        simulation.stats.deaths++;
+        this.colony.stats.deaths++;
+        simulation.emit('antDied', { antId: this.id, colonyId: this.colonyId, cause, age: this.age, x: this.position.x, y: this.position.y });
+        simulation.log('debug', `Ant ${this.id} died of ${cause} at age ${this.age.toFixed(1)}s`);
+    }
+    
+    checkTrappedStatus() {
+        // Only check progress periodically to avoid performance issues
+        const clock = this.simulation.clock;
+        if (clock.tick - this.lastProgressCheckTick < this.progressCheckInterval) {
+            return;
+        }
+        this.lastProgressCheckTick = clock.tick;
+        
+        // Determine current goal
+        let currentGoal;
+        if (this.hasFood) {
+            // Goal is the nest
+            currentGoal = new Vec(this.targetNest.x, this.targetNest.y);
+        } else {
+            // Goal is the nearest food source
+            let nearestFood = null;
+            let nearestDist = Infinity;
+            for (const f of this.simulation.foodSources) {
+                if (!f.isDepleted()) {
+                    const dist = this.position.subtract(f.pos).magnitude();
+                    if (dist < nearestDist) {
+                        nearestDist = dist;
+                        nearestFood = f;
+                    }
+                }
+            }
+            if (nearestFood) {
+                currentGoal = nearestFood.pos;
+            } else {
+                return; // No goal to progress toward
+            }
+        }
+        
+        // Calculate current distance to goal
+        const currentDistance = this.position.subtract(currentGoal).magnitude();
+        
+        // Initialize initial distance if not set
+        if (this.initialDistanceToGoal === 0) {
+            this.initialDistanceToGoal = currentDistance;
+        }
+        
+        // Calculate progress (how much closer we've gotten to the goal)
+        const progress = this.initialDistanceToGoal - currentDistance;
+        
+        // Store progress in history
+        this.progressHistory.push(progress);
+        if (this.progressHistory.length > 10) { // Keep last 10 progress checks
+            this.progressHistory.shift();
+        }
+        
+        // Check if ant is making meaningful progress
+        const recentProgress = this.progressHistory[this.progressHistory.length - 1] - this.progressHistory[0];
+        const isMakingProgress = recentProgress > this.progressThreshold;
+        
+        if (!isMakingProgress) {
+            this.trappedTime += this.progressCheckInterval * clock.dt;
+            if (this.trappedTime > this.trappedThreshold && !this.escapeMode) {
+                // Ant is trapped - enter escape mode
+                this.enterEscapeMode();
+            }
+        } else {
+            // Reset trapped time if making progress
+            this.trappedTime = 0;
+            this.escapeMode = false;
+            this.escapeAttempts = 0;
+        }
+    }
+    
+    // Every own field is saved, so new ant state is covered without touching this
+    toSnapshot() {
+        const data = {};
+        for (const [key, value] of Object.entries(this)) {
+            if (key === 'simulation') continue;
+            if (key === 'targetFood') {
+                data.targetFoodId = value ? value.id : null;
+                // A depleted source is gone from foodSources; keep where it was
+                if (value && value.pos && !this.simulation.foodSources.includes(value)) {
+                    data.depletedTargetFood = encodeSnapshotValue({ id: value.id, pos: value.pos, radius: value.radius });
+                }
+                continue;
+            }
+            data[key] = encodeSnapshotValue(value);
+        }
+        return data;
+    }
+    
+    static fromSnapshot(data, simulation) {
+        const ant = Object.create(Ant.prototype);
+        const { depletedTargetFood, ...fields } = decodeSnapshotValue(data);
+        // targetFood goes back in its saved place, so the ant saves its fields in the same order again
+        for (const [key, value] of Object.entries(fields)) {
+            if (key !== 'targetFoodId') {
+                ant[key] = value;
+            } else if (value === null) {
+                ant.targetFood = null;
+            } else {
+                // A depleted source is no longer in foodSources; its id and position are still read
+                ant.targetFood = simulation.foodSources.find(food => food.id === value) || { ...depletedTargetFood, id: value, amount: 0 };
+            }
+        }
+        ant.tripsCompleted = ant.tripsCompleted ?? 0; // Older snapshots predate the trip counter
+        ant.caste = ant.caste ?? 'forager'; // ... and castes
+        ant.load = ant.load ?? (ant.hasFood ? 1 : 0);
+        ant.loadQuality = ant.loadQuality ?? 1; // ... and food types
+        ant.handlingUntil = ant.handlingUntil ?? 0;
+        ant.targetNestId = ant.targetNestId ?? null;
+        ant.simulation = simulation;
+        return ant;
+    }
+    
+    enterEscapeMode() {
+        if (this.escapeAttempts >= this.maxEscapeAttempts) {
+            // Out of escape attempts: mark this spot as a dead end for the others,
+            // again after every further trappedThreshold without progress
+            this.simulation.addPheromone(this.position, 'repellent', this.simulation.repellentDeposit);
+            this.trappedTime = 0;
+            this.simulation.emit('repellentLaid', {
+                antId: this.id,
+                cause: 'escapeExhausted',
+                foodId: null,
+                x: this.position.x,
+                y: this.position.y
+            });
+            return;
+        }
+        
+        this.escapeMode = true;
+        this.escapeStartTime = this.simulation.clock.time;
+        this.escapeAttempts++;
+        this.simulation.emit('antTrapped', {
+            antId: this.id,
+            attempt: this.escapeAttempts,
+            x: this.position.x,
+            y: this.position.y
+        });
+        this.raiseAlarm('trapped');
+        
+        // Reset progress tracking to give escape mode a fresh start
+        this.progressHistory = [];
+        this.initialDistanceToGoal = 0;
+        this.trappedTime = 0;
+        
+        this.simulation.log('debug', `Ant entered escape mode (attempt ${this.escapeAttempts}/${this.maxEscapeAttempts})`);
+    }
+    
+    // Lay repellent along the outbound path that led to a depleted source,
+    // rising to full strength at the source so the branch near the nest (shared
+    // with live trails) is barely touched. The ant then forgets the source.
+    markStaleTrail(food) {
+        const path = this.path;
+        for (let i = 0; i < path.length; i++) {
+            this.simulation.addPheromone(path[i], 'repellent', this.simulation.repellentDeposit * (i + 1) / path.length);
+        }
+        this.simulation.addPheromone(this.position, 'repellent', this.simulation.repellentDeposit);
+        this.targetFood = null;
+        this.simulation.emit('repellentLaid', {
+            antId: this.id,
+            cause: 'depletedFood',
+            foodId: food.id,
+            x: this.position.x,
+            y: this.position.y
+        });
+    }
+    
+    // Lay alarm pheromone where the ant is. Every call deposits; the
+    // alarmRaised event fires at most once per second per ant.
+    raiseAlarm(cause) {
+        const simulation = this.simulation;
+        simulation.addPheromone(this.position, 'alarm', simulation.alarmDeposit);
+        
+        const tick = simulation.clock.tick;
+        if (this.lastAlarmTick !== null && tick - this.lastAlarmTick < simulation.clock.ticksPerSecond) {
+            return;
+        }
+        this.lastAlarmTick = tick;
+        simulation.emit('alarmRaised', { antId: this.id, cause, x: this.position.x, y: this.position.y });
+    }
+    
+    // Steering from the alarm pheromone at the ant's position: down the gradient
+    // for a 'flee' colony, up it for 'cluster' and for soldiers. Null when there's
+    // nothing to sense.
+    getAlarmResponse() {
+        const level = this.simulation.getPheromoneLevel(this.position, 'alarm');
+        if (level < 5) {
+            return null;
+        }
+        const gradient = this.simulation.getPheromoneGradient(this.position, 'alarm');
+        const weight = Math.min(3, level / 40);
+        const approach = this.traits.defends || this.simulation.colonyTemperament === 'cluster';
+        return gradient.multiply(approach ? weight : -weight);
+    }
+    
+    // Helper method to get direct path between two points
+    getDirectPath(from, to) {
+        const path = [];
+        const distance = from.subtract(to).magnitude();
+        const steps = Math.ceil(distance / 50); // Check every 50 pixels
+        
+        for (let i = 0; i <= steps; i++) {
+            const t = i / steps;
+            const x = from.x + (to.x - from.x) * t;
+            const y = from.y + (to.y - from.y) * t;
+            path.push(new Vec(x, y));
+        }
+        
+        return path;
+    }
+    
+    // Helper method to place obstacles along a path
+    placeObstaclesAlongPath(path, count) {
+        const rng = this.simulation.rng;
+        for (let i = 0; i < count; i++) {
+            // Choose a random point along the path (but not at the endpoints)
+            const index = Math.floor(1 + rng.random() * (path.length - 2));
+            const pathPoint = path[index];
+            
+            // Add some randomness to the obstacle position
+            const offsetX = (rng.random() - 0.5) * 40;
+            const offsetY = (rng.random() - 0.5) * 40;
+            
+            const obstacle = new Obstacle(pathPoint.x + offsetX, pathPoint.y + offsetY, rng);
+            
+            // Check if this position is valid
+            let valid = true;
+            
+            // Don't place too close to nest
+            if (obstacle.pos.subtract(new Vec(this.nest.x, this.nest.y)).magnitude() < obstacle.baseRadius + 80) {
+                valid = false;
+            }
+            
+            // Don't place too close to existing obstacles
+            for (const existingObstacle of this.obstacles) {
+                if (obstacle.pos.subtract(existingObstacle.pos).magnitude() < obstacle.baseRadius + existingObstacle.baseRadius + 20) {
+                    valid = false;
+                    break;
+                }
+            }
+            
+            if (valid) {
+                this.obstacles.push(obstacle);
+            }
+        }
+    }
+    
+
+}
+
+// Expose the model to Node (the browser picks these up as globals)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SeededRandom,
+        SimulationClock,
+        Vec,
+        makeBlob,
+        closestOnSeg,
+        PheromoneField,
+        LOG_LEVELS,
+        SIMULATION_EVENTS,
+        EventBus,
+        MetricsCollector,
+        RunLog,
+        RUN_EXPORT_SCHEMA_VERSION,
+        toCsv,
+        SNAPSHOT_SCHEMA_VERSION,
+        ReplayRecorder,
+        AntColonyModel,
+        Obstacle,
+        Food,
+        Ant
+    };
+}
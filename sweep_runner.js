@@ -0,0 +1,173 @@
+// Batch experiment runner - runs the headless colony model over a parameter
+// grid x seeds and writes a results table as CSV and JSON.
+//
+// Usage: node sweep_runner.js <sweep.json> [--out <path without extension>]
+// See sweeps/example_sweep.json for the sweep definition format.
+const fs = require('fs');
+const path = require('path');
+const { AntColonyModel } = require('./simulation_core.js');
+
+// Model properties a sweep is allowed to vary
+const SWEEPABLE_PARAMETERS = [
+    'antCount', 'evaporationRate', 'diffusionRate', 'foodTrailDeposit', 'homeTrailDeposit', 'alarmDeposit', 'repellentDeposit', 'colonyTemperament',
+    'colonyCount', 'followForeignTrails', 'lifecycle', 'economy'
+];
+
+// Result columns, in CSV order (parameter columns are inserted after 'seed')
+const METRIC_COLUMNS = [
+    'ticksRun',
+    'ticksUntilFull',
+    'secondsUntilFull',
+    'deliveries',
+    'deliveriesPerMinute',
+    'wastedDeliveries',
+    'meanTripSeconds',
+    'meanTripLength',
+    'foodStored',
+    'maxCapacity',
+    'foodEaten',
+    'foodSpoiled',
+    'antsAlive',
+    'births',
+    'deaths'
+];
+
+// Expand { a: [1, 2], b: [3] } into [{ a: 1, b: 3 }, { a: 2, b: 3 }]
+function expandGrid(parameters) {
+    let cells = [{}];
+    for (const [name, values] of Object.entries(parameters)) {
+        const options = Array.isArray(values) ? values : [values];
+        const expanded = [];
+        for (const cell of cells) {
+            for (const value of options) {
+                expanded.push({ ...cell, [name]: value });
+            }
+        }
+        cells = expanded;
+    }
+    return cells;
+}
+
+function validateSweep(sweep) {
+    if (!sweep || typeof sweep !== 'object') {
+        throw new Error('Sweep definition must be a JSON object');
+    }
+    for (const name of Object.keys(sweep.parameters || {})) {
+        if (!SWEEPABLE_PARAMETERS.includes(name)) {
+            throw new Error(`Unknown sweep parameter '${name}' (expected one of: ${SWEEPABLE_PARAMETERS.join(', ')})`);
+        }
+    }
+    if (!Number.isInteger(sweep.ticks) || sweep.ticks <= 0) {
+        throw new Error('Sweep "ticks" must be a positive integer tick budget');
+    }
+}
+
+// Run one grid cell with one seed until a nest is full or the tick budget runs out
+function runCell(sweep, params, seed) {
+    const world = sweep.world || {};
+    // Only warnings and errors from the model reach the console during a sweep
+    const model = new AntColonyModel(world.width || 1600, world.height || 1000, { seed, logLevel: 'warn' });
+    Object.assign(model, params);
+    model.initialize();
+
+    let ticksUntilFull = null;
+    while (model.clock.tick < sweep.ticks) {
+        model.update();
+        if (model.colonies.some(colony => colony.nest.isFull)) {
+            ticksUntilFull = model.clock.tick;
+            break;
+        }
+    }
+
+    const stats = model.stats;
+    const minutes = model.clock.time / 60;
+    return {
+        seed,
+        ...params,
+        ticksRun: model.clock.tick,
+        ticksUntilFull,
+        secondsUntilFull: ticksUntilFull === null ? null : ticksUntilFull * model.clock.dt,
+        deliveries: stats.deliveries,
+        deliveriesPerMinute: minutes > 0 ? stats.deliveries / minutes : 0,
+        wastedDeliveries: stats.wastedDeliveries,
+        meanTripSeconds: stats.deliveries > 0 ? stats.totalTripTime / stats.deliveries : null,
+        meanTripLength: stats.deliveries > 0 ? stats.totalTripDistance / stats.deliveries : null,
+        foodStored: model.colonies.reduce((total, colony) => total + model.colonyStock(colony), 0),
+        maxCapacity: model.colonies.reduce((total, colony) => total + model.colonyCapacity(colony), 0),
+        foodEaten: stats.foodEaten,
+        foodSpoiled: stats.foodSpoiled,
+        antsAlive: model.ants.length,
+        births: stats.births,
+        deaths: stats.deaths
+    };
+}
+
+function runSweep(sweep, onProgress = () => {}) {
+    validateSweep(sweep);
+    const cells = expandGrid(sweep.parameters || {});
+    const seeds = sweep.seeds && sweep.seeds.length > 0 ? sweep.seeds : [1];
+    const total = cells.length * seeds.length;
+    const rows = [];
+
+    for (const params of cells) {
+        for (const seed of seeds) {
+            const row = runCell(sweep, params, seed);
+            rows.push(row);
+            onProgress(rows.length, total, row);
+        }
+    }
+    return rows;
+}
+
+function formatCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'number' && !Number.isInteger(value) ? value.toFixed(4) : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows, parameterNames) {
+    const columns = ['seed', ...parameterNames, ...METRIC_COLUMNS];
+    const lines = [columns.join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(column => formatCsvValue(row[column])).join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+function main(argv) {
+    const args = argv.slice(2);
+    const sweepPath = args.find(arg => !arg.startsWith('--'));
+    if (!sweepPath) {
+        console.error('Usage: node sweep_runner.js <sweep.json> [--out <path without extension>]');
+        process.exit(1);
+    }
+    const outIndex = args.indexOf('--out');
+    const outBase = outIndex >= 0 && args[outIndex + 1]
+        ? args[outIndex + 1]
+        : path.join('results', path.basename(sweepPath, path.extname(sweepPath)));
+
+    const sweep = JSON.parse(fs.readFileSync(sweepPath, 'utf8'));
+    const parameterNames = Object.keys(sweep.parameters || {});
+    const startedAt = new Date().toISOString();
+    const rows = runSweep(sweep, (done, total, row) => {
+        const params = parameterNames.map(name => `${name}=${row[name]}`).join(' ');
+        const full = row.ticksUntilFull === null ? `not full after ${row.ticksRun} ticks` : `full at tick ${row.ticksUntilFull}`;
+        console.error(`[${done}/${total}] seed=${row.seed} ${params}: ${full}, ${row.deliveries} deliveries`);
+    });
+
+    fs.mkdirSync(path.dirname(path.resolve(outBase)), { recursive: true });
+    fs.writeFileSync(`${outBase}.csv`, toCsv(rows, parameterNames));
+    fs.writeFileSync(`${outBase}.json`, JSON.stringify({
+        name: sweep.name || path.basename(sweepPath),
+        startedAt,
+        sweep,
+        results: rows
+    }, null, 2));
+    console.error(`Wrote ${rows.length} results to ${outBase}.csv and ${outBase}.json`);
+}
+
+if (require.main === module) {
+    main(process.argv);
+}
+
+module.exports = { SWEEPABLE_PARAMETERS, expandGrid, runCell, runSweep, toCsv };